@@ -2,13 +2,65 @@
 
 import { useState, useRef, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/navigation';
-import { auth, db } from '@/lib/firebase';
+import { auth } from '@/lib/firebase';
 import { onAuthStateChanged, signOut } from 'firebase/auth';
-import { collection, doc, setDoc, deleteDoc, onSnapshot, writeBatch } from 'firebase/firestore';
+import { doc, setDoc, updateDoc, deleteDoc, onSnapshot } from 'firebase/firestore';
 import Image from 'next/image';
 import dynamic from 'next/dynamic';
 import AddressInput from '@/components/AddressInput';
 import PinnedAddressList from '@/components/PinnedAddressList';
+import TrashBin from '@/components/TrashBin';
+import CompetitorList from '@/components/CompetitorList';
+import BrandsModal from '@/components/BrandsModal';
+import WorkspaceSwitcher from '@/components/WorkspaceSwitcher';
+import WorkspaceMembersModal from '@/components/WorkspaceMembersModal';
+import MapSwitcher from '@/components/MapSwitcher';
+import SiteDetailsPanel from '@/components/SiteDetailsPanel';
+import PinTypesModal from '@/components/PinTypesModal';
+import RegionSettingsModal from '@/components/RegionSettingsModal';
+import DuplicatePinModal from '@/components/DuplicatePinModal';
+import DuplicatesAuditModal from '@/components/DuplicatesAuditModal';
+import ImportWizard from '@/components/ImportWizard';
+import BoundaryImportModal from '@/components/BoundaryImportModal';
+import GeocodeCandidatesModal from '@/components/GeocodeCandidatesModal';
+import {
+  subscribeToWorkspaces,
+  subscribeToInvites,
+  createWorkspace,
+  acceptInvite,
+  getMemberRole,
+  canEditRole,
+  commitInChunks,
+} from '@/lib/workspaces';
+import {
+  mapCollection,
+  subscribeToMaps,
+  createMap,
+  renameMap,
+  duplicateMap,
+  setMapArchived,
+  updateMapSettings,
+  ensureDefaultMap,
+  hasPersonalData,
+  movePersonalDataToMap,
+} from '@/lib/maps';
+import { restoreShapes } from '@/lib/shapes';
+import { stateChanges, fieldUpdates } from '@/lib/historyStates';
+import { deleteMarkerAttachments } from '@/lib/attachments';
+import { applySiteFields } from '@/lib/sites';
+import { geocodeAddress, reverseGeocode, rememberGeocode } from '@/lib/geocoding';
+import { DEFAULT_PIN_FILTER } from '@/lib/pinFilters';
+import { withDefaultLayers } from '@/lib/layers';
+import { findDuplicates } from '@/lib/duplicates';
+import { saveImportedDocuments } from '@/lib/importing';
+import { statusEntry, withStatusChange, editStatusEntry } from '@/lib/statusHistory';
+import { parseCoordinates, formatCoordinates } from '@/lib/coordinates';
+import { DEFAULT_PIN_TYPES, DEFAULT_PIN_TYPE_ID, subscribeToPinTypes } from '@/lib/pinTypes';
+import { DEFAULT_REGION, subscribeToRegion } from '@/lib/region';
+import { DEFAULT_BRANDS, subscribeToBrands, subscribeToCompetitors, writeCompetitorStates } from '@/lib/competitors';
+import useUndoHistory from '@/lib/useUndoHistory';
+import useShapeSync from '@/lib/useShapeSync';
+import { TRASH_RETENTION_DAYS, trashFields, splitTrashed, isExpired, restoreFromTrash, purgeFromTrash } from '@/lib/trash';
 
 // Dynamically import map component to avoid SSR issues
 const MapComponent = dynamic(() => import('@/components/MapComponent'), {
@@ -23,24 +75,83 @@ const MapComponent = dynamic(() => import('@/components/MapComponent'), {
   ),
 });
 
+const DEFAULT_COLOR_LABELS = {
+  red: '', blue: '', green: '', purple: '', orange: '',
+  yellow: '', pink: '', cyan: '', brown: '', black: '',
+};
+
+const ACTIVE_WORKSPACE_KEY = 'activeWorkspaceId';
+const ACTIVE_MAPS_KEY = 'activeMapIds';
+
+// Delete trashed pins or shapes for good, along with any pin attachments
+const purgeTrash = async (workspaceId, mapId, collectionName, ids) => {
+  if (collectionName === 'markers') {
+    await deleteMarkerAttachments(workspaceId, mapId, ids);
+  }
+  await purgeFromTrash(mapCollection(workspaceId, mapId, collectionName), ids);
+};
+
 export default function Dashboard() {
   const [user, setUser] = useState(null);
   const [authLoading, setAuthLoading] = useState(true);
   const [markers, setMarkers] = useState([]);
-  const [shapes, setShapes] = useState([]);
-  const [colorLabels, setColorLabels] = useState({
-    red: '', blue: '', green: '', purple: '', orange: '',
-    yellow: '', pink: '', cyan: '', brown: '', black: '',
-  });
+  const [trashedMarkers, setTrashedMarkers] = useState([]);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [workspacesLoading, setWorkspacesLoading] = useState(true);
+  const [invites, setInvites] = useState([]);
+  const [invitesLoading, setInvitesLoading] = useState(true);
+  const [selectedWorkspaceId, setSelectedWorkspaceId] = useState(() =>
+    typeof window !== 'undefined' ? window.localStorage.getItem(ACTIVE_WORKSPACE_KEY) : null
+  );
+  const [showWorkspaceModal, setShowWorkspaceModal] = useState(false);
+  const [maps, setMaps] = useState([]);
+  const [mapsLoading, setMapsLoading] = useState(true);
+  // Last opened map per workspace, remembered across sessions
+  const [selectedMapIds, setSelectedMapIds] = useState(() =>
+    typeof window !== 'undefined' ? JSON.parse(window.localStorage.getItem(ACTIVE_MAPS_KEY) || '{}') : {}
+  );
   const [markersLoading, setMarkersLoading] = useState(true);
-  const [shapesLoading, setShapesLoading] = useState(true);
-  const [colorLabelsLoading, setColorLabelsLoading] = useState(true);
   const [geocoding, setGeocoding] = useState(false);
   const [error, setError] = useState('');
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [showLogoutModal, setShowLogoutModal] = useState(false);
+  // Pin type registry, tagged with the workspace it was loaded for
+  const [loadedPinTypes, setLoadedPinTypes] = useState({ workspaceId: null, types: DEFAULT_PIN_TYPES });
+  const [showPinTypesModal, setShowPinTypesModal] = useState(false);
+  const [loadedRegion, setLoadedRegion] = useState({ workspaceId: null, region: DEFAULT_REGION });
+  const [showRegionModal, setShowRegionModal] = useState(false);
+  // Competitor brand registry and the active map's competitors, tagged like pin types
+  const [loadedBrands, setLoadedBrands] = useState({ workspaceId: null, brands: DEFAULT_BRANDS });
+  const [showBrandsModal, setShowBrandsModal] = useState(false);
+  const [loadedCompetitors, setLoadedCompetitors] = useState({ mapId: null, competitors: [] });
+  const [addingCompetitor, setAddingCompetitor] = useState(false);
+  // Type for new pins, shared by the address form and the map's drop-pin mode
+  const [newPinType, setNewPinType] = useState(DEFAULT_PIN_TYPE_ID);
+  // List search/filter/sort, also applied to pins on the map
+  const [pinFilter, setPinFilter] = useState(DEFAULT_PIN_FILTER);
+  // Layer visibility chosen by a viewer, who can't save it to the map
+  const [viewerLayers, setViewerLayers] = useState({ mapId: null, layers: null });
+  // Map center as of the last pan/zoom, for sorting pins by distance
+  const [mapCenter, setMapCenter] = useState(null);
+  // New pin held back because it looks like an existing one:
+  // { location, pinType, label, matches }
+  const [pendingDuplicate, setPendingDuplicate] = useState(null);
+  // Address that matched several places: { address, pinType, candidates }, or
+  // { address, brand, candidates } for a competitor
+  const [pendingGeocode, setPendingGeocode] = useState(null);
+  const [showDuplicatesAudit, setShowDuplicatesAudit] = useState(false);
+  // What the import wizard is importing: 'pins', 'competitors' or null when closed
+  const [importKind, setImportKind] = useState(null);
+  const [showBoundaryImport, setShowBoundaryImport] = useState(false);
+  // Latest "go to this pin" request for the map
+  const [focusRequest, setFocusRequest] = useState(null);
+  // Pin whose site details panel is open
+  const [detailMarkerId, setDetailMarkerId] = useState(null);
   const router = useRouter();
+
+  // Undo/redo for pin and shape edits on the active map
+  const history = useUndoHistory();
   
   // Touch handling for swipe
   const sidebarRef = useRef(null);
@@ -48,6 +159,10 @@ export default function Dashboard() {
   const touchCurrentX = useRef(0);
   const isDragging = useRef(false);
 
+  // Guards the one-time creation of a first workspace and of default maps
+  const creatingWorkspaceRef = useRef(false);
+  const ensuredMapsRef = useRef(new Set());
+
   // Auth check
   useEffect(() => {
     const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
@@ -62,11 +177,151 @@ export default function Dashboard() {
     return () => unsubscribe();
   }, [router]);
 
-  // Load markers from Firestore when user is authenticated
+  // Load the workspaces this user belongs to
   useEffect(() => {
     if (!user) return;
 
-    const markersRef = collection(db, 'users', user.uid, 'markers');
+    const unsubscribe = subscribeToWorkspaces(user.uid, (loaded) => {
+      setWorkspaces(loaded);
+      setWorkspacesLoading(false);
+    }, (error) => {
+      console.error('Error loading workspaces:', error);
+      setWorkspacesLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [user]);
+
+  // Load pending invites for this user's email
+  useEffect(() => {
+    if (!user?.email) return;
+
+    const unsubscribe = subscribeToInvites(user.email, (loaded) => {
+      setInvites(loaded);
+      setInvitesLoading(false);
+    }, (error) => {
+      console.error('Error loading invites:', error);
+      setInvitesLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [user]);
+
+  // Fall back to the first workspace if the remembered one is gone
+  const activeWorkspace = workspaces.find(w => w.id === selectedWorkspaceId) || workspaces[0] || null;
+  const workspaceId = activeWorkspace?.id || null;
+  const role = getMemberRole(activeWorkspace, user?.uid);
+  const canEdit = canEditRole(role);
+
+  // First sign-in: give the user a workspace and bring their personal map into it
+  useEffect(() => {
+    if (!user || workspacesLoading || invitesLoading) return;
+    if (workspaces.length > 0 || invites.length > 0 || creatingWorkspaceRef.current) return;
+
+    creatingWorkspaceRef.current = true;
+    (async () => {
+      try {
+        const newWorkspaceId = await createWorkspace(user, `${user.email?.split('@')[0] || 'My'}'s Workspace`);
+        const mapId = await ensureDefaultMap(newWorkspaceId, user);
+        if (await hasPersonalData(user.uid)) {
+          await movePersonalDataToMap(user.uid, newWorkspaceId, mapId);
+        }
+      } catch (err) {
+        console.error('Error creating workspace:', err);
+        setError('Failed to set up your workspace. Please refresh and try again.');
+      }
+    })();
+  }, [user, workspaces, workspacesLoading, invites, invitesLoading]);
+
+  // Load the maps in the active workspace
+  useEffect(() => {
+    if (!workspaceId) return;
+
+    const unsubscribe = subscribeToMaps(workspaceId, (loaded) => {
+      setMaps(loaded);
+      setMapsLoading(false);
+    }, (error) => {
+      console.error('Error loading maps:', error);
+      setMapsLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId]);
+
+  // Load the workspace's pin types
+  useEffect(() => {
+    if (!workspaceId) return;
+
+    const unsubscribe = subscribeToPinTypes(workspaceId, (types) => {
+      setLoadedPinTypes({ workspaceId, types });
+    }, (error) => {
+      console.error('Error loading pin types:', error);
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId]);
+
+  // Load the workspace's search area
+  useEffect(() => {
+    if (!workspaceId) return;
+
+    const unsubscribe = subscribeToRegion(workspaceId, (loaded) => {
+      setLoadedRegion({ workspaceId, region: loaded });
+    }, (error) => {
+      console.error('Error loading search area:', error);
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId]);
+
+  // Load the workspace's competitor brands
+  useEffect(() => {
+    if (!workspaceId) return;
+
+    const unsubscribe = subscribeToBrands(workspaceId, (brands) => {
+      setLoadedBrands({ workspaceId, brands });
+    }, (error) => {
+      console.error('Error loading competitor brands:', error);
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId]);
+
+  // Defaults until the switched-to workspace's own types, region and brands arrive
+  const pinTypes = loadedPinTypes.workspaceId === workspaceId ? loadedPinTypes.types : DEFAULT_PIN_TYPES;
+  const brands = loadedBrands.workspaceId === workspaceId ? loadedBrands.brands : DEFAULT_BRANDS;
+  const region = loadedRegion.workspaceId === workspaceId ? loadedRegion.region : DEFAULT_REGION;
+  // The chosen type may have been deleted from the registry since
+  const activePinType = pinTypes.some(t => t.id === newPinType) ? newPinType : pinTypes[0]?.id;
+
+  // Fall back to the first open map if the remembered one is gone or archived
+  const activeMaps = maps.filter(m => !m.archived);
+  const activeMap = activeMaps.find(m => m.id === selectedMapIds[workspaceId]) || activeMaps[0] || null;
+  const mapId = activeMap?.id || null;
+  const colorLabels = { ...DEFAULT_COLOR_LABELS, ...activeMap?.colorLabels };
+  const layers = viewerLayers.mapId === mapId && !canEdit
+    ? viewerLayers.layers
+    : withDefaultLayers(activeMap?.layers);
+  // Closes by itself if the pin is deleted while its panel is open
+  const detailMarker = markers.find(m => m.id === detailMarkerId) || null;
+
+  // Workspaces without any map (e.g. created before named maps) get a default one
+  useEffect(() => {
+    if (!user || !workspaceId || mapsLoading || maps.length > 0 || !canEdit) return;
+    if (ensuredMapsRef.current.has(workspaceId)) return;
+
+    ensuredMapsRef.current.add(workspaceId);
+    ensureDefaultMap(workspaceId, user).catch((err) => {
+      console.error('Error creating default map:', err);
+      setError('Failed to set up a map for this workspace. Please refresh and try again.');
+    });
+  }, [user, workspaceId, maps, mapsLoading, canEdit]);
+
+  // Load markers from Firestore for the active map
+  useEffect(() => {
+    if (!workspaceId || !mapId) return;
+
+    const markersRef = mapCollection(workspaceId, mapId, 'markers');
     
     // Real-time listener for markers
     const unsubscribe = onSnapshot(markersRef, (snapshot) => {
@@ -76,7 +331,9 @@ export default function Dashboard() {
       });
       // Sort by createdAt timestamp
       loadedMarkers.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
-      setMarkers(loadedMarkers);
+      const { live, trashed } = splitTrashed(loadedMarkers);
+      setMarkers(live);
+      setTrashedMarkers(trashed);
       setMarkersLoading(false);
     }, (error) => {
       console.error('Error loading markers:', error);
@@ -84,159 +341,515 @@ export default function Dashboard() {
     });
 
     return () => unsubscribe();
-  }, [user]);
+  }, [workspaceId, mapId]);
 
-  // Load shapes from Firestore when user is authenticated
+  // Competitor locations for the active map
   useEffect(() => {
-    if (!user) return;
+    if (!workspaceId || !mapId) return;
 
-    const shapesRef = collection(db, 'users', user.uid, 'shapes');
-    
-    // Real-time listener for shapes
-    const unsubscribe = onSnapshot(shapesRef, (snapshot) => {
-      const loadedShapes = [];
-      snapshot.forEach((doc) => {
-        loadedShapes.push({ id: doc.id, ...doc.data() });
-      });
-      // Sort by createdAt timestamp
-      loadedShapes.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
-      setShapes(loadedShapes);
-      setShapesLoading(false);
+    const unsubscribe = subscribeToCompetitors(mapCollection(workspaceId, mapId, 'competitors'), (loaded) => {
+      setLoadedCompetitors({ mapId, competitors: loaded });
     }, (error) => {
-      console.error('Error loading shapes:', error);
-      setShapesLoading(false);
+      console.error('Error loading competitors:', error);
     });
 
     return () => unsubscribe();
-  }, [user]);
+  }, [workspaceId, mapId]);
+
+  const competitors = loadedCompetitors.mapId === mapId ? loadedCompetitors.competitors : [];
+
+  // Shapes for the active map, saved as batched diffs
+  const { shapes, trashedShapes, shapesLoading, saveShapes, resetShapes } = useShapeSync(workspaceId, mapId, canEdit);
 
-  // Load color labels from Firestore when user is authenticated
+  // Purge trash older than the retention period whenever an editor opens the map
+  const purgingRef = useRef(new Set());
   useEffect(() => {
-    if (!user) return;
+    if (!workspaceId || !mapId || !canEdit || markersLoading || shapesLoading) return;
 
-    const colorLabelsRef = doc(db, 'users', user.uid, 'settings', 'colorLabels');
-    
-    // Real-time listener for color labels
-    const unsubscribe = onSnapshot(colorLabelsRef, (docSnapshot) => {
-      if (docSnapshot.exists()) {
-        const data = docSnapshot.data();
-        setColorLabels(prev => ({ ...prev, ...data }));
-      }
-      setColorLabelsLoading(false);
-    }, (error) => {
-      console.error('Error loading color labels:', error);
-      setColorLabelsLoading(false);
-    });
+    const purge = (items, collectionName) => {
+      const ids = items
+        .filter(item => isExpired(item) && !purgingRef.current.has(item.id))
+        .map(item => item.id);
+      if (ids.length === 0) return;
+      ids.forEach(id => purgingRef.current.add(id));
+      purgeTrash(workspaceId, mapId, collectionName, ids).catch((err) => {
+        console.error(`Error purging expired ${collectionName}:`, err);
+      });
+    };
 
-    return () => unsubscribe();
-  }, [user]);
+    purge(trashedMarkers, 'markers');
+    purge(trashedShapes, 'shapes');
+  }, [workspaceId, mapId, canEdit, markersLoading, shapesLoading, trashedMarkers, trashedShapes]);
 
-  // Handle shapes change from MapComponent
-  const handleShapesChange = async (newShapes) => {
+  // Clear the previous map's data while the next one loads
+  const resetMapData = () => {
+    setMarkers([]);
+    setTrashedMarkers([]);
+    setMarkersLoading(true);
+    setDetailMarkerId(null);
+    setPendingDuplicate(null);
+    setPendingGeocode(null);
+    resetShapes();
+    setError('');
+    history.clear();
+  };
+
+  const handleSelectWorkspace = (id) => {
+    if (id === workspaceId) return;
+    setSelectedWorkspaceId(id);
+    window.localStorage.setItem(ACTIVE_WORKSPACE_KEY, id);
+    setMaps([]);
+    setMapsLoading(true);
+    resetMapData();
+  };
+
+  const handleCreateWorkspace = async (name) => {
     if (!user) return;
+    try {
+      const newWorkspaceId = await createWorkspace(user, name);
+      await ensureDefaultMap(newWorkspaceId, user);
+      handleSelectWorkspace(newWorkspaceId);
+    } catch (err) {
+      console.error('Error creating workspace:', err);
+      setError('Failed to create workspace. Please try again.');
+    }
+  };
 
-    // Optimistic update - update UI immediately
-    setShapes(newShapes);
+  const handleAcceptInvite = async (workspace) => {
+    if (!user) return;
+    try {
+      await acceptInvite(user, workspace);
+      handleSelectWorkspace(workspace.id);
+    } catch (err) {
+      console.error('Error accepting invite:', err);
+      setError(err.message || 'Failed to join workspace. Please try again.');
+    }
+  };
+
+  const handleSelectMap = (id) => {
+    if (id === mapId) return;
+    const next = { ...selectedMapIds, [workspaceId]: id };
+    setSelectedMapIds(next);
+    window.localStorage.setItem(ACTIVE_MAPS_KEY, JSON.stringify(next));
+    resetMapData();
+  };
 
+  const handleCreateMap = async (name) => {
+    if (!workspaceId || !canEdit) return;
     try {
-      const shapesRef = collection(db, 'users', user.uid, 'shapes');
-      
-      const currentIds = shapes.map(s => s.id);
-      const newIds = newShapes.map(s => s.id);
-      
-      // Add or update shapes
-      for (const shape of newShapes) {
-        const shapeDocRef = doc(shapesRef, shape.id);
-        await setDoc(shapeDocRef, shape);
-      }
-      
-      // Delete removed shapes
-      for (const shape of shapes) {
-        if (!newIds.includes(shape.id)) {
-          await deleteDoc(doc(db, 'users', user.uid, 'shapes', shape.id));
-        }
+      const newMapId = await createMap(workspaceId, user, name);
+      handleSelectMap(newMapId);
+    } catch (err) {
+      console.error('Error creating map:', err);
+      setError('Failed to create map. Please try again.');
+    }
+  };
+
+  const handleRenameMap = async (map, name) => {
+    if (!workspaceId || !canEdit) return;
+    try {
+      await renameMap(workspaceId, map.id, name);
+    } catch (err) {
+      console.error('Error renaming map:', err);
+      setError('Failed to rename map. Please try again.');
+    }
+  };
+
+  const handleDuplicateMap = async (map) => {
+    if (!workspaceId || !canEdit) return;
+    try {
+      const newMapId = await duplicateMap(workspaceId, map, user, `${map.name} (copy)`);
+      handleSelectMap(newMapId);
+    } catch (err) {
+      console.error('Error duplicating map:', err);
+      setError('Failed to duplicate map. Please try again.');
+    }
+  };
+
+  const handleArchiveMap = async (map, archived = true) => {
+    if (!workspaceId || !canEdit) return;
+    try {
+      await setMapArchived(workspaceId, map.id, archived);
+      if (archived && map.id === mapId) {
+        resetMapData();
       }
     } catch (err) {
+      console.error('Error archiving map:', err);
+      setError(`Failed to ${archived ? 'archive' : 'restore'} map. Please try again.`);
+    }
+  };
+
+  // Handle shapes change from MapComponent
+  const handleShapesChange = async (newShapes, label = 'Edit shapes') => {
+    if (!mapId || !canEdit) return;
+
+    // Recorded with the optimistic change so undo works straight away; a
+    // failed save is rolled back, and its entry goes with it
+    const entry = { type: 'shapes', label, before: shapes, after: newShapes };
+    history.record(entry);
+    try {
+      await saveShapes(newShapes);
+    } catch (err) {
+      history.discard(entry);
       console.error('Error updating shapes:', err);
-      setError('Failed to save shape. Please try again.');
+      setError('Failed to save shape changes, so they were rolled back. Please try again.');
+    }
+  };
+
+  // Add shapes from an imported boundary file as one undoable change, with
+  // any legend labels it set. Throws on failure so the modal can report it.
+  const handleImportShapes = async (newShapes, newLabels) => {
+    if (!mapId || !canEdit) throw new Error('No editable map to import into');
+
+    const nextShapes = [...shapes, ...newShapes];
+    const label = newShapes.length === 1 ? 'Import shape' : `Import ${newShapes.length} shapes`;
+    const entry = { type: 'shapes', label, before: shapes, after: nextShapes };
+    history.record(entry);
+    try {
+      await saveShapes(nextShapes, { immediate: true });
+    } catch (err) {
+      history.discard(entry);
+      throw err;
+    }
+    if (Object.keys(newLabels).length > 0) {
+      await updateMapSettings(workspaceId, mapId, { colorLabels: { ...colorLabels, ...newLabels } });
+    }
+  };
+
+  // Marker state for history entries - data is null when the pin doesn't exist
+  const markerState = (marker, exists = true) => {
+    const { id, ...data } = marker;
+    return { id, data: exists ? data : null };
+  };
+
+  // Step pins from one history state to another in batches, writing only the
+  // fields that differ - pins that shouldn't exist go to the trash, and pins
+  // purged since are skipped
+  const writeMarkerStates = async (from, to) => {
+    const markersRef = mapCollection(workspaceId, mapId, 'markers');
+    const existingIds = new Set([...markers, ...trashedMarkers].map(m => m.id));
+    await commitInChunks(stateChanges(from, to, existingIds).map(({ id, change }) => (batch) => {
+      if (change.type === 'set') {
+        batch.set(doc(markersRef, id), change.data);
+      } else if (change.type === 'remove') {
+        batch.update(doc(markersRef, id), trashFields(user?.uid));
+      } else {
+        batch.update(doc(markersRef, id), fieldUpdates(change));
+      }
+    }));
+  };
+
+  // Step the active map one entry backward or forward in history
+  const applyHistoryEntry = async (entry, direction) => {
+    const [from, to] = direction === 'undo'
+      ? [entry.after, entry.before]
+      : [entry.before, entry.after];
+
+    if (entry.type === 'shapes') {
+      await saveShapes(restoreShapes(shapes, from, to), { immediate: true });
+    } else if (entry.type === 'competitors') {
+      await writeCompetitorStates(mapCollection(workspaceId, mapId, 'competitors'), from, to, competitors);
+    } else {
+      await writeMarkerStates(from, to);
+    }
+  };
+
+  const handleUndo = async () => {
+    if (!mapId || !canEdit) return;
+    try {
+      await history.undo(applyHistoryEntry);
+    } catch (err) {
+      console.error('Error undoing change:', err);
+      setError('Failed to undo. Please try again.');
+    }
+  };
+
+  const handleRedo = async () => {
+    if (!mapId || !canEdit) return;
+    try {
+      await history.redo(applyHistoryEntry);
+    } catch (err) {
+      console.error('Error redoing change:', err);
+      setError('Failed to redo. Please try again.');
     }
   };
 
   // Handle color labels change from MapComponent
   const handleColorLabelsChange = async (newLabels) => {
-    if (!user) return;
-
-    // Optimistic update - update UI immediately
-    setColorLabels(newLabels);
+    if (!mapId || !canEdit) return;
 
+    // Labels live on the map document; the listener picks up the local write immediately
     try {
-      const colorLabelsRef = doc(db, 'users', user.uid, 'settings', 'colorLabels');
-      await setDoc(colorLabelsRef, newLabels);
+      await updateMapSettings(workspaceId, mapId, { colorLabels: newLabels });
     } catch (err) {
       console.error('Error updating color labels:', err);
       setError('Failed to save color label. Please try again.');
     }
   };
 
-  const geocodeAddress = async (address) => {
-    const apiKey = process.env.NEXT_PUBLIC_GOOGLE_MAPS_API_KEY;
-    if (!apiKey) {
-      throw new Error('Google Maps API key not configured');
+  // Editors save layer visibility on the map for everyone; viewers can still
+  // toggle layers for themselves without saving
+  const handleLayersChange = async (newLayers) => {
+    if (!mapId) return;
+
+    if (!canEdit) {
+      setViewerLayers({ mapId, layers: newLayers });
+      return;
     }
+    try {
+      await updateMapSettings(workspaceId, mapId, { layers: newLayers });
+    } catch (err) {
+      console.error('Error updating layers:', err);
+      setError('Failed to save layer visibility. Please try again.');
+    }
+  };
 
-    const response = await fetch(
-      `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(address)}&key=${apiKey}`
-    );
-    const data = await response.json();
-
-    if (data.status === 'OK' && data.results[0]) {
-      const location = data.results[0].geometry.location;
-      return {
-        lat: location.lat,
-        lng: location.lng,
-        address: data.results[0].formatted_address,
-      };
-    } else {
-      throw new Error('Address not found. Please try a different address.');
+  // Best-guess address for an exact position; falls back to the coordinates
+  // themselves for spots with no address (e.g. vacant lots)
+  const locatePosition = async (position) => {
+    try {
+      const { address } = await reverseGeocode(position.lat, position.lng);
+      return { ...position, address };
+    } catch (err) {
+      console.error('Error reverse geocoding position:', err);
+      return { ...position, address: formatCoordinates(position) };
     }
   };
 
-  const handleAddressSubmit = async (address, pinType = 'open') => {
-    if (!user) return;
+  const addMarker = async (location, pinType, label) => {
+    // Save to Firestore with pin type
+    const markersRef = mapCollection(workspaceId, mapId, 'markers');
+    const newMarkerRef = doc(markersRef);
+    const createdAt = Date.now();
+    const newMarker = {
+      ...location,
+      pinType,
+      createdAt,
+      statusHistory: [statusEntry({ to: pinType, at: createdAt, user })],
+    };
+    await setDoc(newMarkerRef, newMarker);
+    history.record({
+      type: 'markers',
+      label,
+      before: [{ id: newMarkerRef.id, data: null }],
+      after: [{ id: newMarkerRef.id, data: newMarker }],
+    });
+  };
+
+  // Save a new pin unless it looks like one already on the map, in which
+  // case ask first. Returns whether the pin was added.
+  const addMarkerUnlessDuplicate = async (location, pinType, label) => {
+    const matches = findDuplicates(location, markers);
+    if (matches.length > 0) {
+      setPendingDuplicate({ location, pinType, label, matches });
+      return false;
+    }
+    await addMarker(location, pinType, label);
+    return true;
+  };
+
+  const handleAddDuplicateAnyway = async () => {
+    const { location, pinType, label } = pendingDuplicate;
+    setPendingDuplicate(null);
+    try {
+      await addMarker(location, pinType, label);
+    } catch (err) {
+      console.error('Error adding pin:', err);
+      setError('Failed to add pin. Please try again.');
+    }
+  };
+
+  const handleJumpToMarker = (marker) => {
+    setFocusRequest({ lat: marker.lat, lng: marker.lng, requestedAt: Date.now() });
+    setPendingDuplicate(null);
+    setShowDuplicatesAudit(false);
+    if (window.innerWidth < 768) {
+      setSidebarOpen(false);
+    }
+  };
+
+  const handleAddressSubmit = async (address, pinType = activePinType) => {
+    if (!mapId || !canEdit) return;
     
     setGeocoding(true);
     setError('');
 
     try {
-      const result = await geocodeAddress(address);
-      
-      // Save to Firestore with pin type
-      const markersRef = collection(db, 'users', user.uid, 'markers');
-      const newMarkerRef = doc(markersRef);
-      await setDoc(newMarkerRef, {
-        ...result,
-        pinType,
-        createdAt: Date.now(),
-      });
+      const coordinates = parseCoordinates(address);
+      const result = coordinates
+        ? await locatePosition(coordinates)
+        : await geocodeAddress(address, region);
+      const added = await addMarkerUnlessDuplicate(result, pinType, 'Add pin');
       
       // Close sidebar on mobile after adding location
-      if (window.innerWidth < 768) {
+      if (added && window.innerWidth < 768) {
         setSidebarOpen(false);
       }
     } catch (err) {
+      if (err.code === 'ambiguous') {
+        setPendingGeocode({ address, pinType, candidates: err.candidates });
+      } else {
+        setError(err.message);
+      }
+    } finally {
+      setGeocoding(false);
+    }
+  };
+
+  const handlePickGeocodeCandidate = async (candidate) => {
+    const { address, pinType, brand } = pendingGeocode;
+    setPendingGeocode(null);
+    rememberGeocode(address, candidate, region);
+    try {
+      if (brand) {
+        await addCompetitor(candidate, brand);
+      } else {
+        await addMarkerUnlessDuplicate(candidate, pinType, 'Add pin');
+      }
+    } catch (err) {
+      console.error('Error adding pin:', err);
+      setError(brand ? 'Failed to add competitor. Please try again.' : 'Failed to add pin. Please try again.');
+    }
+  };
+
+  // Competitors are deleted outright rather than trashed; undo writes them back
+  const addCompetitor = async (location, brand) => {
+    const newCompetitorRef = doc(mapCollection(workspaceId, mapId, 'competitors'));
+    const competitor = {
+      lat: location.lat,
+      lng: location.lng,
+      address: location.address,
+      brand,
+      createdAt: Date.now(),
+    };
+    await setDoc(newCompetitorRef, competitor);
+    history.record({
+      type: 'competitors',
+      label: 'Add competitor',
+      before: [{ id: newCompetitorRef.id, data: null }],
+      after: [{ id: newCompetitorRef.id, data: competitor }],
+    });
+  };
+
+  // Resolves to true once the address is dealt with, so the form can clear
+  const handleAddCompetitor = async (address, brand) => {
+    if (!mapId || !canEdit) return false;
+
+    setAddingCompetitor(true);
+    setError('');
+
+    try {
+      const coordinates = parseCoordinates(address);
+      await addCompetitor(coordinates ? await locatePosition(coordinates) : await geocodeAddress(address, region), brand);
+      return true;
+    } catch (err) {
+      if (err.code === 'ambiguous') {
+        setPendingGeocode({ address, brand, candidates: err.candidates });
+        return true;
+      }
       setError(err.message);
+      return false;
+    } finally {
+      setAddingCompetitor(false);
+    }
+  };
+
+  const handleRemoveCompetitor = async (competitor) => {
+    if (!mapId || !canEdit) return;
+    try {
+      await deleteDoc(doc(mapCollection(workspaceId, mapId, 'competitors'), competitor.id));
+      history.record({
+        type: 'competitors',
+        label: 'Remove competitor',
+        before: [markerState(competitor)],
+        after: [markerState(competitor, false)],
+      });
+    } catch (err) {
+      console.error('Error removing competitor:', err);
+      setError('Failed to remove competitor. Please try again.');
+    }
+  };
+
+  const handleChangeCompetitorBrand = async (competitor, brand) => {
+    if (!mapId || !canEdit || competitor.brand === brand) return;
+    const { id, ...data } = { ...competitor, brand };
+    try {
+      await setDoc(doc(mapCollection(workspaceId, mapId, 'competitors'), id), data);
+      history.record({
+        type: 'competitors',
+        label: 'Change competitor brand',
+        before: [markerState(competitor)],
+        after: [{ id, data }],
+      });
+    } catch (err) {
+      console.error('Error updating competitor:', err);
+      setError('Failed to update competitor. Please try again.');
+    }
+  };
+
+  // Save competitors from the import wizard as one undoable change
+  const handleImportCompetitors = async (newCompetitors) => {
+    // Thrown rather than ignored so the wizard doesn't report a phantom import
+    if (!mapId || !canEdit) throw new Error('No editable map to import into');
+    const saved = await saveImportedDocuments(mapCollection(workspaceId, mapId, 'competitors'), newCompetitors);
+    history.record({
+      type: 'competitors',
+      label: saved.length === 1 ? 'Import competitor' : `Import ${saved.length} competitors`,
+      before: saved.map(({ id }) => ({ id, data: null })),
+      after: saved,
+    });
+  };
+
+  // Save pins from the import wizard as one undoable change. Throws on
+  // failure so the wizard can report it.
+  const handleImportMarkers = async (newMarkers) => {
+    if (!mapId || !canEdit) throw new Error('No editable map to import into');
+    const saved = await saveImportedDocuments(
+      mapCollection(workspaceId, mapId, 'markers'),
+      newMarkers.map(marker => ({
+        ...marker,
+        statusHistory: [statusEntry({ to: marker.pinType, at: marker.createdAt, user })],
+      }))
+    );
+    history.record({
+      type: 'markers',
+      label: saved.length === 1 ? 'Import pin' : `Import ${saved.length} pins`,
+      before: saved.map(({ id }) => ({ id, data: null })),
+      after: saved,
+    });
+  };
+
+  // Drop-pin mode: a click on the map places a pin of the chosen type there
+  const handleDropPin = async (position) => {
+    if (!mapId || !canEdit) return;
+
+    setGeocoding(true);
+    setError('');
+
+    try {
+      await addMarkerUnlessDuplicate(await locatePosition(position), activePinType, 'Drop pin');
+    } catch (err) {
+      console.error('Error dropping pin:', err);
+      setError('Failed to drop pin. Please try again.');
     } finally {
       setGeocoding(false);
     }
   };
 
-  const handleRemoveMarker = async (index) => {
-    if (!user) return;
+  const handleRemoveMarker = async (markerId) => {
+    if (!mapId || !canEdit) return;
     
-    const markerToRemove = markers[index];
+    const markerToRemove = markers.find(m => m.id === markerId);
     if (markerToRemove?.id) {
       try {
-        await deleteDoc(doc(db, 'users', user.uid, 'markers', markerToRemove.id));
+        // Soft delete - the pin stays in the trash until restored or purged
+        await updateDoc(doc(mapCollection(workspaceId, mapId, 'markers'), markerToRemove.id), trashFields(user?.uid));
+        history.record({
+          type: 'markers',
+          label: 'Remove pin',
+          before: [markerState(markerToRemove)],
+          after: [markerState(markerToRemove, false)],
+        });
       } catch (err) {
         console.error('Error removing marker:', err);
         setError('Failed to remove pin. Please try again.');
@@ -244,21 +857,40 @@ export default function Dashboard() {
     }
   };
 
+  // Replace a marker's document and record the edit. Throws on failure so
+  // callers can report it their own way.
+  const saveMarker = async (marker, updatedMarker, label) => {
+    const { id, ...data } = { ...updatedMarker, id: marker.id };
+
+    // Optimistic update
+    setMarkers(prev => prev.map(m => (m.id === id ? { id, ...data } : m)));
+
+    try {
+      await setDoc(doc(mapCollection(workspaceId, mapId, 'markers'), id), data);
+    } catch (err) {
+      setMarkers(prev => prev.map(m => (m.id === id ? marker : m)));
+      throw err;
+    }
+    history.record({
+      type: 'markers',
+      label,
+      before: [markerState(marker)],
+      after: [{ id, data }],
+    });
+  };
+
   // Update a marker (e.g., change pin type)
-  const handleUpdateMarker = async (index, updatedMarker) => {
-    if (!user) return;
+  const handleUpdateMarker = async (markerId, updatedMarker, label) => {
+    if (!mapId || !canEdit) return;
     
-    const marker = markers[index];
+    const marker = markers.find(m => m.id === markerId);
     if (marker?.id) {
       try {
-        // Optimistic update
-        const newMarkers = [...markers];
-        newMarkers[index] = { ...marker, ...updatedMarker };
-        setMarkers(newMarkers);
-        
-        // Update in Firestore
-        const markerRef = doc(db, 'users', user.uid, 'markers', marker.id);
-        await setDoc(markerRef, { ...marker, ...updatedMarker });
+        await saveMarker(
+          marker,
+          withStatusChange(marker, updatedMarker, user),
+          label || (updatedMarker.pinType !== marker.pinType ? 'Change pin type' : 'Edit pin')
+        );
       } catch (err) {
         console.error('Error updating marker:', err);
         setError('Failed to update pin. Please try again.');
@@ -266,23 +898,77 @@ export default function Dashboard() {
     }
   };
 
+  // A pin was dragged to a new spot: keep the exact drop position and, if
+  // asked, refresh the address from it
+  const handleMoveMarker = async (marker, position, { updateAddress = true } = {}) => {
+    if (!mapId || !canEdit) return;
+
+    let address = marker.address;
+    if (updateAddress) {
+      setGeocoding(true);
+      try {
+        ({ address } = await reverseGeocode(position.lat, position.lng));
+      } catch (err) {
+        console.error('Error reverse geocoding pin:', err);
+        setError('Pin moved, but its address could not be looked up. The old address was kept.');
+      } finally {
+        setGeocoding(false);
+      }
+    }
+
+    await handleUpdateMarker(marker.id, { ...marker, ...position, address }, 'Move pin');
+  };
+
+  // Trade-area rings around one pin, at the map's ring distances
+  const handleToggleTradeArea = async (marker) => {
+    if (!mapId || !canEdit) return;
+    const { tradeArea, ...updatedMarker } = marker;
+    if (!tradeArea) updatedMarker.tradeArea = true;
+    try {
+      await saveMarker(marker, updatedMarker, tradeArea ? 'Remove trade area' : 'Add trade area');
+    } catch (err) {
+      console.error('Error updating trade area:', err);
+      setError('Failed to update the trade area. Please try again.');
+    }
+  };
+
+  const handleSaveSiteDetails = async (marker, values) => {
+    if (!mapId || !canEdit) return;
+    await saveMarker(marker, applySiteFields(marker, values), 'Edit site details');
+  };
+
+  // Status changes from the details timeline, which may be backdated. Both
+  // throw on failure so the timeline can report it.
+  const handleChangeStatus = async (marker, pinType, { at, note }) => {
+    if (!mapId || !canEdit) return;
+    await saveMarker(marker, withStatusChange(marker, { ...marker, pinType }, user, { at, note }), 'Change pin type');
+  };
+
+  const handleEditStatusEntry = async (marker, entryId, changes) => {
+    if (!mapId || !canEdit) return;
+    await saveMarker(marker, editStatusEntry(marker, entryId, changes), 'Edit status history');
+  };
+
   const handleDeleteAllPins = () => {
     setShowDeleteModal(true);
   };
 
   const confirmDeleteAll = async () => {
-    if (!user) return;
+    if (!mapId || !canEdit) return;
     
     try {
-      // Batch delete all markers
-      const batch = writeBatch(db);
-      markers.forEach((marker) => {
-        if (marker.id) {
-          const markerRef = doc(db, 'users', user.uid, 'markers', marker.id);
-          batch.delete(markerRef);
-        }
+      // Move all markers to the trash, in batches of at most 500 writes
+      const trashed = trashFields(user?.uid);
+      const markersRef = mapCollection(workspaceId, mapId, 'markers');
+      await commitInChunks(markers
+        .filter(marker => marker.id)
+        .map(marker => (batch) => batch.update(doc(markersRef, marker.id), trashed)));
+      history.record({
+        type: 'markers',
+        label: 'Delete all pins',
+        before: markers.map(m => markerState(m)),
+        after: markers.map(m => markerState(m, false)),
       });
-      await batch.commit();
       setShowDeleteModal(false);
     } catch (err) {
       console.error('Error deleting all markers:', err);
@@ -291,6 +977,27 @@ export default function Dashboard() {
     }
   };
 
+  // Trash actions
+  const handleRestoreFromTrash = async (collectionName, ids) => {
+    if (!mapId || !canEdit) return;
+    try {
+      await restoreFromTrash(mapCollection(workspaceId, mapId, collectionName), ids);
+    } catch (err) {
+      console.error('Error restoring from trash:', err);
+      setError('Failed to restore. Please try again.');
+    }
+  };
+
+  const handlePurgeFromTrash = async (collectionName, ids) => {
+    if (!mapId || !canEdit) return;
+    try {
+      await purgeTrash(workspaceId, mapId, collectionName, ids);
+    } catch (err) {
+      console.error('Error emptying trash:', err);
+      setError('Failed to delete permanently. Please try again.');
+    }
+  };
+
   const handleLogout = async () => {
     try {
       await signOut(auth);
@@ -436,7 +1143,7 @@ export default function Dashboard() {
             />
             <div className="flex items-center gap-2">
               {/* Clear all button - only visible on mobile in sidebar */}
-              {markers.length > 0 && (
+              {markers.length > 0 && canEdit && (
                 <button
                   onClick={handleDeleteAllPins}
                   className="md:hidden text-xs text-gray-500 hover:text-red-600 active:text-red-700 transition-colors flex items-center gap-1.5 px-2 py-1.5 rounded-md hover:bg-gray-100"
@@ -460,17 +1167,86 @@ export default function Dashboard() {
           </div>
         </div>
 
+        {/* Workspace switcher */}
+        {workspaces.length > 0 && (
+          <WorkspaceSwitcher
+            workspaces={workspaces}
+            activeWorkspaceId={workspaceId}
+            role={role}
+            invites={invites}
+            onSelectWorkspace={handleSelectWorkspace}
+            onCreateWorkspace={handleCreateWorkspace}
+            onAcceptInvite={handleAcceptInvite}
+            onManageWorkspace={() => setShowWorkspaceModal(true)}
+          />
+        )}
+
+        {/* Map switcher */}
+        {maps.length > 0 && (
+          <MapSwitcher
+            maps={maps}
+            activeMapId={mapId}
+            readOnly={!canEdit}
+            onSelectMap={handleSelectMap}
+            onCreateMap={handleCreateMap}
+            onRenameMap={handleRenameMap}
+            onDuplicateMap={handleDuplicateMap}
+            onArchiveMap={(map) => handleArchiveMap(map, true)}
+            onRestoreMap={(map) => handleArchiveMap(map, false)}
+          />
+        )}
+
         {/* Title */}
         <div className="p-4 md:p-6 border-b border-gray-100">
-          <h1 className="text-xl md:text-2xl font-bold text-gray-900">Add Location</h1>
+          <h1 className="text-xl md:text-2xl font-bold text-gray-900">
+            {canEdit ? 'Add Location' : 'Locations'}
+          </h1>
           <p className="text-sm text-gray-500 mt-1">
-            Enter an address to drop a pin on the map
+            {canEdit
+              ? 'Enter an address to drop a pin on the map'
+              : 'You have view-only access to this workspace'}
           </p>
         </div>
 
         {/* Address Input */}
         <div className="p-4 md:p-6 flex-1 overflow-y-auto">
-          <AddressInput onAddressSubmit={handleAddressSubmit} loading={geocoding} />
+          {canEdit && (
+            <AddressInput
+              onAddressSubmit={handleAddressSubmit}
+              loading={geocoding}
+              pinTypes={pinTypes}
+              pinType={activePinType}
+              onPinTypeChange={setNewPinType}
+              onEditPinTypes={() => setShowPinTypesModal(true)}
+              region={region}
+              onEditRegion={() => setShowRegionModal(true)}
+            />
+          )}
+
+          {canEdit && (
+            <div className="mt-3 grid grid-cols-2 gap-2">
+              <button
+                onClick={() => setImportKind('pins')}
+                className="flex items-center justify-center gap-2 px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-50 rounded-full transition-colors"
+                title="Import pins from a CSV or Excel spreadsheet"
+              >
+                <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                </svg>
+                Import pins
+              </button>
+              <button
+                onClick={() => setShowBoundaryImport(true)}
+                className="flex items-center justify-center gap-2 px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-50 rounded-full transition-colors"
+                title="Import territory polygons from GeoJSON, KML or Shapefile"
+              >
+                <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 20l-5.447-2.724A1 1 0 013 16.382V5.618a1 1 0 011.447-.894L9 7m0 13l6-3m-6 3V7m6 10l4.553 2.276A1 1 0 0021 18.382V7.618a1 1 0 00-.553-.894L15 4m0 13V4m0 0L9 7" />
+                </svg>
+                Import shapes
+              </button>
+            </div>
+          )}
 
           {error && (
             <div className="mt-4 p-3 rounded-lg bg-red-50 border border-red-200 text-red-700 text-sm">
@@ -490,6 +1266,40 @@ export default function Dashboard() {
               markers={markers} 
               onRemoveMarker={handleRemoveMarker}
               onUpdateMarker={handleUpdateMarker}
+              onOpenDetails={(marker) => setDetailMarkerId(marker.id)}
+              onEditPinTypes={() => setShowPinTypesModal(true)}
+              pinTypes={pinTypes}
+              filter={pinFilter}
+              onFindDuplicates={() => setShowDuplicatesAudit(true)}
+              onFilterChange={setPinFilter}
+              mapCenter={mapCenter}
+              readOnly={!canEdit}
+            />
+          )}
+
+          {!markersLoading && (
+            <CompetitorList
+              key={mapId}
+              competitors={competitors}
+              brands={brands}
+              adding={addingCompetitor}
+              readOnly={!canEdit}
+              onAdd={handleAddCompetitor}
+              onRemove={handleRemoveCompetitor}
+              onChangeBrand={handleChangeCompetitorBrand}
+              onSelect={handleJumpToMarker}
+              onEditBrands={() => setShowBrandsModal(true)}
+              onImport={() => setImportKind('competitors')}
+            />
+          )}
+
+          {canEdit && (
+            <TrashBin
+              trashedMarkers={trashedMarkers}
+              trashedShapes={trashedShapes}
+              colorLabels={colorLabels}
+              onRestore={handleRestoreFromTrash}
+              onPurge={handlePurgeFromTrash}
             />
           )}
         </div>
@@ -516,11 +1326,34 @@ export default function Dashboard() {
       {/* Map */}
       <div className="flex-1 relative">
         <MapComponent 
+          key={mapId}
           markers={markers} 
           shapes={shapes} 
           onShapesChange={handleShapesChange}
           colorLabels={colorLabels}
           onColorLabelsChange={handleColorLabelsChange}
+          readOnly={!canEdit}
+          onUndo={handleUndo}
+          onRedo={handleRedo}
+          canUndo={history.canUndo}
+          canRedo={history.canRedo}
+          undoLabel={history.undoLabel}
+          redoLabel={history.redoLabel}
+          onOpenMarkerDetails={(marker) => setDetailMarkerId(marker.id)}
+          onToggleTradeArea={handleToggleTradeArea}
+          pinTypes={pinTypes}
+          onMoveMarker={handleMoveMarker}
+          onDropPin={handleDropPin}
+          newPinType={activePinType}
+          onNewPinTypeChange={setNewPinType}
+          pinFilter={pinFilter}
+          onCenterChange={setMapCenter}
+          layers={layers}
+          focusRequest={focusRequest}
+          onLayersChange={handleLayersChange}
+          competitors={competitors}
+          brands={brands}
+          defaultCenter={region.center}
         />
         
         {/* Mobile menu button */}
@@ -553,7 +1386,7 @@ export default function Dashboard() {
         
         {/* Desktop clear button */}
         <div className="hidden md:flex absolute top-4 right-4 flex-col gap-2">
-          {markers.length > 0 && (
+          {markers.length > 0 && canEdit && (
             <button
               onClick={handleDeleteAllPins}
               className="bg-white px-4 py-2 rounded-lg shadow-md text-sm font-medium text-gray-700 hover:bg-gray-50 transition-colors flex items-center gap-2"
@@ -590,7 +1423,7 @@ export default function Dashboard() {
               Delete All Pins?
             </h3>
             <p className="text-sm text-gray-500 text-center mb-6">
-              Are you sure you want to delete all {markers.length} pinned location{markers.length !== 1 ? 's' : ''}? This action cannot be undone.
+              Are you sure you want to delete all {markers.length} pinned location{markers.length !== 1 ? 's' : ''}? They&apos;ll move to the Trash, where you can restore them for {TRASH_RETENTION_DAYS} days.
             </p>
             
             {/* Buttons */}
@@ -612,6 +1445,141 @@ export default function Dashboard() {
         </div>
       )}
 
+      {/* Site Details Panel */}
+      {detailMarker && (
+        <SiteDetailsPanel
+          key={detailMarker.id}
+          marker={detailMarker}
+          workspaceId={workspaceId}
+          mapId={mapId}
+          uid={user?.uid}
+          pinTypes={pinTypes}
+          readOnly={!canEdit}
+          onSave={(values) => handleSaveSiteDetails(detailMarker, values)}
+          onChangeStatus={(pinType, changes) => handleChangeStatus(detailMarker, pinType, changes)}
+          onEditStatusEntry={(entryId, changes) => handleEditStatusEntry(detailMarker, entryId, changes)}
+          onClose={() => setDetailMarkerId(null)}
+        />
+      )}
+
+      {/* Duplicate Pin Modal */}
+      {pendingDuplicate && (
+        <DuplicatePinModal
+          candidate={pendingDuplicate}
+          matches={pendingDuplicate.matches}
+          pinTypes={pinTypes}
+          onJumpTo={handleJumpToMarker}
+          onChangeType={(marker, pinType) => {
+            setPendingDuplicate(null);
+            handleUpdateMarker(marker.id, { ...marker, pinType });
+          }}
+          onAddAnyway={handleAddDuplicateAnyway}
+          onClose={() => setPendingDuplicate(null)}
+        />
+      )}
+
+      {/* Ambiguous Address Modal */}
+      {pendingGeocode && (
+        <GeocodeCandidatesModal
+          address={pendingGeocode.address}
+          candidates={pendingGeocode.candidates}
+          onPick={handlePickGeocodeCandidate}
+          onClose={() => setPendingGeocode(null)}
+        />
+      )}
+
+      {/* Duplicates Audit Modal */}
+      {showDuplicatesAudit && (
+        <DuplicatesAuditModal
+          markers={markers}
+          pinTypes={pinTypes}
+          readOnly={!canEdit}
+          onJumpTo={handleJumpToMarker}
+          onRemove={handleRemoveMarker}
+          onClose={() => setShowDuplicatesAudit(false)}
+        />
+      )}
+
+      {/* Import Wizard */}
+      {importKind === 'pins' && canEdit && (
+        <ImportWizard
+          key={mapId}
+          markers={markers}
+          types={pinTypes.map(type => ({ id: type.id, label: type.label, color: type.bodyColor }))}
+          defaultType={activePinType}
+          region={region}
+          onImport={handleImportMarkers}
+          onClose={() => setImportKind(null)}
+        />
+      )}
+      {importKind === 'competitors' && canEdit && (
+        <ImportWizard
+          key={mapId}
+          kind="competitors"
+          markers={competitors}
+          types={brands}
+          defaultType={brands[brands.length - 1]?.id}
+          region={region}
+          onImport={handleImportCompetitors}
+          onClose={() => setImportKind(null)}
+        />
+      )}
+
+      {/* Boundary Import Modal */}
+      {showBoundaryImport && canEdit && (
+        <BoundaryImportModal
+          key={mapId}
+          colorLabels={colorLabels}
+          onImport={handleImportShapes}
+          onClose={() => setShowBoundaryImport(false)}
+        />
+      )}
+
+      {/* Pin Types Modal */}
+      {showPinTypesModal && canEdit && (
+        <PinTypesModal
+          key={workspaceId}
+          workspaceId={workspaceId}
+          pinTypes={pinTypes}
+          markers={markers}
+          onClose={() => setShowPinTypesModal(false)}
+        />
+      )}
+
+      {/* Competitor Brands Modal */}
+      {showBrandsModal && canEdit && (
+        <BrandsModal
+          key={workspaceId}
+          workspaceId={workspaceId}
+          brands={brands}
+          competitors={competitors}
+          onClose={() => setShowBrandsModal(false)}
+        />
+      )}
+
+      {/* Search Area Modal */}
+      {showRegionModal && canEdit && (
+        <RegionSettingsModal
+          key={workspaceId}
+          workspaceId={workspaceId}
+          region={region}
+          mapCenter={mapCenter}
+          onClose={() => setShowRegionModal(false)}
+        />
+      )}
+
+      {/* Workspace Members Modal */}
+      {showWorkspaceModal && activeWorkspace && (
+        <WorkspaceMembersModal
+          key={activeWorkspace.id}
+          workspace={activeWorkspace}
+          user={user}
+          role={role}
+          onClose={() => setShowWorkspaceModal(false)}
+          onMapCreated={handleSelectMap}
+        />
+      )}
+
       {/* Logout Confirmation Modal */}
       {showLogoutModal && (
         <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
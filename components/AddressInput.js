@@ -2,20 +2,25 @@
 
 import { useState, useRef, useEffect } from 'react';
 import { Autocomplete, useJsApiLoader } from '@react-google-maps/api';
+import { DEFAULT_PIN_TYPES, DEFAULT_PIN_TYPE_ID } from '@/lib/pinTypes';
+import { parseCoordinates, formatCoordinates } from '@/lib/coordinates';
+import { DEFAULT_REGION, autocompleteOptions } from '@/lib/region';
 
 const libraries = ['places'];
 
-// Pin types - keep in sync with MapComponent
-const PIN_TYPES = {
-  open: { bodyColor: '#d32f2f', label: 'Open', icon: '✓' },           // Red body, Blue inner
-  coming_soon: { bodyColor: '#3B82F6', label: 'Coming Soon', icon: '◷' }, // Blue body
-  closed: { bodyColor: '#6B7280', label: 'Closed', icon: '✕' },       // Gray body
-  prospect: { bodyColor: '#F59E0B', label: 'Prospect', icon: '?' },   // Orange body
-};
-
-export default function AddressInput({ onAddressSubmit, loading }) {
+export default function AddressInput({
+  onAddressSubmit,
+  loading,
+  pinTypes = DEFAULT_PIN_TYPES,
+  pinType = DEFAULT_PIN_TYPE_ID,
+  onPinTypeChange,
+  onEditPinTypes,
+  region = DEFAULT_REGION,
+  onEditRegion,
+}) {
   const [address, setAddress] = useState('');
-  const [pinType, setPinType] = useState('open');
+  // Pasted lat/lng pairs skip geocoding and drop the pin at that exact spot
+  const coordinates = parseCoordinates(address);
   const autocompleteRef = useRef(null);
   const inputRef = useRef(null);
 
@@ -51,9 +56,21 @@ export default function AddressInput({ onAddressSubmit, loading }) {
   return (
     <form onSubmit={handleSubmit} className="w-full">
       <div className="mb-4">
-        <label htmlFor="address" className="block text-sm font-medium text-gray-700 mb-2">
-          Enter Address
-        </label>
+        <div className="flex items-center justify-between mb-2">
+          <label htmlFor="address" className="block text-sm font-medium text-gray-700">
+            Enter Address or Coordinates
+          </label>
+          {onEditRegion && (
+            <button
+              type="button"
+              onClick={onEditRegion}
+              className="text-xs font-medium text-gray-500 hover:text-red-600 transition-colors"
+              title={region.countries.length > 0 ? `Searching in ${region.countries.join(', ').toUpperCase()}` : 'Searching everywhere'}
+            >
+              Search area
+            </button>
+          )}
+        </div>
         <div className="relative">
           <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none z-10">
             <svg className="h-5 w-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -65,10 +82,7 @@ export default function AddressInput({ onAddressSubmit, loading }) {
             <Autocomplete
               onLoad={onLoad}
               onPlaceChanged={onPlaceChanged}
-              options={{
-                types: ['address'],
-                componentRestrictions: { country: 'us' },
-              }}
+              options={autocompleteOptions(region)}
             >
               <input
                 ref={inputRef}
@@ -76,7 +90,9 @@ export default function AddressInput({ onAddressSubmit, loading }) {
                 type="text"
                 value={address}
                 onChange={(e) => setAddress(e.target.value)}
-                placeholder="Start typing an address..."
+                placeholder={region.placeTypes === 'address'
+                  ? 'Start typing an address, or paste lat, lng...'
+                  : 'Search for a place, or paste lat, lng...'}
                 className="w-full pl-10 pr-4 py-3.5 md:py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent text-gray-900 text-base"
                 autoComplete="off"
               />
@@ -93,19 +109,35 @@ export default function AddressInput({ onAddressSubmit, loading }) {
             />
           )}
         </div>
+        {coordinates && (
+          <p className="mt-1.5 text-xs text-gray-500">
+            Coordinates: {formatCoordinates(coordinates)}
+          </p>
+        )}
       </div>
 
       {/* Pin Type Selector */}
       <div className="mb-4">
-        <label className="block text-sm font-medium text-gray-700 mb-2">
-          Location Type
-        </label>
+        <div className="flex items-center justify-between mb-2">
+          <label className="block text-sm font-medium text-gray-700">
+            Location Type
+          </label>
+          {onEditPinTypes && (
+            <button
+              type="button"
+              onClick={onEditPinTypes}
+              className="text-xs font-medium text-gray-500 hover:text-red-600 transition-colors"
+            >
+              Edit types
+            </button>
+          )}
+        </div>
         <div className="grid grid-cols-2 gap-2">
-          {Object.entries(PIN_TYPES).map(([key, { bodyColor, label }]) => (
+          {pinTypes.map(({ id: key, bodyColor, label }) => (
             <button
               key={key}
               type="button"
-              onClick={() => setPinType(key)}
+              onClick={() => onPinTypeChange && onPinTypeChange(key)}
               className={`flex items-center gap-2 px-3 py-2 rounded-lg border-2 transition-all text-sm font-medium ${
                 pinType === key
                   ? 'border-gray-800 bg-gray-50'
@@ -116,7 +148,7 @@ export default function AddressInput({ onAddressSubmit, loading }) {
                 className="w-3 h-3 rounded-full flex-shrink-0"
                 style={{ backgroundColor: bodyColor }}
               />
-              <span className="text-gray-700">{label}</span>
+              <span className="text-gray-700 truncate">{label}</span>
             </button>
           ))}
         </div>
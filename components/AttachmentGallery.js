@@ -0,0 +1,190 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Image from 'next/image';
+import {
+  attachmentsCollection,
+  subscribeToAttachments,
+  uploadAttachment,
+  deleteAttachment,
+  isImageAttachment,
+  formatFileSize,
+} from '@/lib/attachments';
+
+const buttonClassName = 'flex items-center gap-1.5 px-2.5 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-100 rounded-md transition-colors cursor-pointer';
+
+// Photos and documents on a pin: thumbnails, uploads with progress, and
+// deletion for editors
+export default function AttachmentGallery({ workspaceId, mapId, markerId, uid, readOnly = false }) {
+  // Tagged with the pin they were loaded for, so another pin's files never show
+  const [loaded, setLoaded] = useState({ markerId: null, attachments: [] });
+  const [uploads, setUploads] = useState([]);
+  const [confirmingId, setConfirmingId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const unsubscribe = subscribeToAttachments(
+      attachmentsCollection(workspaceId, mapId, markerId),
+      (attachments) => setLoaded({ markerId, attachments }),
+      (err) => {
+        console.error('Error loading attachments:', err);
+        setError('Failed to load attachments.');
+      }
+    );
+    return () => unsubscribe();
+  }, [workspaceId, mapId, markerId]);
+
+  const attachments = loaded.markerId === markerId ? loaded.attachments : [];
+  const loading = loaded.markerId !== markerId;
+
+  const handleFiles = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    setError('');
+
+    await Promise.all(files.map(async (file, index) => {
+      const uploadId = `${Date.now()}-${index}`;
+      const setProgress = (progress) => setUploads(prev =>
+        prev.map(upload => (upload.id === uploadId ? { ...upload, progress } : upload)));
+
+      setUploads(prev => [...prev, { id: uploadId, name: file.name, progress: 0 }]);
+      try {
+        await uploadAttachment({ workspaceId, mapId, markerId, file, uid, onProgress: setProgress });
+      } catch (err) {
+        console.error('Error uploading attachment:', err);
+        setError(err.code ? `Failed to upload ${file.name}. Please try again.` : err.message);
+      } finally {
+        setUploads(prev => prev.filter(upload => upload.id !== uploadId));
+      }
+    }));
+  };
+
+  const handleDelete = async (attachment) => {
+    setConfirmingId(null);
+    setError('');
+    try {
+      await deleteAttachment(workspaceId, mapId, markerId, attachment);
+    } catch (err) {
+      console.error('Error deleting attachment:', err);
+      setError(`Failed to delete ${attachment.name}. Please try again.`);
+    }
+  };
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-semibold text-gray-700">
+          Attachments{attachments.length > 0 && ` (${attachments.length})`}
+        </h4>
+        {!readOnly && (
+          <div className="flex gap-2">
+            {/* Opens the camera directly on phones */}
+            <label className={`${buttonClassName} md:hidden`}>
+              <svg className="h-3.5 w-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 9a2 2 0 012-2h.93a2 2 0 001.664-.89l.812-1.22A2 2 0 0110.07 4h3.86a2 2 0 011.664.89l.812 1.22A2 2 0 0018.07 7H19a2 2 0 012 2v9a2 2 0 01-2 2H5a2 2 0 01-2-2V9z" />
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 13a3 3 0 11-6 0 3 3 0 016 0z" />
+              </svg>
+              Photo
+              <input type="file" accept="image/*" capture="environment" onChange={handleFiles} className="sr-only" />
+            </label>
+            <label className={buttonClassName}>
+              <svg className="h-3.5 w-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" />
+              </svg>
+              Add files
+              <input type="file" multiple onChange={handleFiles} className="sr-only" />
+            </label>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <p className="mb-2 text-xs text-red-600">{error}</p>
+      )}
+
+      {uploads.map(upload => (
+        <div key={upload.id} className="mb-2">
+          <div className="flex items-center justify-between text-xs text-gray-600 mb-1">
+            <span className="truncate">{upload.name}</span>
+            <span>{Math.round(upload.progress * 100)}%</span>
+          </div>
+          <div className="h-1.5 rounded-full bg-gray-200 overflow-hidden">
+            <div className="h-full bg-red-600 transition-all" style={{ width: `${upload.progress * 100}%` }} />
+          </div>
+        </div>
+      ))}
+
+      {loading ? (
+        <p className="text-xs text-gray-400">Loading attachments...</p>
+      ) : attachments.length === 0 ? (
+        uploads.length === 0 && (
+          <p className="text-xs text-gray-400">
+            {readOnly ? 'No attachments.' : 'No attachments yet. Add site photos, LOIs or surveys.'}
+          </p>
+        )
+      ) : (
+        <div className="grid grid-cols-3 gap-2">
+          {attachments.map(attachment => (
+            <div key={attachment.id} className="relative group">
+              <a
+                href={attachment.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="block aspect-square rounded-lg border border-gray-200 overflow-hidden bg-gray-50 hover:border-red-300 transition-colors"
+                title={`${attachment.name} (${formatFileSize(attachment.size)})`}
+              >
+                {isImageAttachment(attachment) && (attachment.thumbnailUrl || attachment.url) ? (
+                  <Image
+                    src={attachment.thumbnailUrl || attachment.url}
+                    alt={attachment.name}
+                    fill
+                    unoptimized
+                    className="object-cover"
+                  />
+                ) : (
+                  <div className="h-full flex flex-col items-center justify-center gap-1 p-2">
+                    <svg className="h-8 w-8 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 21h10a2 2 0 002-2V9.414a1 1 0 00-.293-.707l-5.414-5.414A1 1 0 0012.586 3H7a2 2 0 00-2 2v14a2 2 0 002 2z" />
+                    </svg>
+                    <span className="text-[10px] text-gray-600 text-center break-all line-clamp-2">{attachment.name}</span>
+                  </div>
+                )}
+              </a>
+
+              {!readOnly && (confirmingId === attachment.id ? (
+                <div className="absolute inset-x-1 bottom-1 flex items-center justify-center gap-1 bg-white/95 rounded-md p-1 shadow">
+                  <span className="text-[10px] text-gray-700">Delete?</span>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(attachment)}
+                    className="px-1.5 py-0.5 text-[10px] font-medium text-white bg-red-600 hover:bg-red-700 rounded"
+                  >
+                    Yes
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setConfirmingId(null)}
+                    className="px-1.5 py-0.5 text-[10px] font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded"
+                  >
+                    No
+                  </button>
+                </div>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => setConfirmingId(attachment.id)}
+                  className="absolute top-1 right-1 p-1 bg-white/90 rounded-full text-gray-500 hover:text-red-600 shadow opacity-100 md:opacity-0 md:group-hover:opacity-100 transition-opacity"
+                  title="Delete attachment"
+                >
+                  <svg className="h-3.5 w-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,221 @@
+'use client';
+
+import { useState } from 'react';
+import { SHAPE_COLORS } from '@/lib/shapes';
+import {
+  MAX_SHAPE_POINTS,
+  readBoundaryFile,
+  polygonsFromFeatures,
+  boundaryPropertyKeys,
+  assignColors,
+  buildImportedShapes,
+  importedColorLabels,
+} from '@/lib/boundaries';
+
+const PREVIEW_VALUES = 10;
+
+const selectClassName = 'w-full min-w-0 text-sm px-2 py-1.5 border border-gray-300 rounded-md bg-white text-gray-700';
+
+// Upload territory polygons and add them to the map as shapes.
+// `onImport(shapes, colorLabels)` saves them and throws on failure.
+export default function BoundaryImportModal({ colorLabels, onImport, onClose }) {
+  const [fileName, setFileName] = useState('');
+  const [featureCount, setFeatureCount] = useState(0);
+  const [polygons, setPolygons] = useState(null);
+  const [colorProperty, setColorProperty] = useState('');
+  const [labelProperty, setLabelProperty] = useState('');
+  const [nameProperty, setNameProperty] = useState('');
+  const [defaultColor, setDefaultColor] = useState('blue');
+  const [reading, setReading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const propertyKeys = polygons ? boundaryPropertyKeys(polygons) : [];
+  const simplifiedCount = polygons ? polygons.filter(polygon => polygon.originalPoints > MAX_SHAPE_POINTS).length : 0;
+  const colorPreview = polygons && colorProperty ? [...assignColors(polygons, colorProperty)] : [];
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setError('');
+    setReading(true);
+    try {
+      const features = await readBoundaryFile(file);
+      const found = polygonsFromFeatures(features);
+      if (found.length === 0) {
+        throw new Error('No polygons found in that file.');
+      }
+      const keys = boundaryPropertyKeys(found);
+      setFileName(file.name);
+      setFeatureCount(features.length);
+      setPolygons(found);
+      setColorProperty('');
+      setLabelProperty('');
+      setNameProperty(keys.find(key => /^name$/i.test(key)) || '');
+    } catch (err) {
+      console.error('Error reading boundary file:', err);
+      setError(err.message || 'Could not read that file.');
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setError('');
+    setSaving(true);
+    try {
+      const shapes = buildImportedShapes(polygons, {
+        colorProperty: colorProperty || null,
+        nameProperty: nameProperty || null,
+        defaultColor,
+      });
+      const labels = labelProperty ? importedColorLabels(polygons, shapes, labelProperty) : {};
+      await onImport(shapes, labels);
+      onClose();
+    } catch (err) {
+      console.error('Error importing shapes:', err);
+      setError('Failed to save the imported shapes. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const propertySelect = (id, value, onChange) => (
+    <select id={id} value={value} onChange={(e) => onChange(e.target.value)} className={selectClassName}>
+      <option value="">None</option>
+      {propertyKeys.map(key => (
+        <option key={key} value={key}>{key}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/50 backdrop-blur-sm"
+        onClick={onClose}
+      />
+
+      {/* Modal */}
+      <div className="relative bg-white rounded-xl shadow-2xl max-w-md w-full max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-lg font-semibold text-gray-900">Import Boundaries</h3>
+          <button
+            onClick={onClose}
+            className="p-1 text-gray-400 hover:text-gray-600"
+          >
+            <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4 truncate">
+          {fileName || 'Add territory polygons from GeoJSON, KML or a zipped Shapefile.'}
+        </p>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-lg bg-red-50 border border-red-200 text-red-700 text-sm">
+            {error}
+          </div>
+        )}
+
+        {!polygons ? (
+          <label className={`flex flex-col items-center justify-center gap-2 p-8 border-2 border-dashed border-gray-300 rounded-lg text-center transition-colors ${
+            reading ? 'opacity-50' : 'cursor-pointer hover:border-red-400 hover:bg-red-50'
+          }`}>
+            <svg className="h-8 w-8 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 20l-5.447-2.724A1 1 0 013 16.382V5.618a1 1 0 011.447-.894L9 7m0 13l6-3m-6 3V7m6 10l4.553 2.276A1 1 0 0021 18.382V7.618a1 1 0 00-.553-.894L15 4m0 13V4m0 0L9 7" />
+            </svg>
+            <span className="text-sm font-medium text-gray-700">
+              {reading ? 'Reading file...' : 'Choose a boundary file'}
+            </span>
+            <span className="text-xs text-gray-500">.geojson, .kml, or a .zip with .shp, .dbf and .prj</span>
+            <input
+              type="file"
+              accept=".geojson,.json,.kml,.zip"
+              onChange={handleFileChange}
+              disabled={reading}
+              className="sr-only"
+            />
+          </label>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-700">
+              {polygons.length} {polygons.length === 1 ? 'outline' : 'outlines'} from {featureCount} {featureCount === 1 ? 'feature' : 'features'}
+              {simplifiedCount > 0 && (
+                <span className="text-gray-500"> · {simplifiedCount} simplified to {MAX_SHAPE_POINTS} points</span>
+              )}
+            </p>
+
+            <div className="grid grid-cols-[auto_1fr] items-center gap-x-3 gap-y-2">
+              <label htmlFor="boundary-color" className="text-xs font-medium text-gray-600">Color from</label>
+              {propertySelect('boundary-color', colorProperty, setColorProperty)}
+              <label htmlFor="boundary-label" className="text-xs font-medium text-gray-600">Label from</label>
+              {propertySelect('boundary-label', labelProperty, setLabelProperty)}
+              <label htmlFor="boundary-name" className="text-xs font-medium text-gray-600">Name from</label>
+              {propertySelect('boundary-name', nameProperty, setNameProperty)}
+            </div>
+
+            {colorProperty ? (
+              <div className="rounded-lg border border-gray-200 divide-y divide-gray-200">
+                {colorPreview.slice(0, PREVIEW_VALUES).map(([value, color]) => (
+                  <div key={value} className="px-3 py-1.5 flex items-center gap-2">
+                    <span className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: SHAPE_COLORS[color] }} />
+                    <span className="text-sm text-gray-700 truncate">{value || '(blank)'}</span>
+                  </div>
+                ))}
+                {colorPreview.length > PREVIEW_VALUES && (
+                  <p className="px-3 py-1.5 text-xs text-gray-500">
+                    and {colorPreview.length - PREVIEW_VALUES} more values (colors repeat)
+                  </p>
+                )}
+              </div>
+            ) : (
+              <div className="flex items-center gap-1.5">
+                {Object.entries(SHAPE_COLORS).map(([key, value]) => (
+                  <button
+                    key={key}
+                    type="button"
+                    onClick={() => setDefaultColor(key)}
+                    className={`w-5 h-5 rounded-full border-2 transition-all ${
+                      defaultColor === key
+                        ? 'scale-110 border-gray-400 ring-2 ring-offset-1 ring-gray-300'
+                        : 'border-transparent hover:scale-105'
+                    }`}
+                    style={{ backgroundColor: value }}
+                    title={colorLabels[key] || key}
+                  />
+                ))}
+              </div>
+            )}
+
+            {labelProperty && (
+              <p className="text-xs text-gray-500">
+                Each color&apos;s legend label is set from the first shape using it, replacing any existing label.
+              </p>
+            )}
+
+            <div className="flex gap-3">
+              <button
+                onClick={() => setPolygons(null)}
+                disabled={saving}
+                className="flex-1 px-4 py-2.5 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors disabled:opacity-50"
+              >
+                Back
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={saving}
+                className="flex-1 px-4 py-2.5 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {saving ? 'Importing...' : `Add ${polygons.length} ${polygons.length === 1 ? 'shape' : 'shapes'}`}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+// A brand's mark: its logo when it has one, otherwise its short text badge
+// on the brand color. Size and text size come from `className`.
+export default function BrandBadge({ brand, className = 'w-4 h-4 text-[9px]' }) {
+  if (brand.logoUrl) {
+    return (
+      <span
+        className={`${className} rounded flex-shrink-0 bg-white bg-center bg-no-repeat bg-contain`}
+        style={{ backgroundImage: `url("${brand.logoUrl}")`, boxShadow: `0 0 0 1px ${brand.color}` }}
+        role="img"
+        aria-label={brand.label}
+      />
+    );
+  }
+
+  return (
+    <span
+      className={`${className} rounded flex-shrink-0 flex items-center justify-center font-bold text-white normal-case`}
+      style={{ backgroundColor: brand.color }}
+    >
+      {brand.icon}
+    </span>
+  );
+}
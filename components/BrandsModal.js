@@ -0,0 +1,209 @@
+'use client';
+
+import { useState } from 'react';
+import { makePinTypeId } from '@/lib/pinTypes';
+import { DEFAULT_BRANDS, MAX_BRAND_ICON_LENGTH, isLogoUrl, saveBrands } from '@/lib/competitors';
+import BrandBadge from '@/components/BrandBadge';
+
+export default function BrandsModal({ workspaceId, brands, competitors = [], onClose }) {
+  const [list, setList] = useState(brands);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // How many competitors on the open map carry each brand
+  const usage = competitors.reduce((counts, competitor) => {
+    counts[competitor.brand] = (counts[competitor.brand] || 0) + 1;
+    return counts;
+  }, {});
+
+  const updateBrand = (index, changes) => {
+    setList(prev => prev.map((brand, i) => (i === index ? { ...brand, ...changes } : brand)));
+  };
+
+  const moveBrand = (index, offset) => {
+    setList((prev) => {
+      const next = [...prev];
+      const [moved] = next.splice(index, 1);
+      next.splice(index + offset, 0, moved);
+      return next;
+    });
+  };
+
+  const removeBrand = (index) => {
+    setList(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const addBrand = () => {
+    setList(prev => [
+      ...prev,
+      { id: makePinTypeId('New brand', prev), label: 'New brand', color: '#0EA5E9', icon: '' },
+    ]);
+  };
+
+  const handleSave = async () => {
+    if (list.length === 0) {
+      setError('Keep at least one brand.');
+      return;
+    }
+    if (list.some(brand => !brand.label.trim())) {
+      setError('Every brand needs a name.');
+      return;
+    }
+    if (list.some(brand => brand.logoUrl?.trim() && !isLogoUrl(brand.logoUrl.trim()))) {
+      setError('Logo links must start with http:// or https://.');
+      return;
+    }
+
+    setError('');
+    setSaving(true);
+    try {
+      await saveBrands(workspaceId, list);
+      onClose();
+    } catch (err) {
+      console.error('Error saving competitor brands:', err);
+      setError('Failed to save brands. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/50 backdrop-blur-sm"
+        onClick={onClose}
+      />
+
+      {/* Modal */}
+      <div className="relative bg-white rounded-xl shadow-2xl max-w-lg w-full max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-lg font-semibold text-gray-900">Competitor brands</h3>
+          <button
+            onClick={onClose}
+            className="p-1 text-gray-400 hover:text-gray-600"
+          >
+            <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          Shared by every map in this workspace. Markers show the brand&apos;s logo when you link an image (PNG, SVG or JPEG); otherwise they show the mark, a text badge of up to {MAX_BRAND_ICON_LENGTH} characters on the brand color.
+        </p>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-lg bg-red-50 border border-red-200 text-red-700 text-sm">
+            {error}
+          </div>
+        )}
+
+        <div className="space-y-2">
+          {list.map((brand, index) => (
+            <div key={brand.id} className="flex items-center gap-2 p-2 bg-gray-50 rounded-lg border border-gray-200">
+              <BrandBadge brand={brand} className="w-7 h-7 text-[10px] shadow" />
+              <input
+                type="text"
+                value={brand.icon || ''}
+                onChange={(e) => updateBrand(index, { icon: e.target.value.slice(0, MAX_BRAND_ICON_LENGTH) })}
+                placeholder="M"
+                title="Mark"
+                className="w-11 px-1 py-1 border border-gray-300 rounded-md text-sm text-center text-gray-900 focus:outline-none focus:ring-2 focus:ring-red-500"
+              />
+              <div className="min-w-0 flex-1">
+                <input
+                  type="text"
+                  value={brand.label}
+                  onChange={(e) => updateBrand(index, { label: e.target.value })}
+                  className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-red-500"
+                />
+                <input
+                  type="url"
+                  value={brand.logoUrl || ''}
+                  onChange={(e) => updateBrand(index, { logoUrl: e.target.value })}
+                  placeholder="Logo image link (optional)"
+                  title="Logo image link"
+                  className="w-full mt-1 px-2 py-1 border border-gray-300 rounded-md text-xs text-gray-900 focus:outline-none focus:ring-2 focus:ring-red-500"
+                />
+                {usage[brand.id] > 0 && (
+                  <p className="text-xs text-gray-400 mt-0.5">
+                    {usage[brand.id]} location{usage[brand.id] !== 1 ? 's' : ''} on this map
+                  </p>
+                )}
+              </div>
+              <input
+                type="color"
+                value={brand.color}
+                onChange={(e) => updateBrand(index, { color: e.target.value })}
+                title="Color"
+                className="w-7 h-7 rounded cursor-pointer border border-gray-300"
+              />
+              <div className="flex flex-col">
+                <button
+                  onClick={() => moveBrand(index, -1)}
+                  disabled={index === 0}
+                  className="p-0.5 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  title="Move up"
+                >
+                  <svg className="h-3 w-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
+                  </svg>
+                </button>
+                <button
+                  onClick={() => moveBrand(index, 1)}
+                  disabled={index === list.length - 1}
+                  className="p-0.5 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  title="Move down"
+                >
+                  <svg className="h-3 w-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                  </svg>
+                </button>
+              </div>
+              <button
+                onClick={() => removeBrand(index)}
+                className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                title="Delete brand"
+              >
+                <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-3 flex items-center justify-between">
+          <button
+            onClick={addBrand}
+            className="text-sm font-medium text-red-600 hover:text-red-700"
+          >
+            + Add brand
+          </button>
+          <button
+            onClick={() => setList(DEFAULT_BRANDS)}
+            className="text-xs text-gray-500 hover:text-gray-700"
+          >
+            Reset to defaults
+          </button>
+        </div>
+
+        <div className="flex gap-3 mt-6">
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2.5 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="flex-1 px-4 py-2.5 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-lg transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
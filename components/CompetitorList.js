@@ -0,0 +1,186 @@
+'use client';
+
+import { useState } from 'react';
+import { DEFAULT_BRANDS, getBrand } from '@/lib/competitors';
+import BrandBadge from '@/components/BrandBadge';
+
+// Competitor locations grouped by brand, kept apart from our own pins.
+// Editors can add one by address, import a list, re-brand or remove them.
+// `onAdd(address, brandId)` resolves to true once the competitor is added.
+export default function CompetitorList({
+  competitors,
+  brands = DEFAULT_BRANDS,
+  adding = false,
+  readOnly = false,
+  onAdd,
+  onRemove,
+  onChangeBrand,
+  onSelect,
+  onEditBrands,
+  onImport,
+}) {
+  const [address, setAddress] = useState('');
+  const [brandId, setBrandId] = useState(brands[0]?.id || '');
+  const [collapsed, setCollapsed] = useState({});
+
+  if (readOnly && competitors.length === 0) {
+    return null;
+  }
+
+  // The chosen brand may have been deleted from the registry since
+  const newBrandId = brands.some(brand => brand.id === brandId) ? brandId : brands[0]?.id;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!address.trim() || !newBrandId) return;
+    if (await onAdd(address.trim(), newBrandId)) {
+      setAddress('');
+    }
+  };
+
+  // Registry order, then any brands that have since been removed
+  const groups = [...brands, ...competitors
+    .map(competitor => getBrand(brands, competitor.brand))
+    .filter((brand, index, all) => brand.missing && all.findIndex(b => b.id === brand.id) === index)]
+    .map(brand => ({ brand, items: competitors.filter(c => getBrand(brands, c.brand).id === brand.id) }))
+    .filter(group => group.items.length > 0);
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-sm font-semibold text-gray-700 mb-3 flex items-center gap-2">
+        <svg className="h-4 w-4 text-gray-700" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4" />
+        </svg>
+        Competitors ({competitors.length})
+        {!readOnly && (
+          <span className="ml-auto flex items-center gap-3">
+            {onImport && (
+              <button
+                onClick={onImport}
+                className="text-xs font-medium text-gray-500 hover:text-red-600 transition-colors"
+              >
+                Import
+              </button>
+            )}
+            {onEditBrands && (
+              <button
+                onClick={onEditBrands}
+                className="text-xs font-medium text-gray-500 hover:text-red-600 transition-colors"
+              >
+                Edit brands
+              </button>
+            )}
+          </span>
+        )}
+      </h3>
+
+      {!readOnly && (
+        <form onSubmit={handleSubmit} className="mb-3 space-y-2">
+          <input
+            type="text"
+            value={address}
+            onChange={(e) => setAddress(e.target.value)}
+            placeholder="Competitor address or lat, lng..."
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-red-500"
+          />
+          <div className="flex gap-2">
+            <select
+              value={newBrandId}
+              onChange={(e) => setBrandId(e.target.value)}
+              className="flex-1 min-w-0 text-sm px-2 py-1.5 border border-gray-300 rounded-md bg-white text-gray-700"
+              title="Brand"
+            >
+              {brands.map(brand => (
+                <option key={brand.id} value={brand.id}>{brand.label}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={adding || !address.trim()}
+              className="px-4 py-1.5 text-sm font-medium text-white bg-gray-800 hover:bg-gray-900 rounded-md transition-colors disabled:opacity-50"
+            >
+              {adding ? 'Adding...' : 'Add'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {competitors.length === 0 ? (
+        <p className="text-xs text-gray-400">
+          No competitors on this map yet. Add one by address, or import a list.
+        </p>
+      ) : (
+        <div className="space-y-3 max-h-64 md:max-h-80 overflow-y-auto">
+          {groups.map(({ brand, items }) => (
+            <div key={brand.id}>
+              <button
+                onClick={() => setCollapsed(prev => ({ ...prev, [brand.id]: !prev[brand.id] }))}
+                className="sticky top-0 z-10 w-full bg-white py-1 flex items-center gap-2 text-xs font-semibold text-gray-500 uppercase tracking-wider"
+              >
+                <BrandBadge brand={brand} />
+                <span className="truncate">{brand.label}</span>
+                <span className="font-normal text-gray-400">({items.length})</span>
+                <svg
+                  className={`ml-auto h-3 w-3 text-gray-400 transition-transform ${collapsed[brand.id] ? '' : 'rotate-180'}`}
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                >
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                </svg>
+              </button>
+
+              {!collapsed[brand.id] && (
+                <div className="mt-1 space-y-1">
+                  {items.map(competitor => (
+                    <div
+                      key={competitor.id}
+                      className="flex items-center gap-2 p-2 bg-gray-50 rounded-lg border border-gray-200 group hover:border-gray-300 transition-colors"
+                    >
+                      <button
+                        onClick={() => onSelect && onSelect(competitor)}
+                        className="min-w-0 flex-1 text-left"
+                        title="Show on map"
+                      >
+                        {competitor.name && (
+                          <p className="text-sm font-medium text-gray-900 truncate">{competitor.name}</p>
+                        )}
+                        <p className={`truncate ${competitor.name ? 'text-xs text-gray-500' : 'text-sm text-gray-700'}`}>
+                          {competitor.address}
+                        </p>
+                      </button>
+                      {!readOnly && (
+                        <>
+                          <select
+                            value={brand.id}
+                            onChange={(e) => onChangeBrand(competitor, e.target.value)}
+                            className="w-24 text-xs px-1 py-1 border border-gray-300 rounded-md bg-white text-gray-700"
+                            title="Brand"
+                          >
+                            {brand.missing && <option value={brand.id}>{brand.label}</option>}
+                            {brands.map(option => (
+                              <option key={option.id} value={option.id}>{option.label}</option>
+                            ))}
+                          </select>
+                          <button
+                            onClick={() => onRemove(competitor)}
+                            className="p-1 text-gray-400 hover:text-red-600 transition-colors md:opacity-0 md:group-hover:opacity-100"
+                            title="Remove competitor"
+                          >
+                            <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
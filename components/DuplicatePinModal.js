@@ -0,0 +1,90 @@
+'use client';
+
+import { getPinType } from '@/lib/pinTypes';
+import { siteTitle } from '@/lib/sites';
+import { formatDistance } from '@/lib/duplicates';
+
+// Shown before saving a new pin that looks like one already on the map
+export default function DuplicatePinModal({ candidate, matches, pinTypes, onJumpTo, onChangeType, onAddAnyway, onClose }) {
+  const newType = getPinType(pinTypes, candidate.pinType);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/50 backdrop-blur-sm"
+        onClick={onClose}
+      />
+
+      {/* Modal */}
+      <div className="relative bg-white rounded-xl shadow-2xl max-w-md w-full max-h-[90vh] overflow-y-auto p-6">
+        {/* Warning Icon */}
+        <div className="mx-auto w-12 h-12 rounded-full bg-yellow-100 flex items-center justify-center mb-4">
+          <svg className="h-6 w-6 text-yellow-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7v8a2 2 0 002 2h6M8 7V5a2 2 0 012-2h4.586a1 1 0 01.707.293l4.414 4.414a1 1 0 01.293.707V15a2 2 0 01-2 2h-2M8 7H6a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2v-2" />
+          </svg>
+        </div>
+
+        <h3 className="text-lg font-semibold text-gray-900 text-center mb-2">
+          Already Pinned?
+        </h3>
+        <p className="text-sm text-gray-500 text-center mb-4">
+          <span className="font-medium text-gray-700">{candidate.location.address}</span> looks like {matches.length === 1 ? 'a pin' : 'pins'} already on this map.
+        </p>
+
+        <div className="space-y-2 mb-6">
+          {matches.map(({ marker, reason, distance }) => {
+            const pinType = getPinType(pinTypes, marker.pinType);
+            return (
+              <div key={marker.id} className="p-3 bg-gray-50 rounded-lg border border-gray-200">
+                <div className="flex items-start gap-2">
+                  <span className="mt-1 w-2.5 h-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: pinType.bodyColor }} />
+                  <div className="min-w-0 flex-1">
+                    <p className="text-sm font-medium text-gray-900 truncate">{siteTitle(marker)}</p>
+                    <p className="text-xs text-gray-500">
+                      {pinType.label} · {reason === 'address' ? 'Same address' : 'Nearby'}, {formatDistance(distance)}
+                    </p>
+                  </div>
+                </div>
+                <div className="mt-2 flex flex-wrap gap-2">
+                  <button
+                    onClick={() => onJumpTo(marker)}
+                    className="px-2.5 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-100 rounded-md transition-colors"
+                  >
+                    Go to pin
+                  </button>
+                  {pinType.id !== newType.id && (
+                    <button
+                      onClick={() => onChangeType(marker, newType.id)}
+                      className="px-2.5 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-100 rounded-md transition-colors flex items-center gap-1"
+                    >
+                      Change to
+                      <span className="w-2 h-2 rounded-full" style={{ backgroundColor: newType.bodyColor }} />
+                      {newType.label}
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Buttons */}
+        <div className="flex gap-3">
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2.5 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={onAddAnyway}
+            className="flex-1 px-4 py-2.5 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-lg transition-colors"
+          >
+            Add Anyway
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+'use client';
+
+import { getPinType } from '@/lib/pinTypes';
+import { siteTitle } from '@/lib/sites';
+import { DUPLICATE_DISTANCE_M, findDuplicateGroups } from '@/lib/duplicates';
+
+// Lists groups of existing pins that look like the same site
+export default function DuplicatesAuditModal({ markers, pinTypes, readOnly = false, onJumpTo, onRemove, onClose }) {
+  const groups = findDuplicateGroups(markers);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/50 backdrop-blur-sm"
+        onClick={onClose}
+      />
+
+      {/* Modal */}
+      <div className="relative bg-white rounded-xl shadow-2xl max-w-md w-full max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-lg font-semibold text-gray-900">Possible Duplicates</h3>
+          <button
+            onClick={onClose}
+            className="p-1 text-gray-400 hover:text-gray-600"
+          >
+            <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          Pins with the same address or within {DUPLICATE_DISTANCE_M} m of each other.
+        </p>
+
+        {groups.length === 0 ? (
+          <p className="text-sm text-green-700 text-center py-6">No duplicates found on this map.</p>
+        ) : (
+          <div className="space-y-4">
+            {groups.map(group => (
+              <div key={group[0].id} className="rounded-lg border border-gray-200 divide-y divide-gray-200">
+                {group.map((marker) => {
+                  const pinType = getPinType(pinTypes, marker.pinType);
+                  return (
+                    <div key={marker.id} className="p-3 flex items-center gap-2">
+                      <span className="w-2.5 h-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: pinType.bodyColor }} />
+                      <div className="min-w-0 flex-1">
+                        <p className="text-sm text-gray-900 truncate">{siteTitle(marker)}</p>
+                        <p className="text-xs text-gray-500 truncate">
+                          {pinType.label}
+                          {marker.createdAt && ` · added ${new Date(marker.createdAt).toLocaleDateString()}`}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => onJumpTo(marker)}
+                        className="text-xs font-medium text-blue-600 hover:text-blue-700 px-1"
+                      >
+                        Go to
+                      </button>
+                      {!readOnly && (
+                        <button
+                          onClick={() => onRemove(marker.id)}
+                          className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                          title="Move to trash"
+                        >
+                          <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                          </svg>
+                        </button>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
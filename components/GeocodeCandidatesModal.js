@@ -0,0 +1,45 @@
+'use client';
+
+// Shown when an address matches several places, to pick the one meant
+export default function GeocodeCandidatesModal({ address, candidates, onPick, onClose }) {
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/50 backdrop-blur-sm"
+        onClick={onClose}
+      />
+
+      {/* Modal */}
+      <div className="relative bg-white rounded-xl shadow-2xl max-w-md w-full max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-lg font-semibold text-gray-900">Which Place?</h3>
+          <button
+            onClick={onClose}
+            className="p-1 text-gray-400 hover:text-gray-600"
+          >
+            <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          <span className="font-medium text-gray-700">{address}</span> matches {candidates.length} places.
+        </p>
+
+        <div className="space-y-2">
+          {candidates.map(candidate => (
+            <button
+              key={`${candidate.lat},${candidate.lng}`}
+              onClick={() => onPick(candidate)}
+              className="w-full p-3 text-left bg-gray-50 hover:bg-red-50 rounded-lg border border-gray-200 hover:border-red-300 transition-colors"
+            >
+              <p className="text-sm font-medium text-gray-900">{candidate.address}</p>
+              <p className="text-xs text-gray-500">{candidate.lat.toFixed(6)}, {candidate.lng.toFixed(6)}</p>
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
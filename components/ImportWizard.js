@@ -0,0 +1,484 @@
+'use client';
+
+import { useRef, useState } from 'react';
+import { geocodeAddress, rememberGeocode } from '@/lib/geocoding';
+import { findDuplicates } from '@/lib/duplicates';
+import { formatCoordinates } from '@/lib/coordinates';
+import {
+  IMPORT_FIELDS,
+  readSpreadsheet,
+  guessMapping,
+  isMappingComplete,
+  buildImportRows,
+  runGeocodeQueue,
+  importedMarker,
+} from '@/lib/importing';
+import { COMPETITOR_IMPORT_FIELDS, importedCompetitor } from '@/lib/competitors';
+
+const PREVIEW_ROWS = 5;
+
+// What is being imported: our own pins or a competitor list
+const IMPORT_KINDS = {
+  pins: {
+    title: 'Import Pins',
+    fields: IMPORT_FIELDS,
+    typeName: 'type',
+    typesName: 'pin types',
+    singular: 'pin',
+    plural: 'pins',
+    rowHint: 'One site per row.',
+    toDocument: importedMarker,
+  },
+  competitors: {
+    title: 'Import Competitors',
+    fields: COMPETITOR_IMPORT_FIELDS,
+    typeName: 'brand',
+    typesName: 'competitor brands',
+    singular: 'competitor',
+    plural: 'competitors',
+    rowHint: 'One competitor location per row.',
+    toDocument: importedCompetitor,
+  },
+};
+
+const countLabel = (count, { singular, plural }) => `${count} ${count === 1 ? singular : plural}`;
+
+const selectClassName = 'w-full min-w-0 text-sm px-2 py-1.5 border border-gray-300 rounded-md bg-white text-gray-700';
+
+// Spreadsheet-style column letters: 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Spreadsheet import in three steps: pick a file, map its columns, then
+// geocode and save. `types` are the pin types (or brands) as { id, label,
+// color }; `markers` are the points already on the map, for the duplicate
+// check. `onImport(documents)` saves the new documents and throws on failure.
+export default function ImportWizard({
+  kind = 'pins',
+  markers,
+  types,
+  defaultType,
+  region,
+  onImport,
+  onClose,
+}) {
+  const config = IMPORT_KINDS[kind];
+  const [step, setStep] = useState('file');
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({});
+  const [fallbackType, setFallbackType] = useState(defaultType);
+  const [reading, setReading] = useState(false);
+  const [error, setError] = useState('');
+  // Geocoding outcome per rowNumber: { location } or { error, candidates }
+  const [results, setResults] = useState({});
+  const [running, setRunning] = useState(false);
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [importedCount, setImportedCount] = useState(null);
+  const abortRef = useRef(null);
+
+  const headers = hasHeader && rows.length > 0 ? rows[0] : [];
+  const columnCount = Math.max(0, ...rows.map(row => row.length));
+  const columns = Array.from({ length: columnCount }, (_, index) => ({
+    index,
+    label: headers[index] ? `${headers[index]} (${columnName(index)})` : `Column ${columnName(index)}`,
+  }));
+
+  const importRows = buildImportRows(rows, mapping, { hasHeader, types, defaultType: fallbackType });
+  const withCoordinates = importRows.filter(row => row.coordinates).length;
+
+  const doneRows = importRows.filter(row => results[row.rowNumber]);
+  const failedRows = importRows.filter(row => results[row.rowNumber]?.error);
+
+  // Geocoded rows, each checked against the map and the rows before it
+  const seen = [...markers];
+  const readyRows = importRows
+    .filter(row => results[row.rowNumber]?.location)
+    .map((row) => {
+      const location = results[row.rowNumber].location;
+      const duplicate = findDuplicates(location, seen).length > 0;
+      seen.push({ id: `import-${row.rowNumber}`, ...location });
+      return { row, location, duplicate };
+    });
+  const duplicateCount = readyRows.filter(ready => ready.duplicate).length;
+  const toImport = readyRows.filter(ready => !skipDuplicates || !ready.duplicate);
+
+  const handleClose = () => {
+    abortRef.current?.abort();
+    onClose();
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setError('');
+    setReading(true);
+    try {
+      const loaded = await readSpreadsheet(file);
+      setRows(loaded);
+      setFileName(file.name);
+      setHasHeader(true);
+      setMapping(guessMapping(loaded[0], config.fields));
+      setStep('map');
+    } catch (err) {
+      console.error('Error reading spreadsheet:', err);
+      setError(err.message || 'Could not read that file.');
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const handleHeaderChange = (checked) => {
+    setHasHeader(checked);
+    setMapping(guessMapping(checked ? rows[0] : [], config.fields));
+  };
+
+  const handleMappingChange = (key, value) => {
+    setMapping(prev => ({ ...prev, [key]: value === '' ? null : Number(value) }));
+  };
+
+  const geocodeRows = async (queue) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRunning(true);
+    try {
+      await runGeocodeQueue(queue, {
+        geocode: (query) => geocodeAddress(query, region),
+        signal: controller.signal,
+        onResult: (row, result) => {
+          if (!controller.signal.aborted) {
+            setResults(prev => ({ ...prev, [row.rowNumber]: result }));
+          }
+        },
+      });
+    } finally {
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+        setRunning(false);
+      }
+    }
+  };
+
+  const handleStartGeocoding = () => {
+    setResults({});
+    setStep('geocode');
+    geocodeRows(importRows);
+  };
+
+  const handleRetryFailed = () => {
+    setResults(prev => Object.fromEntries(Object.entries(prev).filter(([, result]) => !result.error)));
+    geocodeRows(failedRows);
+  };
+
+  // Settle an ambiguous row with the match the user picked
+  const handlePickCandidate = (row, candidate) => {
+    rememberGeocode(row.query, candidate, region);
+    setResults(prev => ({ ...prev, [row.rowNumber]: { location: candidate } }));
+  };
+
+  const handleStop = () => {
+    abortRef.current?.abort();
+    abortRef.current = null;
+    setRunning(false);
+  };
+
+  const handleBackToMapping = () => {
+    handleStop();
+    setStep('map');
+  };
+
+  const handleImport = async () => {
+    setError('');
+    setSaving(true);
+    try {
+      // Consecutive timestamps keep the file's order in the pin list
+      const createdAt = Date.now();
+      await onImport(toImport.map(({ row, location }, index) => config.toDocument(row, location, createdAt + index)));
+      setImportedCount(toImport.length);
+    } catch (err) {
+      console.error(`Error importing ${config.plural}:`, err);
+      setError(`Failed to save the imported ${config.plural}. Please try again.`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const progress = importRows.length > 0 ? Math.round((doneRows.length / importRows.length) * 100) : 0;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/50 backdrop-blur-sm"
+        onClick={handleClose}
+      />
+
+      {/* Modal */}
+      <div className="relative bg-white rounded-xl shadow-2xl max-w-lg w-full max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-lg font-semibold text-gray-900">{config.title}</h3>
+          <button
+            onClick={handleClose}
+            className="p-1 text-gray-400 hover:text-gray-600"
+          >
+            <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4 truncate">
+          {fileName || `Add ${config.plural} from a CSV or Excel (.xlsx) spreadsheet.`}
+        </p>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-lg bg-red-50 border border-red-200 text-red-700 text-sm">
+            {error}
+          </div>
+        )}
+
+        {/* Step 1: file */}
+        {step === 'file' && (
+          <label className={`flex flex-col items-center justify-center gap-2 p-8 border-2 border-dashed border-gray-300 rounded-lg text-center transition-colors ${
+            reading ? 'opacity-50' : 'cursor-pointer hover:border-red-400 hover:bg-red-50'
+          }`}>
+            <svg className="h-8 w-8 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
+            </svg>
+            <span className="text-sm font-medium text-gray-700">
+              {reading ? 'Reading file...' : 'Choose a spreadsheet'}
+            </span>
+            <span className="text-xs text-gray-500">{config.rowHint} Columns are matched on the next step.</span>
+            <input
+              type="file"
+              accept=".csv,.txt,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+              onChange={handleFileChange}
+              disabled={reading}
+              className="sr-only"
+            />
+          </label>
+        )}
+
+        {/* Step 2: column mapping and preview */}
+        {step === 'map' && (
+          <div className="space-y-4">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={hasHeader}
+                onChange={(e) => handleHeaderChange(e.target.checked)}
+                className="rounded border-gray-300 text-red-600 focus:ring-red-500"
+              />
+              First row has column names
+            </label>
+
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Columns</h4>
+              <div className="grid grid-cols-[auto_1fr] items-center gap-x-3 gap-y-2">
+                {config.fields.map(({ key, label }) => (
+                  <div key={key} className="contents">
+                    <label htmlFor={`import-${key}`} className="text-xs font-medium text-gray-600">{label}</label>
+                    <select
+                      id={`import-${key}`}
+                      value={mapping[key] ?? ''}
+                      onChange={(e) => handleMappingChange(key, e.target.value)}
+                      className={selectClassName}
+                    >
+                      <option value="">Not in file</option>
+                      {columns.map(column => (
+                        <option key={column.index} value={column.index}>{column.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+                <label htmlFor="import-fallback-type" className="text-xs font-medium text-gray-600">Default {config.typeName}</label>
+                <select
+                  id="import-fallback-type"
+                  value={fallbackType}
+                  onChange={(e) => setFallbackType(e.target.value)}
+                  className={selectClassName}
+                >
+                  {types.map(type => (
+                    <option key={type.id} value={type.id}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+              <p className="mt-2 text-xs text-gray-500">
+                Rows with latitude and longitude are placed as-is; the rest are looked up by address.
+                The default {config.typeName} is used when a row has no {config.typeName} or one that isn&apos;t in your {config.typesName}.
+              </p>
+            </div>
+
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">
+                Preview
+                <span className="ml-1 font-normal text-gray-500">
+                  ({importRows.length} {importRows.length === 1 ? 'row' : 'rows'}
+                  {withCoordinates > 0 && `, ${withCoordinates} with coordinates`})
+                </span>
+              </h4>
+              <div className="rounded-lg border border-gray-200 divide-y divide-gray-200">
+                {importRows.slice(0, PREVIEW_ROWS).map((row) => {
+                  const type = types.find(t => t.id === row.typeId);
+                  return (
+                    <div key={row.rowNumber} className="p-2 flex items-start gap-2">
+                      <span className="text-xs text-gray-400 w-8 flex-shrink-0">#{row.rowNumber}</span>
+                      <span className="mt-1 w-2.5 h-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: type?.color }} />
+                      <div className="min-w-0 flex-1">
+                        <p className="text-sm text-gray-900 truncate">
+                          {row.siteName || row.query || (row.coordinates && formatCoordinates(row.coordinates)) || (
+                            <span className="text-red-600">No address</span>
+                          )}
+                        </p>
+                        <p className="text-xs text-gray-500 truncate">
+                          {type?.label}
+                          {row.unknownType && <span className="text-yellow-700"> · unknown {config.typeName} &quot;{row.unknownType}&quot;</span>}
+                          {row.siteName && row.query && ` · ${row.query}`}
+                          {row.coordinates && ' · has coordinates'}
+                        </p>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+              {importRows.length > PREVIEW_ROWS && (
+                <p className="mt-1 text-xs text-gray-500">and {importRows.length - PREVIEW_ROWS} more</p>
+              )}
+            </div>
+
+            {!isMappingComplete(mapping) && (
+              <p className="text-xs text-red-600">Choose an address column, or both latitude and longitude.</p>
+            )}
+
+            <div className="flex gap-3">
+              <button
+                onClick={() => setStep('file')}
+                className="flex-1 px-4 py-2.5 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+              >
+                Back
+              </button>
+              <button
+                onClick={handleStartGeocoding}
+                disabled={!isMappingComplete(mapping) || importRows.length === 0}
+                className="flex-1 px-4 py-2.5 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Locate {importRows.length} {importRows.length === 1 ? 'row' : 'rows'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Step 3: geocoding, failures and save */}
+        {step === 'geocode' && importedCount === null && (
+          <div className="space-y-4">
+            <div>
+              <div className="flex items-center justify-between text-xs text-gray-600 mb-1">
+                <span>
+                  {running ? 'Looking up addresses...' : 'Lookup finished'}
+                </span>
+                <span>{doneRows.length} of {importRows.length}</span>
+              </div>
+              <div className="h-2 rounded-full bg-gray-200 overflow-hidden">
+                <div className="h-full bg-red-600 transition-all" style={{ width: `${progress}%` }} />
+              </div>
+              <p className="mt-2 text-xs text-gray-500">
+                {readyRows.length} located · {failedRows.length} failed
+                {duplicateCount > 0 && ` · ${duplicateCount} already on the map`}
+              </p>
+            </div>
+
+            {failedRows.length > 0 && (
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className="text-sm font-semibold text-gray-700">Failed rows</h4>
+                  {!running && (
+                    <button
+                      onClick={handleRetryFailed}
+                      className="text-xs font-medium text-blue-600 hover:text-blue-700"
+                    >
+                      Retry failed
+                    </button>
+                  )}
+                </div>
+                <div className="rounded-lg border border-red-200 divide-y divide-red-100 max-h-48 overflow-y-auto">
+                  {failedRows.map(row => (
+                    <div key={row.rowNumber} className="p-2 flex items-start gap-2">
+                      <span className="text-xs text-gray-400 w-8 flex-shrink-0">#{row.rowNumber}</span>
+                      <div className="min-w-0 flex-1">
+                        <p className="text-sm text-gray-900 truncate">{row.query || row.siteName || 'Empty row'}</p>
+                        <p className="text-xs text-red-600">{results[row.rowNumber].error}</p>
+                        {results[row.rowNumber].candidates?.length > 0 && (
+                          <select
+                            value=""
+                            onChange={(e) => handlePickCandidate(row, results[row.rowNumber].candidates[e.target.value])}
+                            className="mt-1 w-full min-w-0 text-xs px-2 py-1 border border-gray-300 rounded-md bg-white text-gray-700"
+                          >
+                            <option value="" disabled>Pick the right match...</option>
+                            {results[row.rowNumber].candidates.map((candidate, index) => (
+                              <option key={`${candidate.lat},${candidate.lng}`} value={index}>{candidate.address}</option>
+                            ))}
+                          </select>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {duplicateCount > 0 && (
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={skipDuplicates}
+                  onChange={(e) => setSkipDuplicates(e.target.checked)}
+                  className="rounded border-gray-300 text-red-600 focus:ring-red-500"
+                />
+                Skip {duplicateCount} {duplicateCount === 1 ? 'row that looks' : 'rows that look'} like {config.plural} already on the map
+              </label>
+            )}
+
+            <div className="flex gap-3">
+              <button
+                onClick={running ? handleStop : handleBackToMapping}
+                disabled={saving}
+                className="flex-1 px-4 py-2.5 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors disabled:opacity-50"
+              >
+                {running ? 'Stop' : 'Back'}
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={running || saving || toImport.length === 0}
+                className="flex-1 px-4 py-2.5 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {saving ? 'Importing...' : `Import ${countLabel(toImport.length, config)}`}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {importedCount !== null && (
+          <div className="text-center space-y-4">
+            <p className="text-sm text-green-700 py-4">
+              Imported {countLabel(importedCount, config)}.
+              {failedRows.length > 0 && ` ${failedRows.length} ${failedRows.length === 1 ? 'row was' : 'rows were'} left out.`}
+            </p>
+            <button
+              onClick={onClose}
+              className="w-full px-4 py-2.5 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-lg transition-colors"
+            >
+              Done
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
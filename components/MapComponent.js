@@ -1,32 +1,31 @@
 'use client';
 
-import { GoogleMap, Marker, useJsApiLoader, InfoWindow, Polygon, Polyline } from '@react-google-maps/api';
+import { GoogleMap, Marker, useJsApiLoader, InfoWindow, Polygon, Polyline, Circle } from '@react-google-maps/api';
 import { useCallback, useState, useMemo, useRef, useEffect } from 'react';
 import html2canvas from 'html2canvas';
 import { jsPDF } from 'jspdf';
+import { SHAPE_COLORS, measureShape } from '@/lib/shapes';
+import { siteTitle, openDateLabel } from '@/lib/sites';
+import { DEFAULT_PIN_TYPES, DEFAULT_PIN_TYPE_ID, getPinType } from '@/lib/pinTypes';
+import { CLUSTER_MAX_ZOOM, clusterMarkers, clusterTypeCounts } from '@/lib/clustering';
+import { DEFAULT_PIN_FILTER, isFilterActive, matchesPinFilter } from '@/lib/pinFilters';
+import { DEFAULT_LAYERS, isPinTypeVisible, isShapeColorVisible, isBrandVisible, toggleLayer } from '@/lib/layers';
+import { DEFAULT_BRANDS, getBrand } from '@/lib/competitors';
+import BrandBadge from '@/components/BrandBadge';
+import { EXPORT_FORMATS, downloadTextFile } from '@/lib/exporting';
+import { MAX_TRADE_AREA_RINGS, parseRingMiles, formatRingMiles, hasTradeArea } from '@/lib/tradeAreas';
+import { DEFAULT_REGION } from '@/lib/region';
+import { METERS_PER_MILE, haversineDistance, scalePath, rotatePath, destinationPoint, formatArea, formatMiles, formatSquareMiles } from '@/lib/geo';
 
 const containerStyle = {
   width: '100%',
   height: '100%'
 };
 
-const defaultCenter = {
-  lat: 39.7684,
-  lng: -86.1581 // Indianapolis, IN - Drive & Shine territory
-};
-
 const libraries = ['places'];
 
-// Pin types with body color, inner circle color, and labels
-export const PIN_TYPES = {
-  open: { bodyColor: '#d32f2f', innerColor: '#1a1a6e', label: 'Open', icon: '✓' },           // Red body, Blue inner
-  coming_soon: { bodyColor: '#3B82F6', innerColor: '#1a1a6e', label: 'Coming Soon', icon: '◷' }, // Blue body, Dark inner
-  closed: { bodyColor: '#6B7280', innerColor: '#374151', label: 'Closed', icon: '✕' },       // Gray body, Dark gray inner
-  prospect: { bodyColor: '#F59E0B', innerColor: '#1a1a6e', label: 'Prospect', icon: '?' },   // Orange body, Dark inner
-};
-
 // Dynamic marker icon based on zoom level and pin type
-const getMarkerIcon = (zoom, pinType = 'open', isPreview = false) => {
+const getMarkerIcon = (zoom, pinType, isPreview = false) => {
   let scale;
   if (isPreview) {
     scale = 0.6;
@@ -50,10 +49,12 @@ const getMarkerIcon = (zoom, pinType = 'open', isPreview = false) => {
   const width = Math.round(baseWidth * scale);
   const height = Math.round(baseHeight * scale);
   
-  // Get colors based on pin type
-  const pinConfig = PIN_TYPES[pinType] || PIN_TYPES.open;
-  const bodyColor = pinConfig.bodyColor;
-  const innerColor = pinConfig.innerColor;
+  // Get colors and glyph from the pin type's registry entry
+  const { bodyColor, innerColor, icon } = pinType;
+  // Types without an icon keep the plain white center dot
+  const centerMark = icon
+    ? `<text x="12" y="10" text-anchor="middle" dominant-baseline="central" font-family="Arial, sans-serif" font-size="8" font-weight="bold" fill="white">${icon.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</text>`
+    : '<circle cx="12" cy="10" r="2.5" fill="white"/>';
 
   return {
     url: 'data:image/svg+xml;charset=UTF-8,' + encodeURIComponent(`
@@ -67,8 +68,8 @@ const getMarkerIcon = (zoom, pinType = 'open', isPreview = false) => {
         <path d="M12 0 C6 0 2 4 2 10 C2 18 12 40 12 40 S22 18 22 10 C22 4 18 0 12 0 Z" fill="${bodyColor}" filter="url(#shadow)"/>
         <!-- Inner circle -->
         <circle cx="12" cy="10" r="6" fill="${innerColor}"/>
-        <!-- White center dot -->
-        <circle cx="12" cy="10" r="2.5" fill="white"/>
+        <!-- Type icon or white center dot -->
+        ${centerMark}
       </svg>
     `),
     scaledSize: typeof window !== 'undefined' ? new window.google.maps.Size(width, height) : null,
@@ -76,18 +77,73 @@ const getMarkerIcon = (zoom, pinType = 'open', isPreview = false) => {
   };
 };
 
-// Shape colors
-const SHAPE_COLORS = {
-  red: '#DC2626',       // Bright red
-  blue: '#2563EB',      // True blue
-  green: '#16A34A',     // Forest green
-  purple: '#9333EA',    // Violet purple
-  orange: '#EA580C',    // Deep orange
-  yellow: '#FACC15',    // Golden yellow
-  pink: '#DB2777',      // Hot pink
-  cyan: '#06B6D4',      // Cyan/Turquoise
-  brown: '#92400E',     // Brown
-  black: '#1F2937',     // Dark gray/black
+// Competitor marker: a square badge in the brand's color with its mark, so
+// competitors never read as one of our own pins
+const getCompetitorIcon = (zoom, brand) => {
+  const scale = zoom <= 8 ? 0.6 : zoom <= 12 ? 0.8 : 1;
+
+  // Brands with a logo show the image itself, sitting on the point
+  if (brand.logoUrl) {
+    const size = Math.round(28 * scale);
+    return {
+      url: brand.logoUrl,
+      scaledSize: new window.google.maps.Size(size, size),
+      anchor: new window.google.maps.Point(size / 2, size),
+    };
+  }
+
+  const width = Math.round(26 * scale);
+  const height = Math.round(32 * scale);
+  const mark = (brand.icon || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const fontSize = mark.length > 2 ? 8 : mark.length > 1 ? 10 : 12;
+
+  return {
+    url: 'data:image/svg+xml;charset=UTF-8,' + encodeURIComponent(`
+      <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 26 32">
+        <defs>
+          <filter id="shadow" x="-20%" y="-20%" width="140%" height="140%">
+            <feDropShadow dx="1" dy="1" stdDeviation="1" flood-opacity="0.3"/>
+          </filter>
+        </defs>
+        <path d="M4 1 H22 A3 3 0 0 1 25 4 V21 A3 3 0 0 1 22 24 H16 L13 31 L10 24 H4 A3 3 0 0 1 1 21 V4 A3 3 0 0 1 4 1 Z" fill="${brand.color}" stroke="white" stroke-width="1.5" filter="url(#shadow)"/>
+        <text x="13" y="12.5" text-anchor="middle" dominant-baseline="central" font-family="Arial, sans-serif" font-size="${fontSize}" font-weight="bold" fill="white">${mark}</text>
+      </svg>
+    `),
+    scaledSize: new window.google.maps.Size(width, height),
+    anchor: new window.google.maps.Point(width / 2, height),
+  };
+};
+
+// Cluster badge: a ring split by pin type color with the pin count in the middle
+const getClusterIcon = (segments, total) => {
+  const size = total < 10 ? 36 : total < 100 ? 44 : 52;
+  const radius = 15;
+  const circumference = 2 * Math.PI * radius;
+
+  let offset = 0;
+  const arcs = segments.map(({ color, count }) => {
+    const length = (count / total) * circumference;
+    const arc = `<circle cx="20" cy="20" r="${radius}" fill="none" stroke="${color}" stroke-width="6" stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}" transform="rotate(-90 20 20)"/>`;
+    offset += length;
+    return arc;
+  }).join('');
+
+  return {
+    url: 'data:image/svg+xml;charset=UTF-8,' + encodeURIComponent(`
+      <svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 40 40">
+        <defs>
+          <filter id="shadow" x="-20%" y="-20%" width="140%" height="140%">
+            <feDropShadow dx="0" dy="1" stdDeviation="1" flood-opacity="0.3"/>
+          </filter>
+        </defs>
+        <circle cx="20" cy="20" r="18" fill="white" filter="url(#shadow)"/>
+        ${arcs}
+        <text x="20" y="20" text-anchor="middle" dominant-baseline="central" font-family="Arial, sans-serif" font-size="${total < 100 ? 12 : 10}" font-weight="bold" fill="#1F2937">${total}</text>
+      </svg>
+    `),
+    scaledSize: new window.google.maps.Size(size, size),
+    anchor: new window.google.maps.Point(size / 2, size / 2),
+  };
 };
 
 // Shape recognition utilities
@@ -112,12 +168,19 @@ const distance = (p1, p2) => {
   return Math.sqrt(Math.pow(p1.lat - p2.lat, 2) + Math.pow(p1.lng - p2.lng, 2));
 };
 
-// Check if path resembles a circle
+// Top middle of a shape, where its hover card sits without covering it
+const getShapeTop = (shape) => {
+  if (shape.type === 'circle') return destinationPoint(shape.center, 0, shape.radius);
+  return { lat: getBoundingBox(shape.path).north, lng: getCenter(shape.path).lng };
+};
+
+// Check if path resembles a circle - distances in meters, since degrees of
+// longitude are shorter than degrees of latitude away from the equator
 const isCircleLike = (path) => {
   if (path.length < 10) return null;
   
   const center = getCenter(path);
-  const distances = path.map(p => distance(p, center));
+  const distances = path.map(p => haversineDistance(p, center));
   const avgRadius = distances.reduce((a, b) => a + b, 0) / distances.length;
   
   // Check if all points are roughly the same distance from center
@@ -249,16 +312,8 @@ const recognizeShape = (path) => {
   // Try circle first
   const circle = isCircleLike(path);
   if (circle) {
-    // Generate circle path (32 points)
-    const circlePoints = [];
-    for (let i = 0; i < 32; i++) {
-      const angle = (i / 32) * 2 * Math.PI;
-      circlePoints.push({
-        lat: circle.center.lat + circle.radius * Math.cos(angle),
-        lng: circle.center.lng + circle.radius * Math.sin(angle),
-      });
-    }
-    return { type: 'circle', path: circlePoints };
+    // Kept as a true center and radius in meters
+    return { type: 'circle', center: circle.center, radius: Math.round(circle.radius) };
   }
   
   // Try rectangle
@@ -283,6 +338,29 @@ export default function MapComponent({
   onShapesChange,
   colorLabels = {},
   onColorLabelsChange,
+  readOnly = false,
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false,
+  undoLabel,
+  redoLabel,
+  onOpenMarkerDetails,
+  onToggleTradeArea,
+  pinTypes = DEFAULT_PIN_TYPES,
+  onMoveMarker,
+  onDropPin,
+  newPinType = DEFAULT_PIN_TYPE_ID,
+  onNewPinTypeChange,
+  pinFilter = DEFAULT_PIN_FILTER,
+  onCenterChange,
+  layers = DEFAULT_LAYERS,
+  onLayersChange,
+  focusRequest,
+  competitors = [],
+  brands = DEFAULT_BRANDS,
+  // Where a map without pins opens: the workspace's region center
+  defaultCenter = DEFAULT_REGION.center,
 }) {
   const { isLoaded, loadError } = useJsApiLoader({
     id: 'google-map-script',
@@ -293,15 +371,31 @@ export default function MapComponent({
   const [map, setMap] = useState(null);
   const [currentZoom, setCurrentZoom] = useState(10);
   const [tooltipMarker, setTooltipMarker] = useState(null);
+  const [tooltipCompetitor, setTooltipCompetitor] = useState(null);
+  // A clicked marker keeps its tooltip open so its buttons can be reached
+  const [tooltipPinned, setTooltipPinned] = useState(false);
+
+  // Dragged pin waiting for the user to confirm the move: { marker, lat, lng }
+  const [pendingMove, setPendingMove] = useState(null);
+  const [updateAddressOnMove, setUpdateAddressOnMove] = useState(true);
+  // Google marker instances by pin id, so a cancelled drag can be put back
+  const markerInstancesRef = useRef({});
   
   // Track if initial center has been set (to prevent jumping on re-renders)
   const initialCenterSetRef = useRef(false);
   
   // Drawing state
   const [isPencilMode, setIsPencilMode] = useState(false);
+  // Drop-pin mode: map clicks place a pin of the chosen type
+  const [isDropPinMode, setIsDropPinMode] = useState(false);
   const [isDrawing, setIsDrawing] = useState(false);
   const [currentPath, setCurrentPath] = useState([]);
   const [selectedShape, setSelectedShape] = useState(null);
+  // Point editing of the selected polygon: { shapeId, path, vertex } - the
+  // outline being edited and the clicked vertex, saved only when applied
+  const [vertexDraft, setVertexDraft] = useState(null);
+  // Shape under the mouse, for its area/perimeter card
+  const [hoveredShapeId, setHoveredShapeId] = useState(null);
   const [selectedColor, setSelectedColor] = useState('red');
   
   // Download state
@@ -320,6 +414,14 @@ export default function MapComponent({
   // Shape refs for editing
   const shapeRefs = useRef({});
 
+  // Any change of selection drops an unapplied point edit
+  const selectShape = useCallback((index) => {
+    setSelectedShape(index);
+    setVertexDraft(null);
+  }, []);
+  // Dragging a circle's handles fires a stream of change events - save once it settles
+  const circleEditTimerRef = useRef(null);
+
   const onLoad = useCallback((map) => {
     setMap(map);
     setCurrentZoom(map.getZoom());
@@ -343,6 +445,72 @@ export default function MapComponent({
     }
   }, [map]);
 
+  // Let the dashboard sort the pin list by distance from what's on screen
+  const handleIdle = useCallback(() => {
+    if (map && onCenterChange) {
+      const center = map.getCenter();
+      onCenterChange({ lat: center.lat(), lng: center.lng() });
+    }
+  }, [map, onCenterChange]);
+
+  // Pins matching the sidebar's search/filter; the rest are dimmed or hidden
+  const filterActive = isFilterActive(pinFilter);
+  const matchingIds = useMemo(
+    () => new Set(markers.filter(marker => matchesPinFilter(marker, pinFilter)).map(marker => marker.id)),
+    [markers, pinFilter]
+  );
+  const isDimmed = (marker) => filterActive && !matchingIds.has(marker.id);
+
+  // Hidden layers and, in 'hide' mode, filtered-out pins are left out entirely
+  const shownMarkers = useMemo(() => markers.filter(marker =>
+    isPinTypeVisible(layers, getPinType(pinTypes, marker.pinType).id)
+    && (!filterActive || pinFilter.mapMode !== 'hide' || matchingIds.has(marker.id))
+  ), [markers, layers, pinTypes, matchingIds, filterActive, pinFilter.mapMode]);
+
+  // Pins grouped for the current zoom; recomputed whenever the live list changes
+  const clusters = useMemo(() => clusterMarkers(shownMarkers, currentZoom), [shownMarkers, currentZoom]);
+
+  // Shown pins with trade-area rings. A pin being dragged draws its rings
+  // where it was dropped until the move is confirmed or cancelled.
+  const tradeAreas = shownMarkers
+    .filter(marker => hasTradeArea(layers, marker, getPinType(pinTypes, marker.pinType).id))
+    .map(marker => ({
+      marker,
+      center: pendingMove?.marker.id === marker.id
+        ? { lat: pendingMove.lat, lng: pendingMove.lng }
+        : { lat: marker.lat, lng: marker.lng },
+      color: getPinType(pinTypes, marker.pinType).bodyColor,
+    }));
+
+  // Area and perimeter of every shape, and area totals per color for the legend.
+  // Totals only count shapes on the map, so they agree with exported figures.
+  const shapeMeasures = useMemo(() => new Map(shapes.map(shape => [shape.id, measureShape(shape)])), [shapes]);
+  const visibleShapes = shapes.filter(shape => isShapeColorVisible(layers, shape.color));
+  const colorAreas = visibleShapes.reduce((totals, shape) => {
+    totals[shape.color] = (totals[shape.color] || 0) + shapeMeasures.get(shape.id).area;
+    return totals;
+  }, {});
+  const hoveredShape = shapes.find(shape => shape.id === hoveredShapeId
+    && shape.id !== shapes[selectedShape]?.id && isShapeColorVisible(layers, shape.color));
+
+  // Competitors are their own layer and aren't clustered with our pins
+  const visibleCompetitors = competitors.filter(competitor => isBrandVisible(layers, getBrand(brands, competitor.brand).id));
+  const hiddenLayerCount = layers.hiddenPinTypes.length + layers.hiddenShapeColors.length
+    + layers.hiddenBrands.length + (layers.competitorsHidden ? 1 : 0);
+
+  // Zoom into a cluster until its pins separate
+  const handleClusterClick = useCallback((cluster) => {
+    if (!map) return;
+    const { north, south, east, west } = cluster.bounds;
+    if (north === south && east === west) {
+      // Pins stacked on one spot - go straight past the clustering zoom
+      map.panTo({ lat: north, lng: east });
+      map.setZoom(CLUSTER_MAX_ZOOM + 1);
+    } else {
+      map.fitBounds({ north, south, east, west }, 80);
+    }
+  }, [map]);
+
   // Track previous markers count to detect new markers
   const prevMarkersCountRef = useRef(markers.length);
   
@@ -357,33 +525,77 @@ export default function MapComponent({
     prevMarkersCountRef.current = markers.length;
   }, [map, markers]);
 
+  // Jump to a pin when the dashboard asks (e.g. from the duplicate check)
+  useEffect(() => {
+    if (!map || !focusRequest) return;
+    map.panTo({ lat: focusRequest.lat, lng: focusRequest.lng });
+    map.setZoom(Math.max(map.getZoom(), 17));
+  }, [map, focusRequest]);
+
+  // Region settings can arrive (or change) after an empty map has opened
+  const { lat: defaultLat, lng: defaultLng } = defaultCenter;
+  const hasMarkers = markers.length > 0;
+  useEffect(() => {
+    if (!map || hasMarkers || initialCenterSetRef.current) return;
+    map.panTo({ lat: defaultLat, lng: defaultLng });
+  }, [map, hasMarkers, defaultLat, defaultLng]);
+
   // Handle marker hover
   const handleMarkerMouseOver = useCallback((marker) => {
-    if (!isPencilMode) {
+    if (!isPencilMode && !tooltipPinned) {
       setTooltipMarker(marker);
     }
-  }, [isPencilMode]);
+  }, [isPencilMode, tooltipPinned]);
 
   const handleMarkerMouseOut = useCallback(() => {
-    setTooltipMarker(null);
-  }, []);
+    if (!tooltipPinned) {
+      setTooltipMarker(null);
+    }
+  }, [tooltipPinned]);
 
   const handleMarkerClick = useCallback((marker) => {
     setTooltipMarker(marker);
+    setTooltipPinned(true);
+  }, []);
+
+  const closeTooltip = useCallback(() => {
+    setTooltipMarker(null);
+    setTooltipPinned(false);
+  }, []);
+
+  // Marker dragging - editors only, confirmed before saving
+  const handleMarkerDragEnd = useCallback((marker, e) => {
+    setPendingMove({ marker, lat: e.latLng.lat(), lng: e.latLng.lng() });
   }, []);
 
+  const cancelMove = useCallback(() => {
+    if (pendingMove) {
+      const { marker } = pendingMove;
+      markerInstancesRef.current[marker.id]?.setPosition({ lat: marker.lat, lng: marker.lng });
+    }
+    setPendingMove(null);
+  }, [pendingMove]);
+
+  const confirmMove = useCallback(() => {
+    if (pendingMove && onMoveMarker) {
+      const { marker, lat, lng } = pendingMove;
+      onMoveMarker(marker, { lat, lng }, { updateAddress: updateAddressOnMove });
+    }
+    setPendingMove(null);
+  }, [pendingMove, onMoveMarker, updateAddressOnMove]);
+
   // Pencil drawing handlers
   const handleMapMouseDown = useCallback((e) => {
     if (!isPencilMode || !map) return;
     
     setIsDrawing(true);
-    setSelectedShape(null);
+    selectShape(null);
     const latLng = e.latLng;
     setCurrentPath([{ lat: latLng.lat(), lng: latLng.lng() }]);
     
     // Disable map dragging while drawing
     map.setOptions({ draggable: false });
-  }, [isPencilMode, map]);
+  }, [isPencilMode, map, selectShape]);
 
   const handleMapMouseMove = useCallback((e) => {
     if (!isDrawing || !isPencilMode) return;
@@ -403,19 +615,21 @@ export default function MapComponent({
       // Try to recognize the shape
       const recognized = recognizeShape(currentPath);
       
+      const geometry = recognized.type === 'circle'
+        ? { type: 'circle', center: recognized.center, radius: recognized.radius }
+        : { type: 'polygon', path: recognized.path };
       const newShape = {
         id: Date.now().toString(),
-        type: 'polygon',
+        ...geometry,
         shapeType: recognized.type, // 'circle', 'rectangle', 'triangle', or 'freehand'
-        path: recognized.path,
         color: selectedColor,
         createdAt: Date.now(),
       };
       
       if (onShapesChange) {
-        onShapesChange([...shapes, newShape]);
+        onShapesChange([...shapes, newShape], 'Draw shape');
         // Auto-select the new shape so user can immediately edit it
-        setSelectedShape(shapes.length); // Will be the index of the new shape
+        selectShape(shapes.length); // Will be the index of the new shape
       }
     }
     
@@ -423,7 +637,7 @@ export default function MapComponent({
     setIsDrawing(false);
     setCurrentPath([]);
     setIsPencilMode(false);
-  }, [isDrawing, map, currentPath, selectedColor, shapes, onShapesChange]);
+  }, [isDrawing, map, currentPath, selectedColor, shapes, onShapesChange, selectShape]);
 
   // Toggle pencil mode
   const togglePencilMode = () => {
@@ -438,30 +652,36 @@ export default function MapComponent({
     } else {
       // Enter pencil mode
       setIsPencilMode(true);
-      setSelectedShape(null);
+      setIsDropPinMode(false);
+      selectShape(null);
     }
   };
 
+  const toggleDropPinMode = () => {
+    setIsDropPinMode(!isDropPinMode);
+    selectShape(null);
+  };
+
   // Shape click handler
   const handleShapeClick = (index) => {
-    if (isPencilMode) return;
-    setSelectedShape(selectedShape === index ? null : index);
+    if (isPencilMode || readOnly) return;
+    selectShape(selectedShape === index ? null : index);
   };
 
   // Delete selected shape
   const deleteSelectedShape = () => {
     if (selectedShape !== null && onShapesChange) {
       const newShapes = shapes.filter((_, i) => i !== selectedShape);
-      onShapesChange(newShapes);
-      setSelectedShape(null);
+      onShapesChange(newShapes, 'Delete shape');
+      selectShape(null);
     }
   };
 
   // Delete all shapes
   const deleteAllShapes = () => {
     if (onShapesChange) {
-      onShapesChange([]);
-      setSelectedShape(null);
+      onShapesChange([], 'Delete all shapes');
+      selectShape(null);
     }
   };
 
@@ -478,9 +698,32 @@ export default function MapComponent({
     const updatedShapes = shapes.map(s => 
       s.id === shapeId ? { ...s, path } : s
     );
-    onShapesChange(updatedShapes);
+    onShapesChange(updatedShapes, 'Move shape');
   }, [shapes, onShapesChange]);
 
+  // Circle moved or resized with its handles - read the result off the
+  // Google circle and save it if it really changed
+  const handleCircleEdited = useCallback((shapeId) => {
+    clearTimeout(circleEditTimerRef.current);
+    circleEditTimerRef.current = setTimeout(() => {
+      const circle = shapeRefs.current[shapeId];
+      const shape = shapes.find(s => s.id === shapeId);
+      if (!circle || !shape || !onShapesChange) return;
+
+      const center = { lat: circle.getCenter().lat(), lng: circle.getCenter().lng() };
+      const radius = Math.round(circle.getRadius());
+      const moved = haversineDistance(center, shape.center) >= 0.5;
+      if (!moved && radius === Math.round(shape.radius)) return;
+
+      const updatedShapes = shapes.map(s =>
+        s.id === shapeId ? { ...s, center, radius } : s
+      );
+      onShapesChange(updatedShapes, moved ? 'Move shape' : 'Resize shape');
+    }, 300);
+  }, [shapes, onShapesChange]);
+
+  useEffect(() => () => clearTimeout(circleEditTimerRef.current), []);
+
   // Resize shape with +/- buttons (scale uniformly from center)
   const resizeShape = useCallback((scaleFactor) => {
     if (selectedShape === null || !onShapesChange) return;
@@ -488,24 +731,134 @@ export default function MapComponent({
     const shape = shapes[selectedShape];
     if (!shape) return;
     
-    const center = getCenter(shape.path);
-    
-    // Scale all points from center
-    const newPath = shape.path.map(p => ({
-      lat: center.lat + (p.lat - center.lat) * scaleFactor,
-      lng: center.lng + (p.lng - center.lng) * scaleFactor,
-    }));
+    // Circles scale their radius; polygons scale in meters around their center
+    const resized = shape.type === 'circle'
+      ? { radius: Math.round(shape.radius * scaleFactor) }
+      : { path: scalePath(shape.path, getCenter(shape.path), scaleFactor) };
     
     const updatedShapes = shapes.map((s, i) => 
-      i === selectedShape ? { ...s, path: newPath } : s
+      i === selectedShape ? { ...s, ...resized } : s
     );
     
-    onShapesChange(updatedShapes);
+    onShapesChange(updatedShapes, 'Resize shape');
   }, [selectedShape, shapes, onShapesChange]);
 
+  // Set the selected circle's radius from the miles typed into the toolbar
+  const setCircleRadius = (text) => {
+    const shape = shapes[selectedShape];
+    const miles = parseFloat(text);
+    if (shape?.type !== 'circle' || !onShapesChange || !(miles > 0)) return;
+
+    const radius = Math.round(miles * METERS_PER_MILE);
+    if (radius === Math.round(shape.radius)) return;
+
+    const updatedShapes = shapes.map((s, i) =>
+      i === selectedShape ? { ...s, radius } : s
+    );
+    onShapesChange(updatedShapes, 'Resize shape');
+  };
+
+  // Ring distances typed into the legend; anything unusable snaps back
+  const setRingMiles = (input) => {
+    const miles = parseRingMiles(input.value);
+    if (!miles || miles.length > MAX_TRADE_AREA_RINGS) {
+      input.value = formatRingMiles(layers.tradeAreaMiles);
+      return;
+    }
+    if (onLayersChange && formatRingMiles(miles) !== formatRingMiles(layers.tradeAreaMiles)) {
+      onLayersChange({ ...layers, tradeAreaMiles: miles });
+    }
+  };
+
+  // Point editing: Google's editable polygon handles dragging vertices and
+  // inserting midpoints; we add deleting and rotating, and keep it all in a
+  // draft until the user applies it as one change
+  const editingPoints = vertexDraft !== null && shapes[selectedShape]?.id === vertexDraft.shapeId;
+  const draftMeasures = editingPoints ? measureShape({ type: 'polygon', path: vertexDraft.path }) : null;
+
+  const startVertexEdit = () => {
+    const shape = shapes[selectedShape];
+    if (!shape || shape.type === 'circle') return;
+    setVertexDraft({ shapeId: shape.id, path: shape.path, vertex: null });
+  };
+
+  // Read the outline back after a vertex drag or midpoint insert
+  const syncVertexDraft = (shapeId) => {
+    const polygon = shapeRefs.current[shapeId];
+    if (!polygon) return;
+    const path = polygon.getPath().getArray().map(latLng => ({
+      lat: latLng.lat(),
+      lng: latLng.lng(),
+    }));
+    setVertexDraft(prev => (prev ? { ...prev, path } : prev));
+  };
+
+  // A polygon needs at least three points
+  const deleteVertex = (vertex) => {
+    setVertexDraft((prev) => {
+      if (!prev || vertex === null || prev.path.length <= 3) return prev;
+      return { ...prev, path: prev.path.filter((_, i) => i !== vertex), vertex: null };
+    });
+  };
+
+  const rotateDraft = (degrees) => {
+    setVertexDraft(prev => (prev ? { ...prev, path: rotatePath(prev.path, getCenter(prev.path), degrees) } : prev));
+  };
+
+  const applyVertexEdit = () => {
+    const shape = shapes[selectedShape];
+    if (editingPoints && onShapesChange && JSON.stringify(shape.path) !== JSON.stringify(vertexDraft.path)) {
+      const updatedShapes = shapes.map((s, i) =>
+        i === selectedShape ? { ...s, path: vertexDraft.path } : s
+      );
+      onShapesChange(updatedShapes, 'Edit shape points');
+    }
+    setVertexDraft(null);
+  };
+
+  // Change the color of the selected shape
+  const recolorShape = (color) => {
+    if (selectedShape === null || !onShapesChange) return;
+    if (shapes[selectedShape]?.color === color) return;
+
+    const updatedShapes = shapes.map((s, i) =>
+      i === selectedShape ? { ...s, color } : s
+    );
+    onShapesChange(updatedShapes, 'Change shape color');
+  };
+
+  // Undo/redo - the selection is cleared since the shape may no longer exist
+  const handleUndo = useCallback(() => {
+    if (readOnly || !canUndo || !onUndo) return;
+    selectShape(null);
+    onUndo();
+  }, [readOnly, canUndo, onUndo, selectShape]);
+
+  const handleRedo = useCallback(() => {
+    if (readOnly || !canRedo || !onRedo) return;
+    selectShape(null);
+    onRedo();
+  }, [readOnly, canRedo, onRedo, selectShape]);
+
   // Keyboard handler
   useEffect(() => {
     const handleKeyDown = (e) => {
+      // Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac), but leave text fields their own undo
+      const isTyping = e.target.closest?.('input, textarea, select, [contenteditable="true"]');
+      if ((e.ctrlKey || e.metaKey) && !isTyping && !isDrawing) {
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+          e.preventDefault();
+          handleUndo();
+          return;
+        }
+        if ((key === 'z' && e.shiftKey) || key === 'y') {
+          e.preventDefault();
+          handleRedo();
+          return;
+        }
+      }
+
       if (e.key === 'Escape') {
         if (isPencilMode) {
           setIsPencilMode(false);
@@ -515,15 +868,18 @@ export default function MapComponent({
             map.setOptions({ draggable: true });
           }
         }
+        if (isDropPinMode) {
+          setIsDropPinMode(false);
+        }
         if (selectedShape !== null) {
-          setSelectedShape(null);
+          selectShape(null);
         }
       }
     };
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [isPencilMode, selectedShape, map]);
+  }, [isPencilMode, isDropPinMode, isDrawing, selectedShape, map, handleUndo, handleRedo, selectShape]);
 
   // Mouse up listener for when mouse leaves map
   useEffect(() => {
@@ -604,14 +960,32 @@ export default function MapComponent({
     }
   }, []);
 
-  // Initial center - only used on first render, map position is user-controlled after that
-  const initialCenter = useMemo(() => {
+  // Data export of what's on screen: pins and shapes in visible layers,
+  // and only pins matching the sidebar filter while one is active
+  const exportMarkers = markers.filter(marker =>
+    isPinTypeVisible(layers, getPinType(pinTypes, marker.pinType).id)
+    && (!filterActive || matchingIds.has(marker.id))
+  );
+  const exportShapes = visibleShapes;
+
+  const exportData = (formatKey) => {
+    const format = EXPORT_FORMATS[formatKey];
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:-]/g, '');
+    const content = format.build({ markers: exportMarkers, shapes: exportShapes, pinTypes, colorLabels });
+    downloadTextFile(content, `map-export-${timestamp}.${format.extension}`, format.mimeType);
+    setShowDownloadMenu(false);
+  };
+
+  // Initial center - read once on mount on purpose: the map position is
+  // user-controlled after that, and later region changes are panned to by the
+  // effect above rather than by resetting the center prop
+  const [initialCenter] = useState(() => {
     if (markers.length > 0) {
       const lastMarker = markers[markers.length - 1];
       return { lat: lastMarker.lat, lng: lastMarker.lng };
     }
     return defaultCenter;
-  }, []); // Empty deps - only compute once on mount
+  });
 
   if (loadError) {
     return (
@@ -644,12 +1018,17 @@ export default function MapComponent({
         onLoad={onLoad}
         onUnmount={onUnmount}
         onZoomChanged={onZoomChanged}
+        onIdle={handleIdle}
         onMouseDown={handleMapMouseDown}
         onMouseMove={handleMapMouseMove}
         onMouseUp={handleMapMouseUp}
-        onClick={() => {
+        onClick={(e) => {
+          if (isDropPinMode && onDropPin) {
+            onDropPin({ lat: e.latLng.lat(), lng: e.latLng.lng() });
+            return;
+          }
           if (!isPencilMode && !isDrawing) {
-            setSelectedShape(null);
+            selectShape(null);
           }
         }}
         options={{
@@ -657,7 +1036,7 @@ export default function MapComponent({
           mapTypeControl: false,
           fullscreenControl: true,
           zoomControl: true,
-          draggableCursor: isPencilMode ? 'crosshair' : null,
+          draggableCursor: isPencilMode || isDropPinMode ? 'crosshair' : null,
           draggingCursor: isPencilMode ? 'crosshair' : null,
         }}
       >
@@ -675,63 +1054,283 @@ export default function MapComponent({
 
         {/* Saved shapes */}
         {shapes.map((shape, index) => {
+          if (!isShapeColorVisible(layers, shape.color)) return null;
           const isSelected = selectedShape === index;
           const color = SHAPE_COLORS[shape.color] || SHAPE_COLORS.red;
           
+          if (shape.type === 'circle') {
+            // Google circles are drawn on the sphere; selected ones get
+            // center and radius handles
+            return (
+              <Circle
+                key={shape.id}
+                center={shape.center}
+                radius={shape.radius}
+                onLoad={(circle) => { shapeRefs.current[shape.id] = circle; }}
+                onUnmount={() => { delete shapeRefs.current[shape.id]; }}
+                onCenterChanged={() => isSelected && handleCircleEdited(shape.id)}
+                onMouseOver={() => !isPencilMode && setHoveredShapeId(shape.id)}
+                onMouseOut={() => setHoveredShapeId(null)}
+                onRadiusChanged={() => isSelected && handleCircleEdited(shape.id)}
+                options={{
+                  fillColor: color,
+                  fillOpacity: isSelected ? 0.4 : 0.2,
+                  strokeColor: color,
+                  strokeWeight: isSelected ? 3 : 2,
+                  strokeOpacity: 1,
+                  editable: isSelected,
+                  draggable: isSelected,
+                  clickable: !isDropPinMode,
+                  zIndex: isSelected ? 2 : 1,
+                }}
+                onClick={() => handleShapeClick(index)}
+              />
+            );
+          }
+
+          const isEditing = isSelected && editingPoints;
+
           return (
             <Polygon
               key={shape.id}
-              path={shape.path}
+              path={isEditing ? vertexDraft.path : shape.path}
               onLoad={(polygon) => { shapeRefs.current[shape.id] = polygon; }}
               onUnmount={() => { delete shapeRefs.current[shape.id]; }}
-              onDragEnd={() => isSelected && handleShapeDragEnd(shape.id)}
+              onDragEnd={() => isSelected && !isEditing && handleShapeDragEnd(shape.id)}
+              onMouseUp={() => isEditing && syncVertexDraft(shape.id)}
+              onRightClick={(e) => isEditing && e.vertex != null && deleteVertex(e.vertex)}
+              onMouseOver={() => !isPencilMode && setHoveredShapeId(shape.id)}
+              onMouseOut={() => setHoveredShapeId(null)}
               options={{
                 fillColor: color,
                 fillOpacity: isSelected ? 0.4 : 0.2,
                 strokeColor: color,
                 strokeWeight: isSelected ? 3 : 2,
                 strokeOpacity: 1,
-                editable: false, // No dots - using +/- buttons instead
-                draggable: isSelected,
-                clickable: true,
+                editable: isEditing, // Vertex dots only in point editing; otherwise +/- buttons
+                draggable: isSelected && !isEditing,
+                clickable: !isDropPinMode, // Let drop-pin clicks reach the map inside shapes
                 zIndex: isSelected ? 2 : 1,
               }}
-              onClick={() => handleShapeClick(index)}
+              onClick={(e) => {
+                if (!isEditing) {
+                  handleShapeClick(index);
+                } else if (e.vertex != null) {
+                  setVertexDraft(prev => ({ ...prev, vertex: e.vertex }));
+                }
+              }}
             />
           );
         })}
 
-        {/* Markers */}
-        {markers.map((marker, index) => (
+        {/* Trade-area rings, labelled on their north edge once zoomed in */}
+        {tradeAreas.map(({ marker, center, color }) => layers.tradeAreaMiles.map(miles => (
+          <Circle
+            key={`ring-${marker.id}-${miles}`}
+            center={center}
+            radius={miles * METERS_PER_MILE}
+            options={{
+              strokeColor: color,
+              strokeOpacity: 0.8,
+              strokeWeight: 1.5,
+              fillColor: color,
+              fillOpacity: 0.04,
+              clickable: false,
+              zIndex: 0,
+            }}
+          />
+        )))}
+        {currentZoom >= 10 && tradeAreas.map(({ marker, center, color }) => layers.tradeAreaMiles.map(miles => (
           <Marker
-            key={marker.id || index}
-            position={{ lat: marker.lat, lng: marker.lng }}
-            title={`${marker.address} (${PIN_TYPES[marker.pinType]?.label || 'Open'})`}
-            icon={getMarkerIcon(currentZoom, marker.pinType || 'open', false)}
-            onMouseOver={() => handleMarkerMouseOver(marker)}
-            onMouseOut={handleMarkerMouseOut}
-            onClick={() => handleMarkerClick(marker)}
+            key={`ring-label-${marker.id}-${miles}`}
+            position={destinationPoint(center, 0, miles * METERS_PER_MILE)}
+            clickable={false}
+            icon={{ path: window.google.maps.SymbolPath.CIRCLE, scale: 0 }}
+            label={{ text: `${miles} mi`, color, fontSize: '11px', fontWeight: '600' }}
           />
-        ))}
+        )))}
+
+        {/* Hovered shape's size */}
+        {hoveredShape && !isDrawing && (
+          <InfoWindow
+            position={getShapeTop(hoveredShape)}
+            options={{ disableAutoPan: true }}
+            onCloseClick={() => setHoveredShapeId(null)}
+          >
+            <div className="p-1">
+              {hoveredShape.name && (
+                <p className="text-sm font-semibold text-gray-900">{hoveredShape.name}</p>
+              )}
+              <p className="text-xs text-gray-700">{formatArea(shapeMeasures.get(hoveredShape.id).area)}</p>
+              <p className="text-xs text-gray-500">{formatMiles(shapeMeasures.get(hoveredShape.id).perimeter)} perimeter</p>
+            </div>
+          </InfoWindow>
+        )}
+
+        {/* Clicked vertex while editing points */}
+        {editingPoints && vertexDraft.path[vertexDraft.vertex] && (
+          <Marker
+            position={vertexDraft.path[vertexDraft.vertex]}
+            clickable={false}
+            zIndex={3000}
+            icon={{
+              path: window.google.maps.SymbolPath.CIRCLE,
+              scale: 7,
+              fillColor: '#ffffff',
+              fillOpacity: 1,
+              strokeColor: SHAPE_COLORS[shapes[selectedShape].color] || SHAPE_COLORS.red,
+              strokeWeight: 3,
+            }}
+          />
+        )}
+
+        {/* Markers and clusters */}
+        {clusters.map((cluster) => {
+          if (cluster.markers.length > 1) {
+            const typeCounts = clusterTypeCounts(cluster.markers, DEFAULT_PIN_TYPE_ID)
+              .map(({ typeId, count }) => ({ pinType: getPinType(pinTypes, typeId), count }));
+            return (
+              <Marker
+                key={cluster.id}
+                position={{ lat: cluster.lat, lng: cluster.lng }}
+                title={`${cluster.markers.length} pins: ${typeCounts.map(({ pinType, count }) => `${count} ${pinType.label}`).join(', ')}`}
+                icon={getClusterIcon(
+                  typeCounts.map(({ pinType, count }) => ({ color: pinType.bodyColor, count })),
+                  cluster.markers.length
+                )}
+                zIndex={1000 + cluster.markers.length}
+                opacity={cluster.markers.every(isDimmed) ? 0.35 : 1}
+                onClick={() => handleClusterClick(cluster)}
+              />
+            );
+          }
+
+          const marker = cluster.markers[0];
+          const pinType = getPinType(pinTypes, marker.pinType);
+          return (
+            <Marker
+              key={marker.id}
+              position={{ lat: marker.lat, lng: marker.lng }}
+              title={`${siteTitle(marker)} (${pinType.label})`}
+              icon={getMarkerIcon(currentZoom, pinType, false)}
+              opacity={isDimmed(marker) ? 0.35 : 1}
+              draggable={!readOnly && !isPencilMode && Boolean(onMoveMarker)}
+              onLoad={(instance) => { markerInstancesRef.current[marker.id] = instance; }}
+              onUnmount={() => { delete markerInstancesRef.current[marker.id]; }}
+              onMouseOver={() => handleMarkerMouseOver(marker)}
+              onMouseOut={handleMarkerMouseOut}
+              onClick={() => handleMarkerClick(marker)}
+              onDragStart={closeTooltip}
+              onDragEnd={(e) => handleMarkerDragEnd(marker, e)}
+            />
+          );
+        })}
+
+        {/* Competitor markers */}
+        {visibleCompetitors.map((competitor) => {
+          const brand = getBrand(brands, competitor.brand);
+          return (
+            <Marker
+              key={`competitor-${competitor.id}`}
+              position={{ lat: competitor.lat, lng: competitor.lng }}
+              title={`${brand.label}: ${competitor.name || competitor.address}`}
+              icon={getCompetitorIcon(currentZoom, brand)}
+              onMouseOver={() => !isPencilMode && setTooltipCompetitor(competitor)}
+              onMouseOut={() => setTooltipCompetitor(null)}
+            />
+          );
+        })}
+
+        {tooltipCompetitor && (
+          <InfoWindow
+            position={{ lat: tooltipCompetitor.lat, lng: tooltipCompetitor.lng }}
+            options={{
+              pixelOffset: new window.google.maps.Size(0, -30),
+              disableAutoPan: true,
+            }}
+            onCloseClick={() => setTooltipCompetitor(null)}
+          >
+            <div className="p-2 max-w-xs">
+              <span
+                className="inline-block px-2 py-0.5 text-xs font-medium rounded-full text-white"
+                style={{ backgroundColor: getBrand(brands, tooltipCompetitor.brand).color }}
+              >
+                {getBrand(brands, tooltipCompetitor.brand).label}
+              </span>
+              {tooltipCompetitor.name && (
+                <p className="text-sm font-semibold text-gray-900 mt-1">{tooltipCompetitor.name}</p>
+              )}
+              <p className={tooltipCompetitor.name ? 'text-xs text-gray-600' : 'text-sm font-medium text-gray-900 mt-1'}>
+                {tooltipCompetitor.address}
+              </p>
+              {tooltipCompetitor.notes && (
+                <p className="text-xs text-gray-500 mt-1">{tooltipCompetitor.notes}</p>
+              )}
+            </div>
+          </InfoWindow>
+        )}
 
         {/* Tooltip */}
-        {tooltipMarker && currentZoom > 8 && (
+        {tooltipMarker && currentZoom > 8 && !clusters.some(c => c.markers.length > 1 && c.markers.some(m => m.id === tooltipMarker.id)) && (
           <InfoWindow
             position={{ lat: tooltipMarker.lat, lng: tooltipMarker.lng }}
             options={{
               pixelOffset: new window.google.maps.Size(0, -35),
               disableAutoPan: true,
             }}
-            onCloseClick={() => setTooltipMarker(null)}
+            onCloseClick={closeTooltip}
           >
             <div className="p-2 max-w-xs">
-              <p className="text-sm font-medium text-gray-900">{tooltipMarker.address}</p>
-              <span 
-                className="inline-block mt-1 px-2 py-0.5 text-xs font-medium rounded-full text-white"
-                style={{ backgroundColor: PIN_TYPES[tooltipMarker.pinType]?.color || PIN_TYPES.open.color }}
-              >
-                {PIN_TYPES[tooltipMarker.pinType]?.label || 'Open'}
-              </span>
+              {tooltipMarker.siteName && (
+                <p className="text-sm font-semibold text-gray-900">
+                  {tooltipMarker.siteName}
+                  {tooltipMarker.storeNumber && <span className="font-normal text-gray-500"> · #{tooltipMarker.storeNumber}</span>}
+                </p>
+              )}
+              <p className={tooltipMarker.siteName ? 'text-xs text-gray-600' : 'text-sm font-medium text-gray-900'}>
+                {tooltipMarker.address}
+              </p>
+              <div className="flex items-center gap-2 mt-1">
+                <span 
+                  className="inline-block px-2 py-0.5 text-xs font-medium rounded-full text-white"
+                  style={{ backgroundColor: getPinType(pinTypes, tooltipMarker.pinType).bodyColor }}
+                >
+                  {getPinType(pinTypes, tooltipMarker.pinType).label}
+                </span>
+                {tooltipMarker.openDate && (
+                  <span className="text-xs text-gray-500">{openDateLabel(tooltipMarker.openDate)}</span>
+                )}
+              </div>
+              {tooltipMarker.lotSize != null && (
+                <p className="text-xs text-gray-500 mt-1">{tooltipMarker.lotSize} acres</p>
+              )}
+              {tooltipPinned && (onOpenMarkerDetails || (onToggleTradeArea && !readOnly)) && (
+                <div className="mt-2 flex items-center gap-3">
+                  {onOpenMarkerDetails && (
+                    <button
+                      onClick={() => {
+                        onOpenMarkerDetails(tooltipMarker);
+                        closeTooltip();
+                      }}
+                      className="text-xs font-medium text-red-600 hover:text-red-700"
+                    >
+                      View details
+                    </button>
+                  )}
+                  {onToggleTradeArea && !readOnly && (
+                    <button
+                      onClick={() => {
+                        onToggleTradeArea(tooltipMarker);
+                        closeTooltip();
+                      }}
+                      className="text-xs font-medium text-gray-600 hover:text-gray-900"
+                      title={`Rings at ${formatRingMiles(layers.tradeAreaMiles)} miles`}
+                    >
+                      {tooltipMarker.tradeArea ? 'Remove trade area' : 'Trade area'}
+                    </button>
+                  )}
+                </div>
+              )}
             </div>
           </InfoWindow>
         )}
@@ -740,21 +1339,88 @@ export default function MapComponent({
       {/* Drawing Toolbar */}
       <div className="absolute top-4 left-1/2 -translate-x-1/2 z-10 hide-on-download">
         <div className="bg-white rounded-lg shadow-lg p-2 flex items-center gap-2">
-          {/* Pencil tool */}
-          <button
-            onClick={togglePencilMode}
-            className={`p-2 rounded-lg transition-colors flex items-center gap-2 ${
-              isPencilMode 
-                ? 'bg-blue-100 text-blue-700' 
-                : 'hover:bg-gray-100 text-gray-700'
-            }`}
-            title={isPencilMode ? 'Exit drawing mode' : 'Draw shape'}
-          >
-            <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" />
-            </svg>
-            {isPencilMode && <span className="text-sm font-medium">Drawing...</span>}
-          </button>
+          {/* Pencil tool - editors only */}
+          {!readOnly && (
+            <button
+              onClick={togglePencilMode}
+              className={`p-2 rounded-lg transition-colors flex items-center gap-2 ${
+                isPencilMode 
+                  ? 'bg-blue-100 text-blue-700' 
+                  : 'hover:bg-gray-100 text-gray-700'
+              }`}
+              title={isPencilMode ? 'Exit drawing mode' : 'Draw shape'}
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" />
+              </svg>
+              {isPencilMode && <span className="text-sm font-medium">Drawing...</span>}
+            </button>
+          )}
+
+          {/* Drop pin tool - editors only */}
+          {!readOnly && !isPencilMode && onDropPin && (
+            <button
+              onClick={toggleDropPinMode}
+              className={`p-2 rounded-lg transition-colors flex items-center gap-2 ${
+                isDropPinMode 
+                  ? 'bg-blue-100 text-blue-700' 
+                  : 'hover:bg-gray-100 text-gray-700'
+              }`}
+              title={isDropPinMode ? 'Exit drop pin mode' : 'Drop pin on map'}
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
+              </svg>
+              {isDropPinMode && <span className="text-sm font-medium">Dropping pins...</span>}
+            </button>
+          )}
+
+          {/* Pin type selector - only show when in drop pin mode */}
+          {isDropPinMode && (
+            <>
+              <div className="w-px h-6 bg-gray-300" />
+              {pinTypes.map(({ id, bodyColor, label }) => (
+                <button
+                  key={id}
+                  onClick={() => onNewPinTypeChange && onNewPinTypeChange(id)}
+                  className={`w-6 h-6 rounded-full border-2 transition-all ${
+                    newPinType === id 
+                      ? 'scale-110 border-gray-400 ring-2 ring-offset-1 ring-gray-300' 
+                      : 'border-transparent hover:scale-105'
+                  }`}
+                  style={{ backgroundColor: bodyColor }}
+                  title={label}
+                />
+              ))}
+            </>
+          )}
+
+          {/* Undo / redo */}
+          {!readOnly && !isPencilMode && (
+            <>
+              <button
+                onClick={handleUndo}
+                disabled={!canUndo}
+                className="p-2 rounded-lg transition-colors hover:bg-gray-100 text-gray-700 disabled:text-gray-300 disabled:hover:bg-transparent"
+                title={canUndo ? `Undo ${undoLabel?.toLowerCase() || ''} (Ctrl+Z)` : 'Nothing to undo'}
+              >
+                <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" />
+                </svg>
+              </button>
+              <button
+                onClick={handleRedo}
+                disabled={!canRedo}
+                className="p-2 rounded-lg transition-colors hover:bg-gray-100 text-gray-700 disabled:text-gray-300 disabled:hover:bg-transparent"
+                title={canRedo ? `Redo ${redoLabel?.toLowerCase() || ''} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+              >
+                <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 10H11a8 8 0 00-8 8v2m18-10l-6 6m6-6l-6-6" />
+                </svg>
+              </button>
+            </>
+          )}
 
           {/* Color selector - only show when in pencil mode */}
           {isPencilMode && (
@@ -777,7 +1443,7 @@ export default function MapComponent({
           )}
           
           {/* Delete all button */}
-          {shapes.length > 0 && !isPencilMode && (
+          {shapes.length > 0 && !isPencilMode && !readOnly && (
             <>
               <div className="w-px h-6 bg-gray-300 mx-1" />
               <button
@@ -795,7 +1461,7 @@ export default function MapComponent({
           {/* Download button */}
           {!isPencilMode && (
             <>
-              <div className="w-px h-6 bg-gray-300 mx-1" />
+              {!readOnly && <div className="w-px h-6 bg-gray-300 mx-1" />}
               <div className="relative download-menu-container">
                 <button
                   onClick={(e) => {
@@ -821,7 +1487,7 @@ export default function MapComponent({
                 
                 {/* Download dropdown menu */}
                 {showDownloadMenu && (
-                  <div className="absolute top-full right-0 mt-2 bg-white rounded-lg shadow-xl border border-gray-100 py-2 min-w-[160px] z-50">
+                  <div className="absolute top-full right-0 mt-2 bg-white rounded-lg shadow-xl border border-gray-100 py-2 min-w-[180px] z-50">
                     <p className="px-3 py-1 text-xs text-gray-400 uppercase tracking-wider">Export as</p>
                     <button
                       onClick={() => downloadMap('png')}
@@ -850,6 +1516,24 @@ export default function MapComponent({
                       </svg>
                       PDF Document
                     </button>
+                    <div className="my-1 border-t border-gray-100" />
+                    <p className="px-3 py-1 text-xs text-gray-400 uppercase tracking-wider">Data</p>
+                    <p className="px-3 pb-1 text-xs text-gray-500">
+                      {exportMarkers.length} {exportMarkers.length === 1 ? 'pin' : 'pins'}, {exportShapes.length} {exportShapes.length === 1 ? 'shape' : 'shapes'}
+                      {(exportMarkers.length < markers.length || exportShapes.length < shapes.length) && ' (filtered)'}
+                    </p>
+                    {Object.entries(EXPORT_FORMATS).map(([key, format]) => (
+                      <button
+                        key={key}
+                        onClick={() => exportData(key)}
+                        className="w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-50 flex items-center gap-3"
+                      >
+                        <svg className="h-4 w-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17v-2m3 2v-4m3 4v-6m2 10H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                        </svg>
+                        {format.label}
+                      </button>
+                    ))}
                   </div>
                 )}
               </div>
@@ -857,6 +1541,16 @@ export default function MapComponent({
           )}
         </div>
 
+        {/* Instructions when in drop pin mode */}
+        {isDropPinMode && (
+          <div className="mt-2 bg-white rounded-lg shadow-lg px-3 py-2 text-center">
+            <p className="text-xs text-gray-600">
+              Click the map to drop a <span className="font-medium">{getPinType(pinTypes, newPinType).label}</span> pin
+            </p>
+            <p className="text-xs text-gray-400">Press <kbd className="px-1 py-0.5 bg-gray-100 rounded font-mono">Esc</kbd> to stop</p>
+          </div>
+        )}
+
         {/* Instructions when in pencil mode */}
         {isPencilMode && !isDrawing && (
           <div className="mt-2 bg-white rounded-lg shadow-lg px-3 py-2 text-center">
@@ -866,11 +1560,67 @@ export default function MapComponent({
         )}
       </div>
 
+      {/* Point editing actions */}
+      {editingPoints && !isPencilMode && (
+        <div className="absolute top-20 left-1/2 -translate-x-1/2 z-10 bg-white rounded-lg shadow-lg p-3 hide-on-download">
+          <div className="flex items-center gap-3">
+            <span className="text-sm text-gray-700">{vertexDraft.path.length} points</span>
+
+            {/* Rotate controls */}
+            <div className="flex items-center gap-1 bg-gray-100 rounded-lg p-1">
+              <button
+                type="button"
+                onClick={() => rotateDraft(-15)}
+                className="w-8 h-8 flex items-center justify-center rounded-md hover:bg-white transition-colors text-gray-700 text-lg"
+                title="Rotate left 15°"
+              >
+                ⟲
+              </button>
+              <span className="text-xs text-gray-500 px-1">Rotate</span>
+              <button
+                type="button"
+                onClick={() => rotateDraft(15)}
+                className="w-8 h-8 flex items-center justify-center rounded-md hover:bg-white transition-colors text-gray-700 text-lg"
+                title="Rotate right 15°"
+              >
+                ⟳
+              </button>
+            </div>
+
+            <button
+              onClick={() => deleteVertex(vertexDraft.vertex)}
+              disabled={vertexDraft.vertex === null || vertexDraft.path.length <= 3}
+              className="px-3 py-1.5 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 transition-colors disabled:opacity-50"
+            >
+              Delete point
+            </button>
+            <button
+              onClick={() => setVertexDraft(null)}
+              className="px-3 py-1.5 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={applyVertexEdit}
+              className="px-3 py-1.5 bg-red-600 text-white text-sm rounded-lg hover:bg-red-700 transition-colors"
+            >
+              Apply
+            </button>
+          </div>
+          <p className="text-xs text-gray-600 mt-2">
+            {formatArea(draftMeasures.area)}
+            {' · '}
+            {formatMiles(draftMeasures.perimeter)} perimeter
+          </p>
+          <p className="text-xs text-gray-400 mt-1">Drag a point to move it • Drag a midpoint to add one • Click a point, then Delete point (or right-click it)</p>
+        </div>
+      )}
+
       {/* Selected shape actions */}
-      {selectedShape !== null && !isPencilMode && (
+      {selectedShape !== null && !isPencilMode && !editingPoints && (
         <div className="absolute top-20 left-1/2 -translate-x-1/2 z-10 bg-white rounded-lg shadow-lg p-3 hide-on-download">
           <div className="flex items-center gap-3">
-            <span className="text-sm text-gray-700">Shape selected</span>
+            <span className="text-sm text-gray-700 max-w-[12rem] truncate">{shapes[selectedShape]?.name || 'Shape selected'}</span>
             
             {/* Size controls */}
             <div className="flex items-center gap-1 bg-gray-100 rounded-lg p-1">
@@ -900,7 +1650,36 @@ export default function MapComponent({
                 +
               </button>
             </div>
+
+            {/* Exact radius for circles */}
+            {shapes[selectedShape]?.type === 'circle' && (
+              <label className="flex items-center gap-1 text-xs text-gray-500">
+                Radius
+                <input
+                  key={`${shapes[selectedShape].id}-${shapes[selectedShape].radius}`}
+                  type="number"
+                  min="0.01"
+                  step="0.1"
+                  defaultValue={Number((shapes[selectedShape].radius / METERS_PER_MILE).toFixed(2))}
+                  onBlur={(e) => setCircleRadius(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') setCircleRadius(e.target.value);
+                  }}
+                  className="w-16 px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-red-500"
+                />
+                mi
+              </label>
+            )}
             
+            {shapes[selectedShape]?.type !== 'circle' && (
+              <button
+                onClick={startVertexEdit}
+                className="px-3 py-1.5 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                Edit points
+              </button>
+            )}
+
             <button
               onClick={deleteSelectedShape}
               className="px-3 py-1.5 bg-red-600 text-white text-sm rounded-lg hover:bg-red-700 transition-colors flex items-center gap-1"
@@ -911,13 +1690,45 @@ export default function MapComponent({
               Delete
             </button>
             <button
-              onClick={() => setSelectedShape(null)}
+              onClick={() => selectShape(null)}
               className="px-3 py-1.5 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 transition-colors"
             >
               Done
             </button>
           </div>
-          <p className="text-xs text-gray-400 mt-2">Drag to move • Use +/− to resize</p>
+          {/* Size on the ground */}
+          {shapes[selectedShape] && (
+            <p className="text-xs text-gray-600 mt-2">
+              {formatArea(shapeMeasures.get(shapes[selectedShape].id).area)}
+              {' · '}
+              {formatMiles(shapeMeasures.get(shapes[selectedShape].id).perimeter)} perimeter
+            </p>
+          )}
+          {/* Recolor */}
+          <div className="flex items-center gap-1.5 mt-3">
+            {Object.entries(SHAPE_COLORS).map(([key, value]) => (
+              <button
+                key={key}
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  recolorShape(key);
+                }}
+                className={`w-5 h-5 rounded-full border-2 transition-all ${
+                  shapes[selectedShape]?.color === key
+                    ? 'scale-110 border-gray-400 ring-2 ring-offset-1 ring-gray-300'
+                    : 'border-transparent hover:scale-105'
+                }`}
+                style={{ backgroundColor: value }}
+                title={colorLabels[key] || key}
+              />
+            ))}
+          </div>
+          <p className="text-xs text-gray-400 mt-2">
+            {shapes[selectedShape]?.type === 'circle'
+              ? 'Drag to move • Drag the edge handle, use +/− or type a radius to resize • Pick a color to recolor'
+              : 'Drag to move • Use +/− to resize • Edit points to reshape or rotate • Pick a color to recolor'}
+          </p>
         </div>
       )}
 
@@ -947,6 +1758,11 @@ export default function MapComponent({
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
           </svg>
           <span className="text-sm font-semibold" style={{ color: '#1f2937' }}>Legend</span>
+          {hiddenLayerCount > 0 && (
+            <span className="text-xs px-1.5 py-0.5 rounded-full" style={{ backgroundColor: '#1f2937', color: '#ffffff' }}>
+              {hiddenLayerCount} hidden
+            </span>
+          )}
           <svg 
             className={`w-4 h-4 transition-transform ${showLegend ? 'rotate-180' : ''}`}
             style={{ color: '#374151' }}
@@ -969,13 +1785,124 @@ export default function MapComponent({
                   className="h-10 w-auto object-contain"
                 />
                 <div>
-                  <h3 className="font-semibold text-sm" style={{ color: '#ffffff' }}>Shape Legend</h3>
-                  <p className="text-xs" style={{ color: '#94a3b8' }}>Click a color to add a label</p>
+                  <h3 className="font-semibold text-sm" style={{ color: '#ffffff' }}>Legend &amp; Layers</h3>
+                  <p className="text-xs" style={{ color: '#94a3b8' }}>
+                    {readOnly ? 'Tick to show or hide layers' : 'Tick to show or hide, click a color to label it'}
+                  </p>
                 </div>
               </div>
             </div>
             
             <div className="p-2 max-h-96 overflow-y-auto">
+              {/* Pin type layers */}
+              <p className="px-3 pt-1 pb-1 text-xs font-semibold uppercase tracking-wider" style={{ color: '#6b7280' }}>Pins</p>
+              <div className="space-y-1 mb-2">
+                {pinTypes.map((pinType) => {
+                  const pinsOfType = markers.filter(m => getPinType(pinTypes, m.pinType).id === pinType.id).length;
+                  return (
+                    <label
+                      key={pinType.id}
+                      className="flex items-center gap-3 px-3 py-1.5 rounded-xl cursor-pointer"
+                      onMouseEnter={(e) => e.currentTarget.style.backgroundColor = '#f9fafb'}
+                      onMouseLeave={(e) => e.currentTarget.style.backgroundColor = 'transparent'}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={isPinTypeVisible(layers, pinType.id)}
+                        onChange={() => onLayersChange && onLayersChange(toggleLayer(layers, 'hiddenPinTypes', pinType.id))}
+                        className="rounded"
+                      />
+                      <span className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: pinType.bodyColor }} />
+                      <span className="flex-1 min-w-0 text-sm truncate" style={{ color: '#1f2937' }}>{pinType.label}</span>
+                      {pinsOfType > 0 && (
+                        <span className="text-xs" style={{ color: '#9ca3af' }}>{pinsOfType}</span>
+                      )}
+                      <button
+                        type="button"
+                        onClick={(e) => {
+                          e.preventDefault();
+                          if (onLayersChange) onLayersChange(toggleLayer(layers, 'tradeAreaPinTypes', pinType.id));
+                        }}
+                        className="w-5 h-5 flex-shrink-0 rounded-full flex items-center justify-center"
+                        style={{
+                          color: layers.tradeAreaPinTypes.includes(pinType.id) ? pinType.bodyColor : '#d1d5db',
+                        }}
+                        title={`Trade-area rings around every ${pinType.label} pin`}
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" strokeWidth={2} viewBox="0 0 24 24">
+                          <circle cx="12" cy="12" r="2" />
+                          <circle cx="12" cy="12" r="6" />
+                          <circle cx="12" cy="12" r="10" />
+                        </svg>
+                      </button>
+                    </label>
+                  );
+                })}
+              </div>
+
+              {/* Trade-area ring distances */}
+              <div className="flex items-center gap-2 px-3 pb-2 text-xs" style={{ color: '#6b7280' }}>
+                Trade-area rings at
+                <input
+                  key={formatRingMiles(layers.tradeAreaMiles)}
+                  type="text"
+                  defaultValue={formatRingMiles(layers.tradeAreaMiles)}
+                  onBlur={(e) => setRingMiles(e.target)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') setRingMiles(e.target);
+                  }}
+                  className="w-20 px-2 py-0.5 text-xs rounded-md focus:outline-none"
+                  style={{ border: '1px solid #d1d5db', color: '#1f2937' }}
+                  title={`Up to ${MAX_TRADE_AREA_RINGS} distances in miles, e.g. 1, 3, 5`}
+                />
+                mi
+              </div>
+
+              {/* Competitor layers */}
+              <label
+                className="flex items-center gap-3 px-3 pt-1 pb-1 cursor-pointer"
+                title="Show competitors on the map"
+              >
+                <input
+                  type="checkbox"
+                  checked={!layers.competitorsHidden}
+                  onChange={() => onLayersChange && onLayersChange({ ...layers, competitorsHidden: !layers.competitorsHidden })}
+                  className="rounded"
+                />
+                <span className="flex-1 text-xs font-semibold uppercase tracking-wider" style={{ color: '#6b7280' }}>Competitors</span>
+                {competitors.length > 0 && (
+                  <span className="text-xs" style={{ color: '#9ca3af' }}>{competitors.length}</span>
+                )}
+              </label>
+              <div className="space-y-1 mb-2" style={{ opacity: layers.competitorsHidden ? 0.5 : 1 }}>
+                {brands.map((brand) => {
+                  const ofBrand = competitors.filter(c => getBrand(brands, c.brand).id === brand.id).length;
+                  return (
+                    <label
+                      key={brand.id}
+                      className="flex items-center gap-3 px-3 py-1.5 rounded-xl cursor-pointer"
+                      onMouseEnter={(e) => e.currentTarget.style.backgroundColor = '#f9fafb'}
+                      onMouseLeave={(e) => e.currentTarget.style.backgroundColor = 'transparent'}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={!layers.hiddenBrands.includes(brand.id)}
+                        disabled={layers.competitorsHidden}
+                        onChange={() => onLayersChange && onLayersChange(toggleLayer(layers, 'hiddenBrands', brand.id))}
+                        className="rounded"
+                      />
+                      <BrandBadge brand={brand} />
+                      <span className="flex-1 min-w-0 text-sm truncate" style={{ color: '#1f2937' }}>{brand.label}</span>
+                      {ofBrand > 0 && (
+                        <span className="text-xs" style={{ color: '#9ca3af' }}>{ofBrand}</span>
+                      )}
+                    </label>
+                  );
+                })}
+              </div>
+
+              {/* Shape color layers */}
+              <p className="px-3 pt-1 pb-1 text-xs font-semibold uppercase tracking-wider" style={{ color: '#6b7280' }}>Shapes</p>
               <div className="space-y-1">
                 {Object.entries(SHAPE_COLORS).map(([key, value]) => {
                   const shapesWithColor = shapes.filter(s => s.color === key).length;
@@ -989,7 +1916,7 @@ export default function MapComponent({
                       style={{
                         backgroundColor: isEditing ? '#eff6ff' : 'transparent',
                         boxShadow: isEditing ? 'inset 0 0 0 2px #bfdbfe' : 'none',
-                        cursor: (!hasLabel && !isEditing) ? 'pointer' : 'default',
+                        cursor: (!hasLabel && !isEditing && !readOnly) ? 'pointer' : 'default',
                       }}
                       onMouseEnter={(e) => {
                         if (!isEditing) e.currentTarget.style.backgroundColor = '#f9fafb';
@@ -998,12 +1925,22 @@ export default function MapComponent({
                         if (!isEditing) e.currentTarget.style.backgroundColor = isEditing ? '#eff6ff' : 'transparent';
                       }}
                       onClick={() => {
-                        if (!hasLabel && !isEditing) {
+                        if (!hasLabel && !isEditing && !readOnly) {
                           setEditingColor(key);
                           setTempLabel('');
                         }
                       }}
                     >
+                      {/* Visibility toggle */}
+                      <input
+                        type="checkbox"
+                        checked={isShapeColorVisible(layers, key)}
+                        onClick={(e) => e.stopPropagation()}
+                        onChange={() => onLayersChange && onLayersChange(toggleLayer(layers, 'hiddenShapeColors', key))}
+                        className="rounded flex-shrink-0 cursor-pointer"
+                        title="Show on map"
+                      />
+
                       {/* Color circle */}
                       <div 
                         className="w-6 h-6 rounded-full flex-shrink-0 shadow-md ring-2 ring-white"
@@ -1045,12 +1982,17 @@ export default function MapComponent({
                           </span>
                         ) : (
                           <span className="text-sm italic" style={{ color: '#9ca3af' }}>
-                            Click to add label...
+                            {readOnly ? 'No label' : 'Click to add label...'}
                           </span>
                         )}
                       </div>
                       
-                      {/* Shape count badge */}
+                      {/* Total area and shape count badge */}
+                      {key in colorAreas && !isEditing && (
+                        <span className="text-xs flex-shrink-0" style={{ color: '#6b7280' }} title="Total area">
+                          {formatSquareMiles(colorAreas[key])}
+                        </span>
+                      )}
                       {shapesWithColor > 0 && !isEditing && (
                         <span 
                           className="text-xs font-medium px-1.5 py-0.5 rounded-full text-white flex-shrink-0"
@@ -1061,7 +2003,7 @@ export default function MapComponent({
                       )}
                       
                       {/* Hover actions for labeled items */}
-                      {hasLabel && !isEditing && (
+                      {hasLabel && !isEditing && !readOnly && (
                         <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity flex-shrink-0">
                           <button
                             onClick={(e) => {
@@ -1108,7 +2050,7 @@ export default function MapComponent({
                 <span className="text-xs" style={{ color: '#6b7280' }}>
                   {Object.values(colorLabels).filter(v => v).length} of {Object.keys(SHAPE_COLORS).length} labeled
                 </span>
-                {Object.values(colorLabels).some(v => v) && (
+                {Object.values(colorLabels).some(v => v) && !readOnly && (
                   <button
                     onClick={() => onColorLabelsChange && onColorLabelsChange({
                       red: '', blue: '', green: '', purple: '', orange: '',
@@ -1129,7 +2071,7 @@ export default function MapComponent({
       </div>
 
       {/* Static Legend for Download - Only shows labeled colors */}
-      {isDownloading && showLegend && Object.values(colorLabels).some(v => v) && (
+      {isDownloading && showLegend && Object.entries(colorLabels).some(([key, label]) => label && isShapeColorVisible(layers, key)) && (
         <div 
           style={{
             position: 'absolute',
@@ -1169,7 +2111,7 @@ export default function MapComponent({
             <table style={{ width: '100%', borderCollapse: 'collapse' }}>
               <tbody>
                 {Object.entries(SHAPE_COLORS)
-                  .filter(([key]) => colorLabels[key]) // Only show colors with labels
+                  .filter(([key]) => colorLabels[key] && isShapeColorVisible(layers, key)) // Only show visible colors with labels
                   .map(([key, value]) => (
                     <tr key={key} style={{ height: '32px' }}>
                       {/* Color dot */}
@@ -1229,7 +2171,7 @@ export default function MapComponent({
               Delete All Shapes?
             </h3>
             <p className="text-gray-500 text-center mb-2">
-              This will permanently delete all <span className="font-semibold text-gray-700">{shapes.length}</span> shape{shapes.length !== 1 ? 's' : ''} from the map. This action cannot be undone.
+              This will delete all <span className="font-semibold text-gray-700">{shapes.length}</span> shape{shapes.length !== 1 ? 's' : ''} from the map. They move to the Trash, and you can bring them back with Undo.
             </p>
             <p className="text-gray-400 text-sm text-center mb-6">
               💡 Tip: Click on an individual shape to select and delete it separately.
@@ -1259,6 +2201,55 @@ export default function MapComponent({
           </div>
         </div>
       )}
+
+      {/* Move Pin Confirmation Modal */}
+      {pendingMove && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center">
+          {/* Backdrop */}
+          <div 
+            className="absolute inset-0 bg-black/50 backdrop-blur-sm"
+            onClick={cancelMove}
+          />
+          
+          {/* Modal */}
+          <div className="relative bg-white rounded-2xl shadow-2xl p-6 max-w-sm mx-4 animate-in fade-in zoom-in duration-200">
+            <h3 className="text-xl font-bold text-gray-900 text-center mb-2">
+              Move Pin?
+            </h3>
+            <p className="text-gray-500 text-center mb-2">
+              Move <span className="font-semibold text-gray-700">{siteTitle(pendingMove.marker)}</span> to the new location?
+            </p>
+            <p className="text-gray-400 text-sm text-center mb-4">
+              {pendingMove.lat.toFixed(6)}, {pendingMove.lng.toFixed(6)}
+            </p>
+            <label className="flex items-center justify-center gap-2 text-sm text-gray-600 mb-6">
+              <input
+                type="checkbox"
+                checked={updateAddressOnMove}
+                onChange={(e) => setUpdateAddressOnMove(e.target.checked)}
+                className="rounded border-gray-300 text-red-600 focus:ring-red-500"
+              />
+              Update the address from the new location
+            </label>
+            
+            {/* Buttons */}
+            <div className="flex gap-3">
+              <button
+                onClick={cancelMove}
+                className="flex-1 px-4 py-3 bg-gray-100 text-gray-700 rounded-xl font-medium hover:bg-gray-200 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={confirmMove}
+                className="flex-1 px-4 py-3 bg-red-600 text-white rounded-xl font-medium hover:bg-red-700 transition-colors"
+              >
+                Move Pin
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
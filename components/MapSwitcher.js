@@ -0,0 +1,202 @@
+'use client';
+
+import { useState } from 'react';
+
+export default function MapSwitcher({
+  maps,
+  activeMapId,
+  readOnly = false,
+  onSelectMap,
+  onCreateMap,
+  onRenameMap,
+  onDuplicateMap,
+  onArchiveMap,
+  onRestoreMap,
+}) {
+  const [menuMapId, setMenuMapId] = useState(null);
+  const [renamingMapId, setRenamingMapId] = useState(null);
+  const [tempName, setTempName] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
+
+  const activeMaps = maps.filter(m => !m.archived);
+  const archivedMaps = maps.filter(m => m.archived);
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (newName.trim()) {
+      onCreateMap(newName.trim());
+      setNewName('');
+      setIsCreating(false);
+    }
+  };
+
+  const finishRename = (map) => {
+    if (tempName.trim() && tempName.trim() !== map.name) {
+      onRenameMap(map, tempName.trim());
+    }
+    setRenamingMapId(null);
+    setTempName('');
+  };
+
+  return (
+    <div className="px-4 md:px-6 py-3 border-b border-gray-100">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">Maps</p>
+        {!readOnly && (
+          <button
+            onClick={() => setIsCreating(!isCreating)}
+            className="text-xs font-medium text-red-600 hover:text-red-700 flex items-center gap-1"
+          >
+            <svg className="h-3.5 w-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+            </svg>
+            New map
+          </button>
+        )}
+      </div>
+
+      {isCreating && (
+        <form onSubmit={handleCreate} className="mb-2 flex items-center gap-2">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="e.g. 2027 Indiana expansion"
+            className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-red-500"
+            autoFocus
+          />
+          <button
+            type="submit"
+            disabled={!newName.trim()}
+            className="px-3 py-2 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-lg transition-colors disabled:opacity-50"
+          >
+            Create
+          </button>
+        </form>
+      )}
+
+      <div className="space-y-1 max-h-40 overflow-y-auto">
+        {activeMaps.map((map) => {
+          const isActive = map.id === activeMapId;
+          const isRenaming = renamingMapId === map.id;
+
+          return (
+            <div
+              key={map.id}
+              className={`relative group flex items-center gap-2 px-2 py-1.5 rounded-lg transition-colors ${
+                isActive ? 'bg-red-50 border border-red-200' : 'border border-transparent hover:bg-gray-50'
+              }`}
+            >
+              {isRenaming ? (
+                <input
+                  type="text"
+                  value={tempName}
+                  onChange={(e) => setTempName(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                      finishRename(map);
+                    } else if (e.key === 'Escape') {
+                      setRenamingMapId(null);
+                      setTempName('');
+                    }
+                  }}
+                  onBlur={() => finishRename(map)}
+                  className="flex-1 min-w-0 px-2 py-1 text-sm rounded-md border border-blue-300 focus:outline-none"
+                  autoFocus
+                />
+              ) : (
+                <button
+                  onClick={() => onSelectMap(map.id)}
+                  className={`flex-1 min-w-0 text-left text-sm truncate ${
+                    isActive ? 'font-semibold text-gray-900' : 'text-gray-700'
+                  }`}
+                >
+                  {map.name}
+                </button>
+              )}
+
+              {!readOnly && !isRenaming && (
+                <button
+                  onClick={() => setMenuMapId(menuMapId === map.id ? null : map.id)}
+                  className="p-1 text-gray-400 hover:text-gray-700 rounded md:opacity-0 md:group-hover:opacity-100 transition-opacity"
+                  title="Map actions"
+                >
+                  <svg className="h-4 w-4" fill="currentColor" viewBox="0 0 24 24">
+                    <path d="M6 12a2 2 0 11-4 0 2 2 0 014 0zm8 0a2 2 0 11-4 0 2 2 0 014 0zm8 0a2 2 0 11-4 0 2 2 0 014 0z" />
+                  </svg>
+                </button>
+              )}
+
+              {/* Actions menu */}
+              {menuMapId === map.id && (
+                <div className="absolute right-0 top-full mt-1 bg-white rounded-lg shadow-xl border border-gray-100 py-1 min-w-[140px] z-20">
+                  <button
+                    onClick={() => {
+                      setRenamingMapId(map.id);
+                      setTempName(map.name);
+                      setMenuMapId(null);
+                    }}
+                    className="w-full px-3 py-1.5 text-left text-sm text-gray-700 hover:bg-gray-50"
+                  >
+                    Rename
+                  </button>
+                  <button
+                    onClick={() => {
+                      onDuplicateMap(map);
+                      setMenuMapId(null);
+                    }}
+                    className="w-full px-3 py-1.5 text-left text-sm text-gray-700 hover:bg-gray-50"
+                  >
+                    Duplicate
+                  </button>
+                  <button
+                    onClick={() => {
+                      onArchiveMap(map);
+                      setMenuMapId(null);
+                    }}
+                    disabled={activeMaps.length <= 1}
+                    className="w-full px-3 py-1.5 text-left text-sm text-red-600 hover:bg-red-50 disabled:text-gray-300 disabled:hover:bg-transparent"
+                    title={activeMaps.length <= 1 ? 'A workspace needs at least one map' : 'Archive map'}
+                  >
+                    Archive
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Archived maps */}
+      {archivedMaps.length > 0 && (
+        <div className="mt-2">
+          <button
+            onClick={() => setShowArchived(!showArchived)}
+            className="text-xs text-gray-500 hover:text-gray-700"
+          >
+            {showArchived ? 'Hide' : 'Show'} archived ({archivedMaps.length})
+          </button>
+          {showArchived && (
+            <div className="mt-1 space-y-1">
+              {archivedMaps.map((map) => (
+                <div key={map.id} className="flex items-center justify-between gap-2 px-2 py-1 text-sm text-gray-400">
+                  <span className="truncate">{map.name}</span>
+                  {!readOnly && (
+                    <button
+                      onClick={() => onRestoreMap(map)}
+                      className="text-xs font-medium text-blue-600 hover:text-blue-700 flex-shrink-0"
+                    >
+                      Restore
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
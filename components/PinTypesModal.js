@@ -0,0 +1,218 @@
+'use client';
+
+import { useState } from 'react';
+import { DEFAULT_PIN_TYPES, DEFAULT_PIN_TYPE_ID, makePinTypeId, savePinTypes } from '@/lib/pinTypes';
+
+// Small preview of the map pin for a type
+const PinPreview = ({ bodyColor, innerColor, icon }) => (
+  <svg width="18" height="30" viewBox="0 0 24 40" className="flex-shrink-0">
+    <path d="M12 0 C6 0 2 4 2 10 C2 18 12 40 12 40 S22 18 22 10 C22 4 18 0 12 0 Z" fill={bodyColor} />
+    <circle cx="12" cy="10" r="6" fill={innerColor} />
+    {icon ? (
+      <text x="12" y="10" textAnchor="middle" dominantBaseline="central" fontFamily="Arial, sans-serif" fontSize="8" fontWeight="bold" fill="white">
+        {icon}
+      </text>
+    ) : (
+      <circle cx="12" cy="10" r="2.5" fill="white" />
+    )}
+  </svg>
+);
+
+export default function PinTypesModal({ workspaceId, pinTypes, markers = [], onClose }) {
+  const [types, setTypes] = useState(pinTypes);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // How many pins on the open map use each type
+  const usage = markers.reduce((counts, marker) => {
+    const id = marker.pinType || DEFAULT_PIN_TYPE_ID;
+    counts[id] = (counts[id] || 0) + 1;
+    return counts;
+  }, {});
+
+  const updateType = (index, changes) => {
+    setTypes(prev => prev.map((type, i) => (i === index ? { ...type, ...changes } : type)));
+  };
+
+  const moveType = (index, offset) => {
+    setTypes((prev) => {
+      const next = [...prev];
+      const [moved] = next.splice(index, 1);
+      next.splice(index + offset, 0, moved);
+      return next;
+    });
+  };
+
+  const removeType = (index) => {
+    setTypes(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const addType = () => {
+    setTypes(prev => [
+      ...prev,
+      { id: makePinTypeId('New type', prev), label: 'New type', bodyColor: '#0EA5E9', innerColor: '#1a1a6e', icon: '' },
+    ]);
+  };
+
+  const handleSave = async () => {
+    if (types.length === 0) {
+      setError('Keep at least one pin type.');
+      return;
+    }
+    if (types.some(t => !t.label.trim())) {
+      setError('Every pin type needs a label.');
+      return;
+    }
+
+    setError('');
+    setSaving(true);
+    try {
+      await savePinTypes(workspaceId, types);
+      onClose();
+    } catch (err) {
+      console.error('Error saving pin types:', err);
+      setError('Failed to save pin types. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/50 backdrop-blur-sm"
+        onClick={onClose}
+      />
+
+      {/* Modal */}
+      <div className="relative bg-white rounded-xl shadow-2xl max-w-lg w-full max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-lg font-semibold text-gray-900">Pin types</h3>
+          <button
+            onClick={onClose}
+            className="p-1 text-gray-400 hover:text-gray-600"
+          >
+            <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          Shared by every map in this workspace. Pins whose type is deleted show in gray until they&apos;re given a new one.
+        </p>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-lg bg-red-50 border border-red-200 text-red-700 text-sm">
+            {error}
+          </div>
+        )}
+
+        <div className="space-y-2">
+          {types.map((type, index) => (
+            <div key={type.id} className="flex items-center gap-2 p-2 bg-gray-50 rounded-lg border border-gray-200">
+              <PinPreview {...type} />
+              <input
+                type="text"
+                value={type.icon || ''}
+                onChange={(e) => updateType(index, { icon: e.target.value.slice(0, 2) })}
+                placeholder="•"
+                title="Icon"
+                className="w-9 px-1 py-1 border border-gray-300 rounded-md text-sm text-center text-gray-900 focus:outline-none focus:ring-2 focus:ring-red-500"
+              />
+              <div className="min-w-0 flex-1">
+                <input
+                  type="text"
+                  value={type.label}
+                  onChange={(e) => updateType(index, { label: e.target.value })}
+                  className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-red-500"
+                />
+                {usage[type.id] > 0 && (
+                  <p className="text-xs text-gray-400 mt-0.5">
+                    {usage[type.id]} pin{usage[type.id] !== 1 ? 's' : ''} on this map
+                  </p>
+                )}
+              </div>
+              <input
+                type="color"
+                value={type.bodyColor}
+                onChange={(e) => updateType(index, { bodyColor: e.target.value })}
+                title="Body color"
+                className="w-7 h-7 rounded cursor-pointer border border-gray-300"
+              />
+              <input
+                type="color"
+                value={type.innerColor}
+                onChange={(e) => updateType(index, { innerColor: e.target.value })}
+                title="Inner color"
+                className="w-7 h-7 rounded cursor-pointer border border-gray-300"
+              />
+              <div className="flex flex-col">
+                <button
+                  onClick={() => moveType(index, -1)}
+                  disabled={index === 0}
+                  className="p-0.5 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  title="Move up"
+                >
+                  <svg className="h-3 w-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
+                  </svg>
+                </button>
+                <button
+                  onClick={() => moveType(index, 1)}
+                  disabled={index === types.length - 1}
+                  className="p-0.5 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  title="Move down"
+                >
+                  <svg className="h-3 w-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                  </svg>
+                </button>
+              </div>
+              <button
+                onClick={() => removeType(index)}
+                className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                title="Delete type"
+              >
+                <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-3 flex items-center justify-between">
+          <button
+            onClick={addType}
+            className="text-sm font-medium text-red-600 hover:text-red-700"
+          >
+            + Add type
+          </button>
+          <button
+            onClick={() => setTypes(DEFAULT_PIN_TYPES)}
+            className="text-xs text-gray-500 hover:text-gray-700"
+          >
+            Reset to defaults
+          </button>
+        </div>
+
+        <div className="flex gap-3 mt-6">
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2.5 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="flex-1 px-4 py-2.5 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-lg transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
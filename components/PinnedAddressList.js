@@ -1,27 +1,170 @@
 'use client';
 
 import { useState } from 'react';
+import { openDateLabel } from '@/lib/sites';
+import { DEFAULT_PIN_TYPES, getPinType } from '@/lib/pinTypes';
+import {
+  DEFAULT_PIN_FILTER,
+  SORT_OPTIONS,
+  GROUP_OPTIONS,
+  isFilterActive,
+  matchesPinFilter,
+  sortPins,
+  groupPins,
+} from '@/lib/pinFilters';
+import { haversineDistance, formatMiles } from '@/lib/geo';
 
-// Pin types - keep in sync with MapComponent
-const PIN_TYPES = {
-  open: { bodyColor: '#d32f2f', label: 'Open' },           // Red body, Blue inner
-  coming_soon: { bodyColor: '#3B82F6', label: 'Coming Soon' }, // Blue body
-  closed: { bodyColor: '#6B7280', label: 'Closed' },       // Gray body
-  prospect: { bodyColor: '#F59E0B', label: 'Prospect' },   // Orange body
-};
-
-export default function PinnedAddressList({ markers, onRemoveMarker, onUpdateMarker }) {
-  const [editingIndex, setEditingIndex] = useState(null);
+export default function PinnedAddressList({
+  markers,
+  onRemoveMarker,
+  onUpdateMarker,
+  onOpenDetails,
+  onEditPinTypes,
+  pinTypes = DEFAULT_PIN_TYPES,
+  filter = DEFAULT_PIN_FILTER,
+  onFilterChange,
+  onFindDuplicates,
+  mapCenter = null,
+  readOnly = false,
+}) {
+  const [editingId, setEditingId] = useState(null);
 
   if (markers.length === 0) {
     return null;
   }
 
-  const handleTypeChange = (index, newType) => {
+  const updateFilter = (changes) => {
+    if (onFilterChange) {
+      onFilterChange({ ...filter, ...changes });
+    }
+  };
+
+  const toggleType = (typeId) => {
+    updateFilter({
+      types: filter.types.includes(typeId)
+        ? filter.types.filter(id => id !== typeId)
+        : [...filter.types, typeId],
+    });
+  };
+
+  const handleTypeChange = (marker, newType) => {
     if (onUpdateMarker) {
-      onUpdateMarker(index, { ...markers[index], pinType: newType });
+      onUpdateMarker(marker.id, { ...marker, pinType: newType });
     }
-    setEditingIndex(null);
+    setEditingId(null);
+  };
+
+  // Pins keep their creation-order number whatever the sort
+  const pinNumbers = new Map(markers.map((marker, index) => [marker.id, index + 1]));
+  const typeCounts = markers.reduce((counts, marker) => {
+    const typeId = getPinType(pinTypes, marker.pinType).id;
+    counts[typeId] = (counts[typeId] || 0) + 1;
+    return counts;
+  }, {});
+
+  const filterActive = isFilterActive(filter);
+  const visibleMarkers = sortPins(
+    markers.filter(marker => matchesPinFilter(marker, filter)),
+    filter.sort,
+    { pinTypes, center: mapCenter }
+  );
+  const groups = groupPins(visibleMarkers, filter.groupBy);
+  const showDistance = filter.sort === 'distance' && mapCenter;
+
+  const renderPin = (marker) => {
+    const pinType = getPinType(pinTypes, marker.pinType);
+    const isEditing = editingId === marker.id;
+
+    return (
+      <div
+        key={marker.id}
+        className="p-3 bg-gray-50 rounded-lg border border-gray-200 group hover:border-gray-300 transition-colors"
+      >
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3 flex-1 min-w-0">
+            <span 
+              className="flex-shrink-0 w-6 h-6 text-white text-xs font-bold rounded-full flex items-center justify-center"
+              style={{ backgroundColor: pinType.bodyColor }}
+            >
+              {pinNumbers.get(marker.id)}
+            </span>
+            <button
+              onClick={() => onOpenDetails && onOpenDetails(marker)}
+              className="min-w-0 flex-1 text-left"
+              title="Site details"
+            >
+              {marker.siteName && (
+                <p className="text-sm font-medium text-gray-900 truncate">
+                  {marker.siteName}
+                  {marker.storeNumber && <span className="font-normal text-gray-500"> · #{marker.storeNumber}</span>}
+                </p>
+              )}
+              <p className={`truncate ${marker.siteName ? 'text-xs text-gray-500' : 'text-sm text-gray-700'}`}>{marker.address}</p>
+              {(marker.openDate || showDistance) && (
+                <p className="text-xs text-gray-400">
+                  {[
+                    marker.openDate && openDateLabel(marker.openDate),
+                    showDistance && `${formatMiles(haversineDistance(mapCenter, marker))} from center`,
+                  ].filter(Boolean).join(' · ')}
+                </p>
+              )}
+            </button>
+          </div>
+          {!readOnly && (
+            <button
+              onClick={() => onRemoveMarker(marker.id)}
+              className="ml-2 p-2 -mr-1 text-gray-400 hover:text-red-600 active:text-red-700 transition-colors md:opacity-0 md:group-hover:opacity-100"
+              title="Remove pin"
+            >
+              <svg className="h-5 w-5 md:h-4 md:w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          )}
+        </div>
+        
+        {/* Type selector */}
+        <div className="mt-2 flex items-center gap-2">
+          {isEditing ? (
+            <div className="flex flex-wrap gap-1">
+              {pinTypes.map(({ id: key, bodyColor, label }) => (
+                <button
+                  key={key}
+                  onClick={() => handleTypeChange(marker, key)}
+                  className={`flex items-center gap-1 px-2 py-1 rounded text-xs font-medium transition-all ${
+                    pinType.id === key
+                      ? 'ring-2 ring-gray-400'
+                      : 'hover:bg-gray-100'
+                  }`}
+                  style={{ 
+                    backgroundColor: pinType.id === key ? `${bodyColor}20` : 'transparent',
+                    color: bodyColor 
+                  }}
+                >
+                  <span className="w-2 h-2 rounded-full" style={{ backgroundColor: bodyColor }} />
+                  {label}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <button
+              onClick={() => setEditingId(marker.id)}
+              disabled={readOnly}
+              className="flex items-center gap-1.5 px-2 py-1 rounded text-xs font-medium hover:bg-gray-100 transition-colors disabled:hover:bg-transparent disabled:cursor-default"
+              style={{ color: pinType.bodyColor }}
+            >
+              <span className="w-2 h-2 rounded-full" style={{ backgroundColor: pinType.bodyColor }} />
+              {pinType.label}
+              {!readOnly && (
+                <svg className="h-3 w-3 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                </svg>
+              )}
+            </button>
+          )}
+        </div>
+      </div>
+    );
   };
 
   return (
@@ -30,88 +173,131 @@ export default function PinnedAddressList({ markers, onRemoveMarker, onUpdateMar
         <svg className="h-4 w-4 text-red-600" fill="currentColor" viewBox="0 0 24 24">
           <path d="M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7zm0 9.5c-1.38 0-2.5-1.12-2.5-2.5s1.12-2.5 2.5-2.5 2.5 1.12 2.5 2.5-1.12 2.5-2.5 2.5z"/>
         </svg>
-        Pinned Locations ({markers.length})
+        Pinned Locations ({filterActive ? `${visibleMarkers.length} of ${markers.length}` : markers.length})
+        {onFindDuplicates && markers.length > 1 && (
+          <button
+            onClick={onFindDuplicates}
+            className="ml-auto text-xs font-medium text-gray-500 hover:text-red-600 transition-colors"
+          >
+            Find duplicates
+          </button>
+        )}
       </h3>
-      <div className="space-y-2 max-h-48 md:max-h-64 overflow-y-auto">
-        {markers.map((marker, index) => {
-          const pinType = PIN_TYPES[marker.pinType] || PIN_TYPES.open;
-          const isEditing = editingIndex === index;
-          
-          return (
-            <div
-              key={marker.id || index}
-              className="p-3 bg-gray-50 rounded-lg border border-gray-200 group hover:border-gray-300 transition-colors"
-            >
-              <div className="flex items-center justify-between">
-                <div className="flex items-center gap-3 flex-1 min-w-0">
-                  <span 
-                    className="flex-shrink-0 w-6 h-6 text-white text-xs font-bold rounded-full flex items-center justify-center"
-                    style={{ backgroundColor: pinType.bodyColor }}
-                  >
-                    {index + 1}
-                  </span>
-                  <div className="min-w-0 flex-1">
-                    <p className="text-sm text-gray-700 truncate">{marker.address}</p>
-                  </div>
-                </div>
+
+      {/* Search, filter, sort and group */}
+      <div className="space-y-2 mb-3">
+        <div className="relative">
+          <svg className="absolute left-2.5 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400 pointer-events-none" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+          </svg>
+          <input
+            type="search"
+            value={filter.query}
+            onChange={(e) => updateFilter({ query: e.target.value })}
+            placeholder="Search address, site name, notes..."
+            className="w-full pl-8 pr-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-red-500"
+          />
+        </div>
+
+        <div className="flex flex-wrap gap-1">
+          {pinTypes.filter(({ id }) => typeCounts[id]).map(({ id, bodyColor, label }) => {
+            const active = filter.types.includes(id);
+            return (
+              <button
+                key={id}
+                onClick={() => toggleType(id)}
+                className={`flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium border transition-colors ${
+                  active ? 'border-gray-400 bg-gray-100 text-gray-800' : 'border-gray-200 text-gray-500 hover:border-gray-300'
+                }`}
+              >
+                <span className="w-2 h-2 rounded-full" style={{ backgroundColor: bodyColor }} />
+                {label}
+                <span className="text-gray-400">{typeCounts[id]}</span>
+              </button>
+            );
+          })}
+        </div>
+
+        <div className="flex gap-2">
+          <select
+            value={filter.sort}
+            onChange={(e) => updateFilter({ sort: e.target.value })}
+            className="flex-1 min-w-0 text-xs px-2 py-1.5 border border-gray-300 rounded-md bg-white text-gray-700"
+            title="Sort"
+          >
+            {SORT_OPTIONS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={filter.groupBy}
+            onChange={(e) => updateFilter({ groupBy: e.target.value })}
+            className="flex-1 min-w-0 text-xs px-2 py-1.5 border border-gray-300 rounded-md bg-white text-gray-700"
+            title="Group"
+          >
+            {GROUP_OPTIONS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {filterActive && (
+          <div className="flex items-center justify-between text-xs">
+            <div className="flex items-center gap-1 text-gray-500">
+              Other pins on map:
+              {['dim', 'hide'].map(mode => (
                 <button
-                  onClick={() => onRemoveMarker(index)}
-                  className="ml-2 p-2 -mr-1 text-gray-400 hover:text-red-600 active:text-red-700 transition-colors md:opacity-0 md:group-hover:opacity-100"
-                  title="Remove pin"
+                  key={mode}
+                  onClick={() => updateFilter({ mapMode: mode })}
+                  className={`px-1.5 py-0.5 rounded capitalize ${
+                    filter.mapMode === mode ? 'bg-gray-200 text-gray-800 font-medium' : 'hover:bg-gray-100'
+                  }`}
                 >
-                  <svg className="h-5 w-5 md:h-4 md:w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                  </svg>
+                  {mode}
                 </button>
-              </div>
-              
-              {/* Type selector */}
-              <div className="mt-2 flex items-center gap-2">
-                {isEditing ? (
-                  <div className="flex flex-wrap gap-1">
-                    {Object.entries(PIN_TYPES).map(([key, { bodyColor, label }]) => (
-                      <button
-                        key={key}
-                        onClick={() => handleTypeChange(index, key)}
-                        className={`flex items-center gap-1 px-2 py-1 rounded text-xs font-medium transition-all ${
-                          marker.pinType === key || (!marker.pinType && key === 'open')
-                            ? 'ring-2 ring-gray-400'
-                            : 'hover:bg-gray-100'
-                        }`}
-                        style={{ 
-                          backgroundColor: marker.pinType === key || (!marker.pinType && key === 'open') ? `${bodyColor}20` : 'transparent',
-                          color: bodyColor 
-                        }}
-                      >
-                        <span className="w-2 h-2 rounded-full" style={{ backgroundColor: bodyColor }} />
-                        {label}
-                      </button>
-                    ))}
-                  </div>
-                ) : (
-                  <button
-                    onClick={() => setEditingIndex(index)}
-                    className="flex items-center gap-1.5 px-2 py-1 rounded text-xs font-medium hover:bg-gray-100 transition-colors"
-                    style={{ color: pinType.bodyColor }}
-                  >
-                    <span className="w-2 h-2 rounded-full" style={{ backgroundColor: pinType.bodyColor }} />
-                    {pinType.label}
-                    <svg className="h-3 w-3 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
-                    </svg>
-                  </button>
-                )}
-              </div>
+              ))}
             </div>
-          );
-        })}
+            <button
+              onClick={() => updateFilter({ query: '', types: [] })}
+              className="font-medium text-red-600 hover:text-red-700"
+            >
+              Clear
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="space-y-2 max-h-64 md:max-h-96 overflow-y-auto">
+        {visibleMarkers.length === 0 && (
+          <p className="text-sm text-gray-500 text-center py-4">No pins match your search.</p>
+        )}
+        {groups.map(group => (
+          <div key={group.key} className="space-y-2">
+            {group.label && (
+              <p className="sticky top-0 z-10 bg-white py-1 text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                {group.label} <span className="font-normal text-gray-400">({group.markers.length})</span>
+              </p>
+            )}
+            {group.markers.map(renderPin)}
+          </div>
+        ))}
       </div>
       
       {/* Legend */}
       <div className="mt-4 pt-3 border-t border-gray-200">
-        <p className="text-xs text-gray-500 mb-2">Legend:</p>
+        <div className="flex items-center justify-between mb-2">
+          <p className="text-xs text-gray-500">Legend:</p>
+          {!readOnly && onEditPinTypes && (
+            <button
+              onClick={onEditPinTypes}
+              className="text-xs font-medium text-gray-500 hover:text-red-600 transition-colors"
+            >
+              Edit types
+            </button>
+          )}
+        </div>
         <div className="flex flex-wrap gap-2">
-          {Object.entries(PIN_TYPES).map(([key, { bodyColor, label }]) => (
+          {pinTypes.map(({ id: key, bodyColor, label }) => (
             <span key={key} className="flex items-center gap-1 text-xs text-gray-600">
               <span className="w-2 h-2 rounded-full" style={{ backgroundColor: bodyColor }} />
               {label}
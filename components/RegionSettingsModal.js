@@ -0,0 +1,219 @@
+'use client';
+
+import { useState } from 'react';
+import { MAX_COUNTRIES, PLACE_TYPE_OPTIONS, parseCountryCodes, saveRegion } from '@/lib/region';
+import { parseCoordinates, formatCoordinates } from '@/lib/coordinates';
+import { METERS_PER_MILE } from '@/lib/geo';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-red-500';
+
+const DEFAULT_BIAS_MILES = 50;
+
+// Where the address box and geocoding look for places, shared by every map
+// in the workspace. `mapCenter` fills the "Use map center" buttons.
+export default function RegionSettingsModal({ workspaceId, region, mapCenter, onClose }) {
+  const [countries, setCountries] = useState(region.countries.join(', ').toUpperCase());
+  const [placeTypes, setPlaceTypes] = useState(region.placeTypes);
+  const [biasEnabled, setBiasEnabled] = useState(Boolean(region.bias));
+  const [biasCenter, setBiasCenter] = useState(region.bias ? formatCoordinates(region.bias) : '');
+  const [biasMiles, setBiasMiles] = useState(
+    region.bias ? String(Math.round(region.bias.radius / METERS_PER_MILE)) : String(DEFAULT_BIAS_MILES)
+  );
+  const [center, setCenter] = useState(formatCoordinates(region.center));
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    const countryCodes = parseCountryCodes(countries);
+    if (!countryCodes) {
+      setError('Enter countries as two-letter codes, e.g. US, CA.');
+      return;
+    }
+    if (countryCodes.length > MAX_COUNTRIES) {
+      setError(`Choose at most ${MAX_COUNTRIES} countries, or none to search everywhere.`);
+      return;
+    }
+
+    let bias = null;
+    if (biasEnabled) {
+      const biasPoint = parseCoordinates(biasCenter);
+      const miles = parseFloat(biasMiles);
+      if (!biasPoint || !(miles > 0)) {
+        setError('Enter a center and a radius for the preferred area.');
+        return;
+      }
+      bias = { ...biasPoint, radius: Math.round(miles * METERS_PER_MILE) };
+    }
+
+    const mapStart = parseCoordinates(center);
+    if (!mapStart) {
+      setError('Enter the default map center as latitude, longitude.');
+      return;
+    }
+
+    setError('');
+    setSaving(true);
+    try {
+      await saveRegion(workspaceId, { countries: countryCodes, placeTypes, bias, center: mapStart });
+      onClose();
+    } catch (err) {
+      console.error('Error saving search area:', err);
+      setError('Failed to save search area. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const mapCenterButton = (onUse) => mapCenter && (
+    <button
+      type="button"
+      onClick={() => onUse(formatCoordinates(mapCenter))}
+      className="flex-shrink-0 px-3 py-2 text-xs font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+    >
+      Use map center
+    </button>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/50 backdrop-blur-sm"
+        onClick={onClose}
+      />
+
+      {/* Modal */}
+      <div className="relative bg-white rounded-xl shadow-2xl max-w-md w-full max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-lg font-semibold text-gray-900">Search area</h3>
+          <button
+            onClick={onClose}
+            className="p-1 text-gray-400 hover:text-gray-600"
+          >
+            <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          Used by address suggestions and lookups on every map in this workspace.
+        </p>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-lg bg-red-50 border border-red-200 text-red-700 text-sm">
+            {error}
+          </div>
+        )}
+
+        <div className="space-y-4">
+          <div>
+            <label htmlFor="region-countries" className="block text-sm font-medium text-gray-700 mb-1">
+              Countries
+            </label>
+            <input
+              id="region-countries"
+              type="text"
+              value={countries}
+              onChange={(e) => setCountries(e.target.value)}
+              placeholder="Anywhere"
+              className={inputClassName}
+            />
+            <p className="text-xs text-gray-400 mt-1">
+              Two-letter codes such as US, CA. Up to {MAX_COUNTRIES}; leave empty to search everywhere.
+            </p>
+          </div>
+
+          <div>
+            <label htmlFor="region-place-types" className="block text-sm font-medium text-gray-700 mb-1">
+              Suggest
+            </label>
+            <select
+              id="region-place-types"
+              value={placeTypes}
+              onChange={(e) => setPlaceTypes(e.target.value)}
+              className={inputClassName}
+            >
+              {PLACE_TYPE_OPTIONS.map(option => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+              <input
+                type="checkbox"
+                checked={biasEnabled}
+                onChange={(e) => {
+                  setBiasEnabled(e.target.checked);
+                  if (e.target.checked && !biasCenter && mapCenter) setBiasCenter(formatCoordinates(mapCenter));
+                }}
+                className="rounded border-gray-300 text-red-600 focus:ring-red-500"
+              />
+              Prefer places near an area
+            </label>
+            {biasEnabled && (
+              <div className="mt-2 space-y-2">
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={biasCenter}
+                    onChange={(e) => setBiasCenter(e.target.value)}
+                    placeholder="lat, lng"
+                    className={inputClassName}
+                  />
+                  {mapCenterButton(setBiasCenter)}
+                </div>
+                <div className="flex items-center gap-2 text-sm text-gray-600">
+                  Within
+                  <input
+                    type="number"
+                    min="1"
+                    value={biasMiles}
+                    onChange={(e) => setBiasMiles(e.target.value)}
+                    className="w-20 px-2 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-red-500"
+                  />
+                  miles
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="region-center" className="block text-sm font-medium text-gray-700 mb-1">
+              Default map center
+            </label>
+            <div className="flex gap-2">
+              <input
+                id="region-center"
+                type="text"
+                value={center}
+                onChange={(e) => setCenter(e.target.value)}
+                placeholder="lat, lng"
+                className={inputClassName}
+              />
+              {mapCenterButton(setCenter)}
+            </div>
+            <p className="text-xs text-gray-400 mt-1">Where maps without pins open.</p>
+          </div>
+        </div>
+
+        <div className="flex gap-3 mt-6">
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2.5 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="flex-1 px-4 py-2.5 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-lg transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
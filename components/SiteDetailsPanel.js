@@ -0,0 +1,163 @@
+'use client';
+
+import { useState } from 'react';
+import { SITE_FIELDS, siteFormValues, formatOpenDate } from '@/lib/sites';
+import AttachmentGallery from '@/components/AttachmentGallery';
+import StatusTimeline from '@/components/StatusTimeline';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-red-500 disabled:bg-gray-50 disabled:text-gray-500';
+
+export default function SiteDetailsPanel({
+  marker,
+  workspaceId,
+  mapId,
+  uid,
+  pinTypes,
+  readOnly = false,
+  onSave,
+  onChangeStatus,
+  onEditStatusEntry,
+  onClose,
+}) {
+  const [values, setValues] = useState(() => siteFormValues(marker));
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const initialValues = siteFormValues(marker);
+  const isDirty = SITE_FIELDS.some(({ key }) => values[key] !== initialValues[key]);
+
+  const handleChange = (key, value) => {
+    setValues(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+    try {
+      await onSave(values);
+      onClose();
+    } catch (err) {
+      console.error('Error saving site details:', err);
+      setError('Failed to save site details. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/50 backdrop-blur-sm"
+        onClick={onClose}
+      />
+
+      {/* Modal */}
+      <div className="relative bg-white rounded-xl shadow-2xl max-w-md w-full max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-start justify-between gap-2 mb-4">
+          <div className="min-w-0">
+            <h3 className="text-lg font-semibold text-gray-900 truncate">
+              {marker.siteName || 'Site details'}
+            </h3>
+            <p className="text-sm text-gray-500">{marker.address}</p>
+            <p className="text-xs text-gray-400 mt-1">
+              {marker.lat.toFixed(6)}, {marker.lng.toFixed(6)}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 text-gray-400 hover:text-gray-600"
+          >
+            <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-lg bg-red-50 border border-red-200 text-red-700 text-sm">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <div className="grid grid-cols-2 gap-3">
+            {SITE_FIELDS.map(({ key, label, type, placeholder }) => {
+              const id = `site-${key}`;
+              const fullWidth = type === 'textarea' || key === 'siteName';
+              return (
+                <div key={key} className={fullWidth ? 'col-span-2' : ''}>
+                  <label htmlFor={id} className="block text-xs font-medium text-gray-600 mb-1">
+                    {label}
+                  </label>
+                  {type === 'textarea' ? (
+                    <textarea
+                      id={id}
+                      rows={4}
+                      value={values[key]}
+                      onChange={(e) => handleChange(key, e.target.value)}
+                      placeholder={readOnly ? '' : placeholder}
+                      disabled={readOnly}
+                      className={`${inputClassName} resize-y`}
+                    />
+                  ) : (
+                    <input
+                      id={id}
+                      type={type}
+                      min={type === 'number' ? 0 : undefined}
+                      step={type === 'number' ? 'any' : undefined}
+                      value={values[key]}
+                      onChange={(e) => handleChange(key, e.target.value)}
+                      placeholder={readOnly ? '' : placeholder}
+                      disabled={readOnly}
+                      className={inputClassName}
+                    />
+                  )}
+                  {readOnly && type === 'date' && values[key] && (
+                    <p className="text-xs text-gray-400 mt-1">{formatOpenDate(values[key])}</p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          <StatusTimeline
+            marker={marker}
+            pinTypes={pinTypes}
+            readOnly={readOnly}
+            onChangeStatus={onChangeStatus}
+            onEditEntry={onEditStatusEntry}
+          />
+
+          <AttachmentGallery
+            workspaceId={workspaceId}
+            mapId={mapId}
+            markerId={marker.id}
+            uid={uid}
+            readOnly={readOnly}
+          />
+
+          <div className="flex gap-3 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-2.5 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+            >
+              {readOnly ? 'Close' : 'Cancel'}
+            </button>
+            {!readOnly && (
+              <button
+                type="submit"
+                disabled={saving || !isDirty}
+                className="flex-1 px-4 py-2.5 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-lg transition-colors disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,221 @@
+'use client';
+
+import { useState } from 'react';
+import { getPinType } from '@/lib/pinTypes';
+import { statusTimeline, toDateInputValue, fromDateInputValue } from '@/lib/statusHistory';
+
+const inputClassName = 'w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-red-500';
+
+const formatDay = (timestamp) => new Date(timestamp).toLocaleDateString(undefined, {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+});
+
+// A chosen day as a timestamp; today means now, so same-day changes keep their order
+const dayToTimestamp = (value) =>
+  (value === toDateInputValue(Date.now()) ? Date.now() : fromDateInputValue(value));
+
+// When a pin moved through the pipeline, newest first. Editors can record a
+// change (optionally backdated) and correct the date or note of past ones.
+// `onChangeStatus(typeId, { at, note })` and `onEditEntry(entryId, { at, note })`
+// throw on failure.
+export default function StatusTimeline({ marker, pinTypes, readOnly = false, onChangeStatus, onEditEntry }) {
+  const [changing, setChanging] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const timeline = statusTimeline(marker);
+  const currentType = getPinType(pinTypes, marker.pinType);
+  const today = toDateInputValue(Date.now());
+  const latest = timeline[timeline.length - 1];
+
+  const run = async (action, onDone) => {
+    setError('');
+    setSaving(true);
+    try {
+      await action();
+      onDone();
+    } catch (err) {
+      console.error('Error saving status history:', err);
+      setError('Failed to save the status change. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startChange = () => {
+    setEditing(null);
+    setChanging({
+      typeId: pinTypes.find(type => type.id !== currentType.id)?.id || '',
+      date: today,
+      note: '',
+    });
+  };
+
+  const startEdit = (entry) => {
+    setChanging(null);
+    setEditing({ id: entry.id, date: toDateInputValue(entry.at), note: entry.note || '' });
+  };
+
+  const handleChangeStatus = () => run(
+    () => onChangeStatus(changing.typeId, { at: dayToTimestamp(changing.date), note: changing.note }),
+    () => setChanging(null)
+  );
+
+  const handleEditEntry = () => run(
+    () => onEditEntry(editing.id, { at: dayToTimestamp(editing.date), note: editing.note }),
+    () => setEditing(null)
+  );
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-semibold text-gray-700">Status history</h4>
+        {!readOnly && !changing && (
+          <button
+            type="button"
+            onClick={startChange}
+            className="text-xs font-medium text-blue-600 hover:text-blue-700"
+          >
+            Change status
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <p className="mb-2 text-xs text-red-600">{error}</p>
+      )}
+
+      {changing && (
+        <div className="mb-3 p-3 bg-gray-50 rounded-lg border border-gray-200 space-y-2">
+          <div className="grid grid-cols-2 gap-2">
+            <select
+              value={changing.typeId}
+              onChange={(e) => setChanging(prev => ({ ...prev, typeId: e.target.value }))}
+              className={inputClassName}
+            >
+              {pinTypes.filter(type => type.id !== currentType.id).map(type => (
+                <option key={type.id} value={type.id}>{type.label}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              value={changing.date}
+              min={latest.at ? toDateInputValue(latest.at) : undefined}
+              max={today}
+              onChange={(e) => setChanging(prev => ({ ...prev, date: e.target.value }))}
+              className={inputClassName}
+            />
+          </div>
+          <input
+            type="text"
+            value={changing.note}
+            onChange={(e) => setChanging(prev => ({ ...prev, note: e.target.value }))}
+            placeholder="Note (optional)"
+            className={inputClassName}
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setChanging(null)}
+              className="px-3 py-1 text-xs font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleChangeStatus}
+              disabled={saving || !changing.typeId || !changing.date}
+              className="px-3 py-1 text-xs font-medium text-white bg-red-600 hover:bg-red-700 rounded-md transition-colors disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <ol className="ml-1.5 border-l-2 border-gray-200 space-y-3">
+        {[...timeline].reverse().map((entry, reversedIndex) => {
+          const index = timeline.length - 1 - reversedIndex;
+          const toType = getPinType(pinTypes, entry.to);
+          const isEditing = editing?.id === entry.id;
+          // Backdating keeps entries in order: between the neighbouring changes
+          const previous = timeline[index - 1];
+          const next = timeline[index + 1];
+
+          return (
+            <li key={entry.id} className="relative pl-4">
+              <span
+                className="absolute -left-[7px] top-1 w-3 h-3 rounded-full ring-2 ring-white"
+                style={{ backgroundColor: toType.bodyColor }}
+              />
+              <p className="text-sm text-gray-900">
+                {entry.from
+                  ? `${getPinType(pinTypes, entry.from).label} → ${toType.label}`
+                  : `Added as ${toType.label}`}
+              </p>
+
+              {isEditing ? (
+                <div className="mt-1 space-y-2">
+                  <input
+                    type="date"
+                    value={editing.date}
+                    min={previous?.at ? toDateInputValue(previous.at) : undefined}
+                    max={next?.at ? toDateInputValue(next.at) : today}
+                    onChange={(e) => setEditing(prev => ({ ...prev, date: e.target.value }))}
+                    className={inputClassName}
+                  />
+                  <input
+                    type="text"
+                    value={editing.note}
+                    onChange={(e) => setEditing(prev => ({ ...prev, note: e.target.value }))}
+                    placeholder="Note (optional)"
+                    className={inputClassName}
+                  />
+                  <div className="flex justify-end gap-2">
+                    <button
+                      type="button"
+                      onClick={() => setEditing(null)}
+                      className="px-3 py-1 text-xs font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleEditEntry}
+                      disabled={saving || !editing.date}
+                      className="px-3 py-1 text-xs font-medium text-white bg-red-600 hover:bg-red-700 rounded-md transition-colors disabled:opacity-50"
+                    >
+                      {saving ? 'Saving...' : 'Save'}
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <>
+                  <p className="text-xs text-gray-500">
+                    {entry.at ? formatDay(entry.at) : 'Date unknown'}
+                    {entry.byEmail && ` · ${entry.byEmail}`}
+                    {!readOnly && !entry.implied && (
+                      <button
+                        type="button"
+                        onClick={() => startEdit(entry)}
+                        className="ml-2 text-blue-600 hover:text-blue-700"
+                      >
+                        Edit
+                      </button>
+                    )}
+                  </p>
+                  {entry.note && (
+                    <p className="text-xs text-gray-600 italic mt-0.5">{entry.note}</p>
+                  )}
+                </>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+'use client';
+
+import { useState } from 'react';
+import { SHAPE_COLORS } from '@/lib/shapes';
+import { TRASH_RETENTION_DAYS } from '@/lib/trash';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDeletedAt = (deletedAt) => {
+  const days = Math.floor((Date.now() - deletedAt) / DAY_MS);
+  if (days === 0) return 'today';
+  if (days === 1) return 'yesterday';
+  return `${days} days ago`;
+};
+
+const daysLeft = (deletedAt) =>
+  Math.max(0, TRASH_RETENTION_DAYS - Math.floor((Date.now() - deletedAt) / DAY_MS));
+
+export default function TrashBin({ trashedMarkers, trashedShapes, colorLabels = {}, onRestore, onPurge }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [confirmEmpty, setConfirmEmpty] = useState(false);
+
+  const count = trashedMarkers.length + trashedShapes.length;
+  if (count === 0) {
+    return null;
+  }
+
+  const emptyTrash = () => {
+    if (trashedMarkers.length > 0) {
+      onPurge('markers', trashedMarkers.map(m => m.id));
+    }
+    if (trashedShapes.length > 0) {
+      onPurge('shapes', trashedShapes.map(s => s.id));
+    }
+    setConfirmEmpty(false);
+  };
+
+  const renderRow = (key, swatch, title, item, collectionName) => (
+    <div
+      key={key}
+      className="p-2 bg-gray-50 rounded-lg border border-gray-200 flex items-center gap-2"
+    >
+      {swatch}
+      <div className="min-w-0 flex-1">
+        <p className="text-sm text-gray-700 truncate">{title}</p>
+        <p className="text-xs text-gray-400">
+          Deleted {formatDeletedAt(item.deletedAt)} · {daysLeft(item.deletedAt)}d left
+        </p>
+      </div>
+      <button
+        onClick={() => onRestore(collectionName, [item.id])}
+        className="text-xs font-medium text-blue-600 hover:text-blue-700 px-1"
+      >
+        Restore
+      </button>
+      <button
+        onClick={() => onPurge(collectionName, [item.id])}
+        className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+        title="Delete forever"
+      >
+        <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+        </svg>
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="mt-6">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full text-sm font-semibold text-gray-700 mb-3 flex items-center gap-2"
+      >
+        <svg className="h-4 w-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+        </svg>
+        Trash ({count})
+        <svg
+          className={`h-3 w-3 text-gray-400 ml-auto transition-transform ${isOpen ? 'rotate-180' : ''}`}
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {isOpen && (
+        <>
+          <p className="text-xs text-gray-400 mb-2">
+            Items are permanently deleted after {TRASH_RETENTION_DAYS} days.
+          </p>
+
+          <div className="space-y-2 max-h-48 md:max-h-64 overflow-y-auto">
+            {trashedMarkers.map(marker => renderRow(
+              `marker-${marker.id}`,
+              <svg className="h-4 w-4 text-gray-400 flex-shrink-0" fill="currentColor" viewBox="0 0 24 24">
+                <path d="M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7zm0 9.5c-1.38 0-2.5-1.12-2.5-2.5s1.12-2.5 2.5-2.5 2.5 1.12 2.5 2.5-1.12 2.5-2.5 2.5z"/>
+              </svg>,
+              marker.address,
+              marker,
+              'markers'
+            ))}
+            {trashedShapes.map(shape => renderRow(
+              `shape-${shape.id}`,
+              <span
+                className="w-4 h-4 rounded-sm flex-shrink-0"
+                style={{ backgroundColor: SHAPE_COLORS[shape.color] || SHAPE_COLORS.red }}
+              />,
+              shape.name || `${colorLabels[shape.color] || shape.color} ${shape.shapeType || 'shape'}`,
+              shape,
+              'shapes'
+            ))}
+          </div>
+
+          <div className="mt-3 flex items-center justify-between">
+            <button
+              onClick={() => {
+                if (trashedMarkers.length > 0) onRestore('markers', trashedMarkers.map(m => m.id));
+                if (trashedShapes.length > 0) onRestore('shapes', trashedShapes.map(s => s.id));
+              }}
+              className="text-xs font-medium text-blue-600 hover:text-blue-700"
+            >
+              Restore all
+            </button>
+            {confirmEmpty ? (
+              <span className="flex items-center gap-2 text-xs">
+                <span className="text-gray-500">Delete forever?</span>
+                <button onClick={emptyTrash} className="font-medium text-red-600 hover:text-red-700">
+                  Yes
+                </button>
+                <button onClick={() => setConfirmEmpty(false)} className="font-medium text-gray-500 hover:text-gray-700">
+                  No
+                </button>
+              </span>
+            ) : (
+              <button
+                onClick={() => setConfirmEmpty(true)}
+                className="text-xs font-medium text-red-600 hover:text-red-700"
+              >
+                Empty trash
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,246 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import {
+  ROLES,
+  canManageRole,
+  canEditRole,
+  inviteMember,
+  cancelInvite,
+  updateMemberRole,
+  removeMember,
+  renameWorkspace,
+  workspaceInvites,
+} from '@/lib/workspaces';
+import { createMap, hasPersonalData, movePersonalDataToMap } from '@/lib/maps';
+
+export default function WorkspaceMembersModal({ workspace, user, role, onClose, onMapCreated }) {
+  const [name, setName] = useState(workspace.name);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [personalData, setPersonalData] = useState(false);
+  const [moveResult, setMoveResult] = useState('');
+
+  const canManage = canManageRole(role);
+  const members = Object.entries(workspace.members || {});
+
+  // Offer to move the old per-user map if there is one
+  useEffect(() => {
+    if (!canEditRole(role)) return;
+    let cancelled = false;
+    hasPersonalData(user.uid)
+      .then((exists) => {
+        if (!cancelled) setPersonalData(exists);
+      })
+      .catch((err) => console.error('Error checking personal data:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [user.uid, role]);
+
+  // Wrap an async action with shared saving/error state
+  const run = async (action) => {
+    setError('');
+    setSaving(true);
+    try {
+      await action();
+    } catch (err) {
+      console.error('Workspace update failed:', err);
+      setError(err.message || 'Something went wrong. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await inviteMember(workspace, inviteEmail, inviteRole);
+      setInviteEmail('');
+    });
+  };
+
+  const handleMovePersonalData = () => {
+    run(async () => {
+      // Land in a map of its own so it doesn't mix with the team's pins
+      const mapName = `${user.email?.split('@')[0] || 'Personal'}'s personal map`;
+      const mapId = await createMap(workspace.id, user, mapName);
+      const moved = await movePersonalDataToMap(user.uid, workspace.id, mapId);
+      setPersonalData(false);
+      setMoveResult(`Moved ${moved.markers} pin${moved.markers !== 1 ? 's' : ''} and ${moved.shapes} shape${moved.shapes !== 1 ? 's' : ''} into the map "${mapName}".`);
+      onMapCreated && onMapCreated(mapId);
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/50 backdrop-blur-sm"
+        onClick={onClose}
+      />
+
+      {/* Modal */}
+      <div className="relative bg-white rounded-xl shadow-2xl max-w-md w-full max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Workspace</h3>
+          <button
+            onClick={onClose}
+            className="p-1 text-gray-400 hover:text-gray-600"
+          >
+            <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-lg bg-red-50 border border-red-200 text-red-700 text-sm">
+            {error}
+          </div>
+        )}
+
+        {/* Name */}
+        <div className="mb-6">
+          <label htmlFor="workspace-name" className="block text-sm font-medium text-gray-700 mb-2">
+            Name
+          </label>
+          <div className="flex gap-2">
+            <input
+              id="workspace-name"
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              disabled={!canManage}
+              className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-red-500 disabled:bg-gray-50 disabled:text-gray-500"
+            />
+            {canManage && name.trim() && name.trim() !== workspace.name && (
+              <button
+                onClick={() => run(() => renameWorkspace(workspace.id, name))}
+                disabled={saving}
+                className="px-3 py-2 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-lg transition-colors disabled:opacity-50"
+              >
+                Save
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Members */}
+        <div className="mb-6">
+          <p className="text-sm font-medium text-gray-700 mb-2">Members ({members.length})</p>
+          <div className="space-y-2">
+            {members.map(([uid, member]) => {
+              const isCreator = uid === workspace.ownerId;
+              return (
+                <div key={uid} className="flex items-center justify-between gap-2 p-2 bg-gray-50 rounded-lg border border-gray-200">
+                  <p className="text-sm text-gray-700 truncate min-w-0 flex-1">
+                    {member.email}
+                    {uid === user.uid && <span className="text-gray-400"> (you)</span>}
+                  </p>
+                  {canManage && !isCreator ? (
+                    <>
+                      <select
+                        value={member.role}
+                        onChange={(e) => run(() => updateMemberRole(workspace, uid, e.target.value))}
+                        disabled={saving}
+                        className="text-xs px-2 py-1 border border-gray-300 rounded-md bg-white text-gray-700"
+                      >
+                        {Object.entries(ROLES).map(([key, { label }]) => (
+                          <option key={key} value={key}>{label}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => run(() => removeMember(workspace, uid))}
+                        disabled={saving}
+                        className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                        title="Remove member"
+                      >
+                        <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    </>
+                  ) : (
+                    <span className="text-xs text-gray-500">{ROLES[member.role]?.label}</span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Invites - owners only */}
+        {canManage && (
+          <div className="mb-6">
+            <p className="text-sm font-medium text-gray-700 mb-2">Invite by email</p>
+            <form onSubmit={handleInvite} className="flex gap-2">
+              <input
+                type="email"
+                value={inviteEmail}
+                onChange={(e) => setInviteEmail(e.target.value)}
+                placeholder="teammate@email.com"
+                className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-red-500"
+              />
+              <select
+                value={inviteRole}
+                onChange={(e) => setInviteRole(e.target.value)}
+                className="text-sm px-2 py-2 border border-gray-300 rounded-lg bg-white text-gray-700"
+              >
+                <option value="editor">{ROLES.editor.label}</option>
+                <option value="viewer">{ROLES.viewer.label}</option>
+              </select>
+              <button
+                type="submit"
+                disabled={saving || !inviteEmail.trim()}
+                className="px-3 py-2 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-lg transition-colors disabled:opacity-50"
+              >
+                Invite
+              </button>
+            </form>
+
+            {workspaceInvites(workspace).length > 0 && (
+              <div className="mt-3 space-y-1">
+                {workspaceInvites(workspace).map((invite) => (
+                  <div key={invite.email} className="flex items-center justify-between text-xs text-gray-500">
+                    <span className="truncate">
+                      {invite.email} · {ROLES[invite.role]?.label} · pending
+                    </span>
+                    <button
+                      onClick={() => run(() => cancelInvite(workspace, invite.email))}
+                      disabled={saving}
+                      className="text-red-500 hover:text-red-700 font-medium"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Move personal data */}
+        {personalData && (
+          <div className="p-3 rounded-lg bg-yellow-50 border border-yellow-200">
+            <p className="text-sm text-gray-700 mb-2">
+              You still have pins and shapes on your personal map. Move them into this workspace so your team can see them.
+            </p>
+            <button
+              onClick={handleMovePersonalData}
+              disabled={saving}
+              className="w-full bg-yellow-400 hover:bg-yellow-500 text-gray-900 text-sm font-semibold py-2 px-4 rounded-full transition-colors disabled:opacity-50"
+            >
+              {saving ? 'Moving...' : 'Move personal map here'}
+            </button>
+          </div>
+        )}
+        {moveResult && (
+          <p className="text-sm text-green-700">{moveResult}</p>
+        )}
+      </div>
+    </div>
+  );
+}
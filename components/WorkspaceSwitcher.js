@@ -0,0 +1,111 @@
+'use client';
+
+import { useState } from 'react';
+import { ROLES } from '@/lib/workspaces';
+
+export default function WorkspaceSwitcher({
+  workspaces,
+  activeWorkspaceId,
+  role,
+  invites = [],
+  onSelectWorkspace,
+  onCreateWorkspace,
+  onAcceptInvite,
+  onManageWorkspace,
+}) {
+  const [isCreating, setIsCreating] = useState(false);
+  const [newName, setNewName] = useState('');
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (newName.trim()) {
+      onCreateWorkspace(newName.trim());
+      setNewName('');
+      setIsCreating(false);
+    }
+  };
+
+  return (
+    <div className="px-4 md:px-6 py-3 border-b border-gray-100 bg-gray-50">
+      <div className="flex items-center justify-between mb-1">
+        <label htmlFor="workspace" className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+          Workspace
+        </label>
+        {role && (
+          <span className="text-xs text-gray-500">{ROLES[role]?.label}</span>
+        )}
+      </div>
+
+      <div className="flex items-center gap-2">
+        <select
+          id="workspace"
+          value={activeWorkspaceId || ''}
+          onChange={(e) => onSelectWorkspace(e.target.value)}
+          className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-red-500"
+        >
+          {workspaces.map((workspace) => (
+            <option key={workspace.id} value={workspace.id}>
+              {workspace.name}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={onManageWorkspace}
+          className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+          title="Workspace members"
+        >
+          <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
+          </svg>
+        </button>
+        <button
+          onClick={() => setIsCreating(!isCreating)}
+          className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+          title="New workspace"
+        >
+          <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+          </svg>
+        </button>
+      </div>
+
+      {isCreating && (
+        <form onSubmit={handleCreate} className="mt-2 flex items-center gap-2">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="Workspace name"
+            className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-red-500"
+            autoFocus
+          />
+          <button
+            type="submit"
+            disabled={!newName.trim()}
+            className="px-3 py-2 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-lg transition-colors disabled:opacity-50"
+          >
+            Create
+          </button>
+        </form>
+      )}
+
+      {/* Pending invites */}
+      {invites.map((workspace) => (
+        <div
+          key={workspace.id}
+          className="mt-2 p-2 rounded-lg bg-blue-50 border border-blue-200 flex items-center justify-between gap-2"
+        >
+          <p className="text-xs text-blue-800 min-w-0 truncate">
+            Invited to <span className="font-semibold">{workspace.name}</span>
+          </p>
+          <button
+            onClick={() => onAcceptInvite(workspace)}
+            className="text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 px-2 py-1 rounded-md transition-colors flex-shrink-0"
+          >
+            Join
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
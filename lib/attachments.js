@@ -0,0 +1,133 @@
+import {
+  collection,
+  doc,
+  setDoc,
+  deleteDoc,
+  getDocs,
+  onSnapshot,
+} from 'firebase/firestore';
+import { ref, uploadBytesResumable, getDownloadURL, deleteObject } from 'firebase/storage';
+import { storage } from '@/lib/firebase';
+import { commitInChunks } from '@/lib/workspaces';
+import { mapCollection } from '@/lib/maps';
+
+// Photos and documents kept with a pin. Files live in Cloud Storage under the
+// marker's path; their metadata lives in markers/{markerId}/attachments so it
+// isn't part of the marker document that edits and undo/redo rewrite.
+
+export const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+
+const THUMBNAIL_SIZE = 320;
+
+export const attachmentsCollection = (workspaceId, mapId, markerId) =>
+  collection(doc(mapCollection(workspaceId, mapId, 'markers'), markerId), 'attachments');
+
+const attachmentsStoragePath = (workspaceId, mapId, markerId) =>
+  `workspaces/${workspaceId}/maps/${mapId}/markers/${markerId}/attachments`;
+
+export const isImageAttachment = (attachment) => (attachment.contentType || '').startsWith('image/');
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Real-time listener for a pin's attachments, oldest first
+export const subscribeToAttachments = (attachmentsRef, onChange, onError) =>
+  onSnapshot(attachmentsRef, (snapshot) => {
+    const attachments = [];
+    snapshot.forEach((attachmentDoc) => {
+      attachments.push({ id: attachmentDoc.id, ...attachmentDoc.data() });
+    });
+    attachments.sort((a, b) => a.uploadedAt - b.uploadedAt);
+    onChange(attachments);
+  }, onError);
+
+// Small JPEG preview of an image, or null for files the browser can't decode
+// (e.g. HEIC on most desktops)
+const makeThumbnail = async (file) => {
+  try {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+  } catch (err) {
+    console.error('Error creating thumbnail:', err);
+    return null;
+  }
+};
+
+const uploadFile = (path, data, contentType, onProgress) => new Promise((resolve, reject) => {
+  const task = uploadBytesResumable(ref(storage, path), data, { contentType });
+  task.on('state_changed', (snapshot) => {
+    onProgress?.(snapshot.bytesTransferred / snapshot.totalBytes);
+  }, reject, () => resolve(getDownloadURL(task.snapshot.ref)));
+});
+
+// Upload a file (and a thumbnail for images) and record it on the pin
+export const uploadAttachment = async ({ workspaceId, mapId, markerId, file, uid, onProgress }) => {
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    throw new Error(`${file.name} is larger than ${formatFileSize(MAX_ATTACHMENT_BYTES)}.`);
+  }
+
+  const attachmentRef = doc(attachmentsCollection(workspaceId, mapId, markerId));
+  const folder = `${attachmentsStoragePath(workspaceId, mapId, markerId)}/${attachmentRef.id}`;
+  const contentType = file.type || 'application/octet-stream';
+  const path = `${folder}/${file.name.replace(/[/\\]/g, '_')}`;
+  const url = await uploadFile(path, file, contentType, onProgress);
+
+  const attachment = {
+    name: file.name,
+    contentType,
+    size: file.size,
+    path,
+    url,
+    uploadedAt: Date.now(),
+    ...(uid ? { uploadedBy: uid } : {}),
+  };
+
+  const thumbnail = contentType.startsWith('image/') ? await makeThumbnail(file) : null;
+  if (thumbnail) {
+    attachment.thumbnailPath = `${folder}/thumbnail.jpg`;
+    attachment.thumbnailUrl = await uploadFile(attachment.thumbnailPath, thumbnail, 'image/jpeg');
+  }
+
+  await setDoc(attachmentRef, attachment);
+};
+
+// Files that are already gone don't stop the rest of a delete
+const deleteStoredFile = async (path) => {
+  if (!path) return;
+  try {
+    await deleteObject(ref(storage, path));
+  } catch (err) {
+    if (err.code !== 'storage/object-not-found') throw err;
+  }
+};
+
+export const deleteAttachment = async (workspaceId, mapId, markerId, attachment) => {
+  await deleteStoredFile(attachment.path);
+  await deleteStoredFile(attachment.thumbnailPath);
+  await deleteDoc(doc(attachmentsCollection(workspaceId, mapId, markerId), attachment.id));
+};
+
+// Remove every attachment of the given pins, files first. Used when pins are
+// deleted for good.
+export const deleteMarkerAttachments = async (workspaceId, mapId, markerIds) => {
+  const deletes = [];
+  for (const markerId of markerIds) {
+    const snapshot = await getDocs(attachmentsCollection(workspaceId, mapId, markerId));
+    for (const attachmentDoc of snapshot.docs) {
+      const { path, thumbnailPath } = attachmentDoc.data();
+      await deleteStoredFile(path);
+      await deleteStoredFile(thumbnailPath);
+      deletes.push((batch) => batch.delete(attachmentDoc.ref));
+    }
+  }
+  await commitInChunks(deletes);
+};
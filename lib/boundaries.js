@@ -0,0 +1,182 @@
+import { SHAPE_COLORS } from '@/lib/shapes';
+import { simplifyPath } from '@/lib/geo';
+
+// Import of existing territory and boundary polygons from GeoJSON, KML or a
+// zipped Shapefile. Every polygon (and every part of a multipolygon) becomes
+// one shape; holes are dropped because shapes are a single outline.
+
+// Bigger outlines are simplified to this many points so shapes stay quick to
+// draw and well inside Firestore's document size limit
+export const MAX_SHAPE_POINTS = 500;
+
+const SHAPE_COLOR_KEYS = Object.keys(SHAPE_COLORS);
+
+const parseKmlCoordinates = (text) => text
+  .trim()
+  .split(/\s+/)
+  .map(tuple => tuple.split(',').map(Number))
+  .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat))
+  .map(([lng, lat]) => [lng, lat]);
+
+const childText = (element, tagName) => element.getElementsByTagName(tagName)[0]?.textContent.trim() || '';
+
+// GeoJSON features from a KML document. Only polygons are kept; name,
+// description and ExtendedData become properties.
+const kmlToFeatures = (text) => {
+  const kml = new DOMParser().parseFromString(text, 'application/xml');
+  if (kml.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('That KML file could not be read.');
+  }
+
+  return [...kml.getElementsByTagName('Placemark')].map((placemark) => {
+    const properties = {};
+    const name = childText(placemark, 'name');
+    const description = childText(placemark, 'description');
+    if (name) properties.name = name;
+    if (description) properties.description = description;
+    [...placemark.getElementsByTagName('Data')].forEach((data) => {
+      properties[data.getAttribute('name')] = childText(data, 'value');
+    });
+    [...placemark.getElementsByTagName('SimpleData')].forEach((data) => {
+      properties[data.getAttribute('name')] = data.textContent.trim();
+    });
+
+    const polygons = [...placemark.getElementsByTagName('Polygon')].map((polygon) => {
+      const outer = polygon.getElementsByTagName('outerBoundaryIs')[0];
+      return [parseKmlCoordinates(outer ? childText(outer, 'coordinates') : '')];
+    });
+    return {
+      type: 'Feature',
+      properties,
+      geometry: { type: 'MultiPolygon', coordinates: polygons },
+    };
+  });
+};
+
+const geoJsonFeatures = (geojson) => {
+  if (geojson.type === 'FeatureCollection') return geojson.features || [];
+  if (geojson.type === 'Feature') return [geojson];
+  return [{ type: 'Feature', properties: {}, geometry: geojson }];
+};
+
+// GeoJSON features from a .geojson/.json, .kml or zipped Shapefile
+export const readBoundaryFile = async (file) => {
+  if (/\.(geo)?json$/i.test(file.name)) {
+    try {
+      return geoJsonFeatures(JSON.parse(await file.text()));
+    } catch (err) {
+      console.error('Error parsing GeoJSON:', err);
+      throw new Error('That GeoJSON file could not be read.');
+    }
+  }
+  if (/\.kml$/i.test(file.name)) {
+    return kmlToFeatures(await file.text());
+  }
+  if (/\.zip$/i.test(file.name)) {
+    const { default: shp } = await import('shpjs');
+    let result;
+    try {
+      result = await shp(await file.arrayBuffer());
+    } catch (err) {
+      console.error('Error parsing Shapefile:', err);
+      throw new Error('No Shapefile found in that zip. It needs at least the .shp file, and a .prj if it isn\'t in WGS84.');
+    }
+    return (Array.isArray(result) ? result : [result]).flatMap(geoJsonFeatures);
+  }
+  throw new Error('Choose a .geojson, .kml or zipped Shapefile (.zip).');
+};
+
+// Outer rings of a geometry's polygons, as [lng, lat] lists
+const outerRings = (geometry) => {
+  if (!geometry) return [];
+  switch (geometry.type) {
+    case 'Polygon':
+      return [geometry.coordinates[0]];
+    case 'MultiPolygon':
+      return geometry.coordinates.map(polygon => polygon[0]);
+    case 'GeometryCollection':
+      return geometry.geometries.flatMap(outerRings);
+    default:
+      return [];
+  }
+};
+
+// One { properties, path, originalPoints } per polygon outline, with the
+// path as open { lat, lng } points and simplified to MAX_SHAPE_POINTS
+export const polygonsFromFeatures = (features) =>
+  features.flatMap(feature => outerRings(feature.geometry)
+    .map((ring) => {
+      const path = (ring || []).map(([lng, lat]) => ({ lat, lng }));
+      const first = path[0];
+      const last = path[path.length - 1];
+      if (path.length > 1 && first.lat === last.lat && first.lng === last.lng) {
+        path.pop();
+      }
+      return {
+        properties: feature.properties || {},
+        path: simplifyPath(path, MAX_SHAPE_POINTS),
+        originalPoints: path.length,
+      };
+    })
+    .filter(polygon => polygon.path.length >= 3));
+
+// Property names seen on any polygon, for the mapping selects
+export const boundaryPropertyKeys = (polygons) =>
+  [...new Set(polygons.flatMap(polygon => Object.keys(polygon.properties)))];
+
+const propertyText = (polygon, key) => {
+  const value = key ? polygon.properties[key] : null;
+  return value == null ? '' : String(value).trim();
+};
+
+// Shape color for each distinct value of a property. Values that already
+// name a shape color (e.g. "blue") keep it; the rest take the palette in order.
+export const assignColors = (polygons, colorProperty) => {
+  const values = [...new Set(polygons.map(polygon => propertyText(polygon, colorProperty)))];
+  const used = new Set();
+  const colors = new Map();
+  values.forEach((value) => {
+    const key = value.toLowerCase();
+    if (Object.hasOwn(SHAPE_COLORS, key)) {
+      colors.set(value, key);
+      used.add(key);
+    }
+  });
+  const free = SHAPE_COLOR_KEYS.filter(key => !used.has(key));
+  const palette = free.length > 0 ? free : SHAPE_COLOR_KEYS;
+  values.filter(value => !colors.has(value)).forEach((value, index) => {
+    colors.set(value, palette[index % palette.length]);
+  });
+  return colors;
+};
+
+// Shape documents for the polygons. Without a color property every shape
+// gets `defaultColor`.
+export const buildImportedShapes = (polygons, { colorProperty, nameProperty, defaultColor }) => {
+  const colors = colorProperty ? assignColors(polygons, colorProperty) : null;
+  const createdAt = Date.now();
+  return polygons.map((polygon, index) => {
+    const shape = {
+      id: `${createdAt}-${index}`,
+      type: 'polygon',
+      shapeType: 'imported',
+      path: polygon.path,
+      color: colors ? colors.get(propertyText(polygon, colorProperty)) : defaultColor,
+      createdAt,
+    };
+    const name = propertyText(polygon, nameProperty);
+    if (name) shape.name = name;
+    return shape;
+  });
+};
+
+// Legend labels from a property: each color is labelled with the value of
+// the first shape that uses it
+export const importedColorLabels = (polygons, shapes, labelProperty) => {
+  const labels = {};
+  shapes.forEach((shape, index) => {
+    const label = propertyText(polygons[index], labelProperty);
+    if (label && !labels[shape.color]) labels[shape.color] = label;
+  });
+  return labels;
+};
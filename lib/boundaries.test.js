@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest';
+import {
+  MAX_SHAPE_POINTS,
+  readBoundaryFile,
+  polygonsFromFeatures,
+  boundaryPropertyKeys,
+  assignColors,
+  buildImportedShapes,
+  importedColorLabels,
+} from '@/lib/boundaries';
+
+const textFile = (name, text) => ({ name, text: async () => text });
+
+const square = (lng, lat) => [[lng, lat], [lng + 1, lat], [lng + 1, lat + 1], [lng, lat + 1], [lng, lat]];
+
+const feature = (properties, geometry) => ({ type: 'Feature', properties, geometry });
+
+describe('readBoundaryFile', () => {
+  it('reads feature collections, single features and bare geometries', async () => {
+    const polygon = { type: 'Polygon', coordinates: [square(0, 0)] };
+    const collection = { type: 'FeatureCollection', features: [feature({ name: 'A' }, polygon)] };
+
+    expect(await readBoundaryFile(textFile('zones.geojson', JSON.stringify(collection)))).toEqual(collection.features);
+    expect(await readBoundaryFile(textFile('zone.json', JSON.stringify(collection.features[0]))))
+      .toEqual(collection.features);
+    expect(await readBoundaryFile(textFile('zone.json', JSON.stringify(polygon))))
+      .toEqual([{ type: 'Feature', properties: {}, geometry: polygon }]);
+  });
+
+  it('rejects unreadable and unsupported files', async () => {
+    await expect(readBoundaryFile(textFile('zones.geojson', '{'))).rejects.toThrow('could not be read');
+    await expect(readBoundaryFile(textFile('zones.gpx', ''))).rejects.toThrow('Choose a .geojson');
+  });
+});
+
+describe('polygonsFromFeatures', () => {
+  it('keeps outer rings of every polygon part as open paths', () => {
+    const withHole = { type: 'Polygon', coordinates: [square(0, 0), square(0.25, 0.25)] };
+    const multi = { type: 'MultiPolygon', coordinates: [[square(10, 10)], [square(20, 20)]] };
+    const polygons = polygonsFromFeatures([
+      feature({ name: 'A' }, withHole),
+      feature({ name: 'B' }, multi),
+      feature({ name: 'C' }, { type: 'Point', coordinates: [0, 0] }),
+    ]);
+
+    expect(polygons.map(polygon => polygon.properties.name)).toEqual(['A', 'B', 'B']);
+    expect(polygons[0].path).toEqual([
+      { lat: 0, lng: 0 }, { lat: 0, lng: 1 }, { lat: 1, lng: 1 }, { lat: 1, lng: 0 },
+    ]);
+    expect(polygons[0].originalPoints).toBe(4);
+  });
+
+  it('drops outlines with fewer than three points', () => {
+    const line = { type: 'Polygon', coordinates: [[[0, 0], [1, 1], [0, 0]]] };
+    expect(polygonsFromFeatures([feature({}, line)])).toEqual([]);
+  });
+
+  it('simplifies large outlines', () => {
+    const ring = Array.from({ length: 2000 }, (_, i) => {
+      const angle = (i / 2000) * 2 * Math.PI;
+      return [Math.cos(angle), Math.sin(angle)];
+    });
+    const [polygon] = polygonsFromFeatures([feature({}, { type: 'Polygon', coordinates: [ring] })]);
+    expect(polygon.originalPoints).toBe(2000);
+    expect(polygon.path.length).toBeLessThanOrEqual(MAX_SHAPE_POINTS);
+    expect(polygon.path.length).toBeGreaterThan(3);
+  });
+});
+
+describe('property mapping', () => {
+  const polygons = [
+    { properties: { name: 'North', team: 'Blue' }, path: [] },
+    { properties: { name: 'South', team: 'East' }, path: [] },
+    { properties: { name: 'West', team: 'East', area: 4 }, path: [] },
+  ];
+
+  it('lists every property name once', () => {
+    expect(boundaryPropertyKeys(polygons)).toEqual(['name', 'team', 'area']);
+  });
+
+  it('keeps values that name a color and gives the rest unused colors', () => {
+    const colors = assignColors(polygons, 'team');
+    expect(colors.get('Blue')).toBe('blue');
+    expect(colors.get('East')).toBe('red');
+  });
+
+  it('builds named shapes and legend labels', () => {
+    const shapes = buildImportedShapes(polygons, { colorProperty: 'team', nameProperty: 'name', defaultColor: 'green' });
+    expect(shapes.map(shape => [shape.name, shape.color, shape.type])).toEqual([
+      ['North', 'blue', 'polygon'],
+      ['South', 'red', 'polygon'],
+      ['West', 'red', 'polygon'],
+    ]);
+    expect(importedColorLabels(polygons, shapes, 'name')).toEqual({ blue: 'North', red: 'South' });
+
+    const plain = buildImportedShapes(polygons, { colorProperty: '', nameProperty: '', defaultColor: 'green' });
+    expect(plain.every(shape => shape.color === 'green' && !('name' in shape))).toBe(true);
+  });
+});
@@ -0,0 +1,82 @@
+// Marker clustering for low zoom levels. Clusters are recomputed from the
+// current marker list and zoom on every render, so pins added, moved or
+// removed by the live listener are always reflected.
+
+// Above this zoom every pin is drawn on its own
+export const CLUSTER_MAX_ZOOM = 11;
+
+// Pins closer than this many screen pixels are grouped together
+const CLUSTER_RADIUS_PX = 50;
+
+const TILE_SIZE = 256;
+
+// Web Mercator world coordinates in pixels at the given zoom
+const project = ({ lat, lng }, zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sinLat = Math.min(Math.max(Math.sin((lat * Math.PI) / 180), -0.9999), 0.9999);
+  return {
+    x: ((lng + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale,
+  };
+};
+
+const boundsOf = (markers) => ({
+  north: Math.max(...markers.map(m => m.lat)),
+  south: Math.min(...markers.map(m => m.lat)),
+  east: Math.max(...markers.map(m => m.lng)),
+  west: Math.min(...markers.map(m => m.lng)),
+});
+
+// Group markers into clusters: { id, markers, lat, lng, bounds }. Single pins
+// come back as clusters of one. Seeds are taken in list order (oldest first),
+// so clusters don't jump around when an unrelated pin changes.
+export const clusterMarkers = (markers, zoom) => {
+  const points = markers.map(marker => ({ marker, ...project(marker, zoom) }));
+
+  if (zoom > CLUSTER_MAX_ZOOM) {
+    return points.map(({ marker }) => ({
+      id: marker.id,
+      markers: [marker],
+      lat: marker.lat,
+      lng: marker.lng,
+    }));
+  }
+
+  const assigned = new Set();
+  const clusters = [];
+
+  points.forEach((seed, seedIndex) => {
+    if (assigned.has(seedIndex)) return;
+
+    const members = [];
+    points.forEach((point, index) => {
+      if (assigned.has(index)) return;
+      if (Math.hypot(point.x - seed.x, point.y - seed.y) <= CLUSTER_RADIUS_PX) {
+        assigned.add(index);
+        members.push(point.marker);
+      }
+    });
+
+    clusters.push({
+      id: members.length > 1 ? `cluster-${seed.marker.id}` : seed.marker.id,
+      markers: members,
+      lat: members.reduce((sum, m) => sum + m.lat, 0) / members.length,
+      lng: members.reduce((sum, m) => sum + m.lng, 0) / members.length,
+      bounds: boundsOf(members),
+    });
+  });
+
+  return clusters;
+};
+
+// Pin counts per type, largest first: [{ typeId, count }]
+export const clusterTypeCounts = (markers, defaultTypeId) => {
+  const counts = {};
+  markers.forEach((marker) => {
+    const typeId = marker.pinType || defaultTypeId;
+    counts[typeId] = (counts[typeId] || 0) + 1;
+  });
+  return Object.entries(counts)
+    .map(([typeId, count]) => ({ typeId, count }))
+    .sort((a, b) => b.count - a.count);
+};
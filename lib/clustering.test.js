@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { CLUSTER_MAX_ZOOM, clusterMarkers, clusterTypeCounts } from '@/lib/clustering';
+
+const markers = [
+  { id: 'a', lat: 39.77, lng: -86.16, pinType: 'open' },
+  { id: 'b', lat: 39.78, lng: -86.15, pinType: 'prospect' },
+  { id: 'c', lat: 41.88, lng: -87.63, pinType: 'open' },
+];
+
+describe('clusterMarkers', () => {
+  it('groups nearby pins at low zoom', () => {
+    const clusters = clusterMarkers(markers, 8);
+    expect(clusters.map(cluster => [cluster.id, cluster.markers.map(m => m.id)])).toEqual([
+      ['cluster-a', ['a', 'b']],
+      ['c', ['c']],
+    ]);
+    expect(clusters[0].lat).toBeCloseTo(39.775);
+    expect(clusters[0].bounds).toEqual({ north: 39.78, south: 39.77, east: -86.15, west: -86.16 });
+  });
+
+  it('puts everything in one cluster when zoomed far out', () => {
+    expect(clusterMarkers(markers, 2)).toHaveLength(1);
+  });
+
+  it('draws every pin on its own when zoomed in', () => {
+    expect(clusterMarkers(markers, CLUSTER_MAX_ZOOM + 1).map(cluster => cluster.id)).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('clusterTypeCounts', () => {
+  it('counts pins per type, largest first, with untyped pins as the default', () => {
+    expect(clusterTypeCounts([...markers, { id: 'd' }, { id: 'e' }, { id: 'f' }], 'prospect')).toEqual([
+      { typeId: 'prospect', count: 4 },
+      { typeId: 'open', count: 2 },
+    ]);
+  });
+});
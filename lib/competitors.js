@@ -0,0 +1,107 @@
+import { doc, onSnapshot, setDoc } from 'firebase/firestore';
+import { workspaceSettingsDoc, commitInChunks } from '@/lib/workspaces';
+import { stateChanges, fieldUpdates } from '@/lib/historyStates';
+import { IMPORT_FIELDS } from '@/lib/importing';
+
+// Competitor locations are a layer of their own, apart from our sites: each
+// map keeps them in maps/{mapId}/competitors as { lat, lng, address, brand,
+// name, notes, createdAt }, and `brand` is an id from the workspace's brand
+// registry in workspaces/{workspaceId}/settings/competitorBrands.
+export const DEFAULT_BRANDS = [
+  { id: 'mister', label: 'Mister Car Wash', color: '#1D4ED8', icon: 'M', order: 0 },
+  { id: 'tommys', label: "Tommy's Express", color: '#DC2626', icon: 'T', order: 1 },
+  { id: 'take_5', label: 'Take 5 Car Wash', color: '#EA580C', icon: '5', order: 2 },
+  { id: 'other', label: 'Other', color: '#4B5563', icon: '?', order: 3 },
+];
+
+// Brand marks are short, like a logo's initials. A brand can also link a
+// logo image (`logoUrl`), which replaces the text mark wherever it's shown.
+export const MAX_BRAND_ICON_LENGTH = 3;
+
+export const isLogoUrl = (url) => /^https?:\/\/\S+$/i.test(url);
+
+// Shown for competitors whose brand has been deleted from the registry
+const MISSING_BRAND_COLOR = '#9CA3AF';
+
+export const sortBrands = (brands) =>
+  [...brands].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+
+// Registry entry for a competitor's brand; unknown ids render in gray
+export const getBrand = (brands, id) => {
+  const found = brands.find(brand => brand.id === id);
+  if (found) return found;
+
+  const label = (id || 'unknown').replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+  return { id, label: `${label} (removed)`, color: MISSING_BRAND_COLOR, icon: '', missing: true };
+};
+
+// Real-time listener for a workspace's brands; workspaces that never
+// customised them get the defaults
+export const subscribeToBrands = (workspaceId, onChange, onError) =>
+  onSnapshot(workspaceSettingsDoc(workspaceId, 'competitorBrands'), (snapshot) => {
+    const brands = snapshot.exists() ? snapshot.data().brands : null;
+    onChange(sortBrands(brands?.length ? brands : DEFAULT_BRANDS));
+  }, onError);
+
+export const saveBrands = async (workspaceId, brands) => {
+  await setDoc(workspaceSettingsDoc(workspaceId, 'competitorBrands'), {
+    brands: brands.map((brand, index) => {
+      const saved = {
+        id: brand.id,
+        label: brand.label.trim(),
+        color: brand.color,
+        icon: (brand.icon || '').trim().slice(0, MAX_BRAND_ICON_LENGTH),
+        order: index,
+      };
+      const logoUrl = (brand.logoUrl || '').trim();
+      if (logoUrl) saved.logoUrl = logoUrl;
+      return saved;
+    }),
+  });
+};
+
+// Real-time listener for a map's competitors, oldest first
+export const subscribeToCompetitors = (competitorsRef, onChange, onError) =>
+  onSnapshot(competitorsRef, (snapshot) => {
+    const competitors = [];
+    snapshot.forEach((competitorDoc) => {
+      competitors.push({ id: competitorDoc.id, ...competitorDoc.data() });
+    });
+    competitors.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+    onChange(competitors);
+  }, onError);
+
+// Step competitors from one history state to another in batches, writing
+// only the fields that differ. Null data deletes the document; competitors
+// someone else removed since (not in `current`) are left alone.
+export const writeCompetitorStates = (competitorsRef, from, to, current) => {
+  const existingIds = new Set(current.map(competitor => competitor.id));
+  return commitInChunks(stateChanges(from, to, existingIds).map(({ id, change }) => (batch) => {
+    if (change.type === 'set') {
+      batch.set(doc(competitorsRef, id), change.data);
+    } else if (change.type === 'remove') {
+      batch.delete(doc(competitorsRef, id));
+    } else {
+      batch.update(doc(competitorsRef, id), fieldUpdates(change));
+    }
+  }));
+};
+
+// Spreadsheet columns for a competitor list: a brand instead of a pin type
+export const COMPETITOR_IMPORT_FIELDS = IMPORT_FIELDS.map(field => (field.key === 'type'
+  ? { key: 'type', label: 'Brand', match: /^(brand|chain|company|competitor|operator|banner)$/i }
+  : field));
+
+// Competitor document for a geocoded import row. Blank name/notes are left off.
+export const importedCompetitor = (row, location, createdAt) => {
+  const competitor = {
+    lat: location.lat,
+    lng: location.lng,
+    address: location.address,
+    brand: row.typeId,
+    createdAt,
+  };
+  if (row.siteName) competitor.name = row.siteName;
+  if (row.notes) competitor.notes = row.notes;
+  return competitor;
+};
@@ -0,0 +1,79 @@
+// Parsing for pasted latitude/longitude pairs, e.g.
+//   39.7684, -86.1581
+//   39.7684 N 86.1581 W
+//   39°46'06.2"N 86°09'29.2"W
+//   N 39° 46.103' W 86° 9.487'
+
+// One coordinate: optional hemisphere, signed degrees, optional minutes and
+// seconds (only after a degree sign), optional trailing hemisphere
+const PART = String.raw`([NSEW])?\s*([-+]?\d+(?:\.\d+)?)(?:\s*°\s*(?:(\d+(?:\.\d+)?)\s*')?\s*(?:(\d+(?:\.\d+)?)\s*")?)?\s*([NSEW])?`;
+const PAIR = new RegExp(String.raw`^\s*${PART}(?:\s*[,;]\s*|\s+)${PART}\s*$`, 'i');
+
+// Fold the various prime and degree characters people paste into plain ones
+const normalize = (text) => text
+  .replace(/[º˚]/g, '°')
+  .replace(/[′’‘]/g, "'")
+  .replace(/[″”“]|''/g, '"');
+
+const toDecimal = ([prefix, degrees, minutes, seconds, suffix]) => {
+  const min = minutes ? parseFloat(minutes) : 0;
+  const sec = seconds ? parseFloat(seconds) : 0;
+  if (min >= 60 || sec >= 60) return null;
+
+  const hemisphere = (prefix || suffix || '').toUpperCase() || null;
+  if (prefix && suffix) return null;
+
+  const deg = parseFloat(degrees);
+  if (hemisphere && deg < 0) return null;
+
+  const magnitude = Math.abs(deg) + min / 60 + sec / 3600;
+  const negative = deg < 0 || degrees.startsWith('-') || hemisphere === 'S' || hemisphere === 'W';
+  return { value: negative ? -magnitude : magnitude, hemisphere };
+};
+
+const parsePair = (normalized) => {
+  const match = normalized.match(PAIR);
+  if (!match) return null;
+
+  const firstParts = match.slice(1, 6);
+  const secondParts = match.slice(6, 11);
+  // In "N 39° 46' W 86° 9'" the W is the second value's prefix, not a suffix
+  if (firstParts[0] && firstParts[4] && !secondParts[0]) {
+    [secondParts[0], firstParts[4]] = [firstParts[4], undefined];
+  }
+
+  let first = toDecimal(firstParts);
+  let second = toDecimal(secondParts);
+  if (!first || !second) return null;
+
+  const isLng = ({ hemisphere }) => hemisphere === 'E' || hemisphere === 'W';
+  const isLat = ({ hemisphere }) => hemisphere === 'N' || hemisphere === 'S';
+
+  // Longitude written first, e.g. "86.15 W, 39.77 N"
+  if (isLng(first) || isLat(second)) {
+    [first, second] = [second, first];
+  }
+  if (isLng(first) || isLat(second)) return null;
+
+  const lat = first.value;
+  const lng = second.value;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+
+  return { lat, lng };
+};
+
+// { lat, lng } for a coordinate pair in decimal or DMS notation, or null if
+// the text doesn't look like one (so it can be treated as an address).
+// "40 50" or "5, 3" is more likely a house number and street (or a list of
+// numbers) than a position, so the numbers need a decimal point or degree sign.
+export const parseCoordinates = (text) => {
+  const normalized = normalize(text || '');
+  if (!/[.°]/.test(normalized)) return null;
+  return parsePair(normalized);
+};
+
+// Same, for values that are known to be coordinates (e.g. the latitude and
+// longitude columns of an import), where whole degrees are fine
+export const parseCoordinateValues = (lat, lng) => parsePair(normalize(`${lat}, ${lng}`));
+
+export const formatCoordinates = ({ lat, lng }) => `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
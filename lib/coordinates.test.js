@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { parseCoordinates, parseCoordinateValues, formatCoordinates } from '@/lib/coordinates';
+
+describe('parseCoordinates', () => {
+  it('reads decimal pairs with a comma, semicolon or space', () => {
+    expect(parseCoordinates('39.7684, -86.1581')).toEqual({ lat: 39.7684, lng: -86.1581 });
+    expect(parseCoordinates('39.7684;-86.1581')).toEqual({ lat: 39.7684, lng: -86.1581 });
+    expect(parseCoordinates('39.7684 -86.1581')).toEqual({ lat: 39.7684, lng: -86.1581 });
+  });
+
+  it('reads hemisphere letters and swaps longitude-first pairs', () => {
+    expect(parseCoordinates('39.7684 N 86.1581 W')).toEqual({ lat: 39.7684, lng: -86.1581 });
+    expect(parseCoordinates('86.1581 W, 39.7684 N')).toEqual({ lat: 39.7684, lng: -86.1581 });
+  });
+
+  it('reads degrees, minutes and seconds', () => {
+    const dms = parseCoordinates('39°46\'06.2"N 86°09\'29.2"W');
+    expect(dms.lat).toBeCloseTo(39.76839, 5);
+    expect(dms.lng).toBeCloseTo(-86.15811, 5);
+
+    const minutes = parseCoordinates("N 39° 46.103' W 86° 9.487'");
+    expect(minutes.lat).toBeCloseTo(39.76838, 5);
+    expect(minutes.lng).toBeCloseTo(-86.15812, 5);
+  });
+
+  it('accepts whole degrees with a degree sign', () => {
+    expect(parseCoordinates('40°, 50°')).toEqual({ lat: 40, lng: 50 });
+  });
+
+  it('leaves numbers without a decimal point or degree sign to the geocoder', () => {
+    expect(parseCoordinates('40 50')).toBeNull();
+    expect(parseCoordinates('5, 3')).toBeNull();
+    expect(parseCoordinates('40, 50')).toBeNull();
+    expect(parseCoordinates('40, 50 Main St')).toBeNull();
+  });
+
+  it('rejects addresses and out-of-range values', () => {
+    expect(parseCoordinates('123 Main St, Indianapolis')).toBeNull();
+    expect(parseCoordinates('95.5, 10.1')).toBeNull();
+    expect(parseCoordinates('39.5 N, 86.1 N')).toBeNull();
+    expect(parseCoordinates('')).toBeNull();
+    expect(parseCoordinates(null)).toBeNull();
+  });
+});
+
+describe('parseCoordinateValues', () => {
+  it('accepts whole degrees from known coordinate columns', () => {
+    expect(parseCoordinateValues('40', '-86')).toEqual({ lat: 40, lng: -86 });
+    expect(parseCoordinateValues('39.7684', '-86.1581')).toEqual({ lat: 39.7684, lng: -86.1581 });
+  });
+
+  it('still rejects values that are not coordinates', () => {
+    expect(parseCoordinateValues('north', '-86')).toBeNull();
+    expect(parseCoordinateValues('91', '0')).toBeNull();
+  });
+});
+
+describe('formatCoordinates', () => {
+  it('rounds to six decimals', () => {
+    expect(formatCoordinates({ lat: 39.76841234, lng: -86.1581 })).toBe('39.768412, -86.158100');
+  });
+});
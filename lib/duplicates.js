@@ -0,0 +1,90 @@
+import { haversineDistance } from '@/lib/geo';
+
+// Pins closer than this are treated as the same site
+export const DUPLICATE_DISTANCE_M = 50;
+
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st',
+  avenue: 'ave',
+  road: 'rd',
+  drive: 'dr',
+  boulevard: 'blvd',
+  lane: 'ln',
+  court: 'ct',
+  place: 'pl',
+  highway: 'hwy',
+  parkway: 'pkwy',
+  circle: 'cir',
+  suite: 'ste',
+  north: 'n',
+  south: 's',
+  east: 'e',
+  west: 'w',
+};
+
+// Comparable form of an address: case, punctuation, country, ZIP+4 and
+// common street-word spellings don't matter
+export const normalizeAddress = (address) => (address || '')
+  .toLowerCase()
+  .replace(/,?\s*(usa|united states( of america)?)\s*$/, '')
+  .replace(/\b(\d{5})-\d{4}\b/g, '$1')
+  .replace(/[.,#]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(word => (Object.hasOwn(ADDRESS_ABBREVIATIONS, word) ? ADDRESS_ABBREVIATIONS[word] : word))
+  .join(' ');
+
+// Why `a` and `b` look like the same site, or null. Returns
+// { reason: 'address' | 'distance', distance } with distance in meters.
+const compareSites = (a, b) => {
+  const distance = haversineDistance(a, b);
+  const address = normalizeAddress(a.address);
+  if (address && address === normalizeAddress(b.address)) {
+    return { reason: 'address', distance };
+  }
+  if (distance <= DUPLICATE_DISTANCE_M) {
+    return { reason: 'distance', distance };
+  }
+  return null;
+};
+
+// Existing pins that look like the same site as `candidate` ({ lat, lng, address }),
+// closest first: [{ marker, reason, distance }]
+export const findDuplicates = (candidate, markers) =>
+  markers
+    .filter(marker => marker.id !== candidate.id)
+    .map(marker => ({ marker, ...compareSites(candidate, marker) }))
+    .filter(match => match.reason)
+    .sort((a, b) => a.distance - b.distance);
+
+// Groups of two or more pins that look like the same site, for auditing
+// existing data. Matches chain, so A~B and B~C put A, B and C together.
+export const findDuplicateGroups = (markers) => {
+  const parent = markers.map((_, index) => index);
+  const root = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  for (let i = 0; i < markers.length; i += 1) {
+    for (let j = i + 1; j < markers.length; j += 1) {
+      if (compareSites(markers[i], markers[j])) {
+        parent[root(j)] = root(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  markers.forEach((marker, index) => {
+    const key = root(index);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(marker);
+  });
+  return [...groups.values()].filter(group => group.length > 1);
+};
+
+export const formatDistance = (meters) =>
+  meters < 1 ? 'same spot' : `${Math.round(meters)} m apart`;
@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { normalizeAddress, findDuplicates, findDuplicateGroups, formatDistance } from '@/lib/duplicates';
+
+// About 11 m per 0.0001 degree of latitude
+const pin = (id, lat, address = '') => ({ id, lat, lng: -86.16, address });
+
+describe('normalizeAddress', () => {
+  it('ignores case, punctuation, country, ZIP+4 and street-word spellings', () => {
+    expect(normalizeAddress('123 North Main Street, Carmel, IN 46032-1234, USA'))
+      .toBe(normalizeAddress('123 n. main st carmel in 46032'));
+    expect(normalizeAddress('500 Oak Avenue #4')).toBe('500 oak ave 4');
+    expect(normalizeAddress(null)).toBe('');
+  });
+});
+
+describe('findDuplicates', () => {
+  it('matches the same address anywhere and nearby pins, closest first', () => {
+    const markers = [
+      pin('far', 39.9, '1 Main Street'),
+      pin('near', 39.7702),
+      pin('other', 39.8),
+    ];
+    const matches = findDuplicates({ lat: 39.77, lng: -86.16, address: '1 Main St' }, markers);
+    expect(matches.map(({ marker, reason }) => [marker.id, reason])).toEqual([
+      ['near', 'distance'],
+      ['far', 'address'],
+    ]);
+  });
+
+  it('skips the pin being checked', () => {
+    const marker = pin('a', 39.77, '1 Main St');
+    expect(findDuplicates(marker, [marker])).toEqual([]);
+  });
+});
+
+describe('findDuplicateGroups', () => {
+  it('chains matches into groups', () => {
+    const markers = [
+      pin('a', 39.7700),
+      pin('b', 39.7704),
+      pin('c', 39.7708),
+      pin('d', 39.9),
+    ];
+    expect(findDuplicateGroups(markers).map(group => group.map(m => m.id))).toEqual([['a', 'b', 'c']]);
+  });
+});
+
+describe('formatDistance', () => {
+  it('rounds to meters', () => {
+    expect(formatDistance(0.4)).toBe('same spot');
+    expect(formatDistance(12.6)).toBe('13 m apart');
+  });
+});
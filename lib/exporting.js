@@ -0,0 +1,177 @@
+import { SITE_FIELDS } from '@/lib/sites';
+import { getPinType } from '@/lib/pinTypes';
+import { SHAPE_COLORS, shapePath, measureShape } from '@/lib/shapes';
+import { METERS_PER_MILE, areaFigures } from '@/lib/geo';
+
+// Data export of a map's pins and shapes for GIS tools, Google Earth and
+// spreadsheets. Callers pass only what should be exported (e.g. what the
+// active filters and layers leave visible).
+
+// Marker attributes shared by every format, in column order
+const markerProperties = (marker, pinTypes) => {
+  const pinType = getPinType(pinTypes, marker.pinType);
+  return {
+    id: marker.id,
+    address: marker.address || '',
+    lat: marker.lat,
+    lng: marker.lng,
+    pinType: pinType.id,
+    pinTypeLabel: pinType.label,
+    pinColor: pinType.bodyColor,
+    ...Object.fromEntries(SITE_FIELDS.map(({ key }) => [key, marker[key] ?? ''])),
+    createdAt: marker.createdAt ? new Date(marker.createdAt).toISOString() : '',
+  };
+};
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+const shapeProperties = (shape, colorLabels) => {
+  const { area, perimeter } = measureShape(shape);
+  const { sqMiles, acres, km2 } = areaFigures(area);
+  return {
+    id: shape.id,
+    name: shape.name || '',
+    shapeType: shape.shapeType || shape.type,
+    color: shape.color,
+    colorHex: SHAPE_COLORS[shape.color] || SHAPE_COLORS.red,
+    colorLabel: colorLabels[shape.color] || '',
+    radiusMeters: shape.type === 'circle' ? Math.round(shape.radius) : '',
+    areaSqMiles: round(sqMiles, 3),
+    areaAcres: round(acres, 1),
+    areaKm2: round(km2, 3),
+    perimeterMiles: round(perimeter / METERS_PER_MILE, 2),
+  };
+};
+
+// Polygon rings are closed, so the first point is repeated at the end
+const closedRing = (path) => {
+  const ring = path.map(point => [point.lng, point.lat]);
+  const [first] = ring;
+  const last = ring[ring.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+    ring.push(first);
+  }
+  return ring;
+};
+
+export const toGeoJSON = ({ markers, shapes, pinTypes, colorLabels }) => JSON.stringify({
+  type: 'FeatureCollection',
+  features: [
+    ...markers.map(marker => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [marker.lng, marker.lat] },
+      properties: markerProperties(marker, pinTypes),
+    })),
+    ...shapes.map(shape => ({
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [closedRing(shapePath(shape))] },
+      properties: shapeProperties(shape, colorLabels),
+    })),
+  ],
+}, null, 2);
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// KML colors are aabbggrr
+const kmlColor = (hex, alpha = 'ff') => {
+  const [, r, g, b] = hex.match(/^#?(..)(..)(..)$/) || [null, '88', '88', '88'];
+  return `${alpha}${b}${g}${r}`.toLowerCase();
+};
+
+const extendedData = (properties) => [
+  '<ExtendedData>',
+  ...Object.entries(properties).map(([name, value]) =>
+    `<Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`),
+  '</ExtendedData>',
+].join('');
+
+export const toKML = ({ markers, shapes, pinTypes, colorLabels, name = 'Map export' }) => {
+  const pinStyles = pinTypes.map(type =>
+    `<Style id="pin-${escapeXml(type.id)}"><IconStyle><color>${kmlColor(type.bodyColor)}</color></IconStyle></Style>`);
+  const shapeStyles = Object.entries(SHAPE_COLORS).map(([key, hex]) =>
+    `<Style id="shape-${key}"><LineStyle><color>${kmlColor(hex)}</color><width>2</width></LineStyle><PolyStyle><color>${kmlColor(hex, '59')}</color></PolyStyle></Style>`);
+
+  const pinPlacemarks = markers.map((marker) => {
+    const properties = markerProperties(marker, pinTypes);
+    return [
+      '<Placemark>',
+      `<name>${escapeXml(marker.siteName || marker.address || '')}</name>`,
+      `<styleUrl>#pin-${escapeXml(properties.pinType)}</styleUrl>`,
+      extendedData(properties),
+      `<Point><coordinates>${marker.lng},${marker.lat}</coordinates></Point>`,
+      '</Placemark>',
+    ].join('');
+  });
+  const shapePlacemarks = shapes.map((shape) => {
+    const properties = shapeProperties(shape, colorLabels);
+    const coordinates = closedRing(shapePath(shape)).map(([lng, lat]) => `${lng},${lat}`).join(' ');
+    return [
+      '<Placemark>',
+      `<name>${escapeXml(shape.name || properties.colorLabel || `${properties.shapeType} (${shape.color})`)}</name>`,
+      `<styleUrl>#shape-${escapeXml(shape.color)}</styleUrl>`,
+      extendedData(properties),
+      `<Polygon><outerBoundaryIs><LinearRing><coordinates>${coordinates}</coordinates></LinearRing></outerBoundaryIs></Polygon>`,
+      '</Placemark>',
+    ].join('');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    `<name>${escapeXml(name)}</name>`,
+    ...pinStyles,
+    ...shapeStyles,
+    '<Folder><name>Pins</name>',
+    ...pinPlacemarks,
+    '</Folder>',
+    '<Folder><name>Shapes</name>',
+    ...shapePlacemarks,
+    '</Folder>',
+    '</Document>',
+    '</kml>',
+  ].join('\n');
+};
+
+const csvCell = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Column headers match what the spreadsheet importer recognises, so an
+// export can be imported into another map
+const CSV_COLUMNS = [
+  { key: 'address', label: 'Address' },
+  { key: 'lat', label: 'Latitude' },
+  { key: 'lng', label: 'Longitude' },
+  { key: 'pinTypeLabel', label: 'Pin type' },
+  ...SITE_FIELDS.map(({ key, label }) => ({ key, label })),
+  { key: 'createdAt', label: 'Created' },
+];
+
+export const toCSV = ({ markers, pinTypes }) => [
+  CSV_COLUMNS.map(column => csvCell(column.label)).join(','),
+  ...markers.map((marker) => {
+    const properties = markerProperties(marker, pinTypes);
+    return CSV_COLUMNS.map(column => csvCell(properties[column.key])).join(',');
+  }),
+].join('\r\n');
+
+export const EXPORT_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', build: toGeoJSON },
+  kml: { label: 'KML (Google Earth)', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', build: toKML },
+  csv: { label: 'CSV (pins only)', extension: 'csv', mimeType: 'text/csv', build: toCSV },
+};
+
+export const downloadTextFile = (content, filename, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { toGeoJSON, toKML, toCSV } from '@/lib/exporting';
+import { DEFAULT_PIN_TYPES } from '@/lib/pinTypes';
+import { parseCsv, guessMapping } from '@/lib/importing';
+
+const markers = [{
+  id: 'm1',
+  lat: 39.77,
+  lng: -86.16,
+  address: '1 Main St, Carmel, IN',
+  pinType: 'prospect',
+  siteName: 'North & "Main"',
+  notes: 'Corner lot, busy',
+  createdAt: Date.UTC(2024, 0, 2),
+}];
+const shapes = [
+  {
+    id: 's1',
+    type: 'polygon',
+    shapeType: 'polygon',
+    color: 'blue',
+    path: [{ lat: 0, lng: 0 }, { lat: 0, lng: 0.01 }, { lat: 0.01, lng: 0.01 }],
+  },
+  { id: 's2', type: 'circle', shapeType: 'circle', color: 'red', center: { lat: 39.77, lng: -86.16 }, radius: 1609.344 },
+];
+const data = { markers, shapes, pinTypes: DEFAULT_PIN_TYPES, colorLabels: { blue: 'Territory A' } };
+
+describe('toGeoJSON', () => {
+  it('writes pins as points and shapes as closed polygons with measurements', () => {
+    const { features } = JSON.parse(toGeoJSON(data));
+    expect(features).toHaveLength(3);
+    expect(features[0].geometry).toEqual({ type: 'Point', coordinates: [-86.16, 39.77] });
+    expect(features[0].properties).toMatchObject({ pinType: 'prospect', pinTypeLabel: 'Prospect', createdAt: '2024-01-02T00:00:00.000Z' });
+
+    const ring = features[1].geometry.coordinates[0];
+    expect(ring).toHaveLength(4);
+    expect(ring[3]).toEqual(ring[0]);
+    expect(features[1].properties).toMatchObject({ colorLabel: 'Territory A', colorHex: '#2563EB' });
+
+    expect(features[2].properties).toMatchObject({ radiusMeters: 1609, areaSqMiles: 3.142 });
+  });
+});
+
+describe('toKML', () => {
+  it('escapes text and styles pins and shapes', () => {
+    const kml = toKML(data);
+    expect(kml).toContain('<name>North &amp; &quot;Main&quot;</name>');
+    expect(kml).toContain('<styleUrl>#pin-prospect</styleUrl>');
+    expect(kml).toContain('<name>Territory A</name>');
+    // #2563EB as aabbggrr
+    expect(kml).toContain('<color>ffeb6325</color>');
+  });
+});
+
+describe('toCSV', () => {
+  it('quotes cells and uses headers the importer recognises', () => {
+    const [headers, row] = parseCsv(toCSV(data));
+    expect(row[headers.indexOf('Site name')]).toBe('North & "Main"');
+    expect(row[headers.indexOf('Notes')]).toBe('Corner lot, busy');
+    expect(guessMapping(headers)).toMatchObject({ address: 0, lat: 1, lng: 2, type: 3 });
+  });
+});
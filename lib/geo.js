@@ -0,0 +1,184 @@
+// Spherical geometry helpers for lat/lng points
+
+// Mean Earth radius in meters
+export const EARTH_RADIUS_M = 6371008.8;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance between two { lat, lng } points, in meters
+export const haversineDistance = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+export const METERS_PER_MILE = 1609.344;
+
+export const formatMiles = (meters) => {
+  const miles = meters / METERS_PER_MILE;
+  return `${miles < 10 ? miles.toFixed(1) : Math.round(miles)} mi`;
+};
+
+const SQ_METERS_PER_SQ_MILE = METERS_PER_MILE * METERS_PER_MILE;
+const SQ_METERS_PER_ACRE = 4046.8564224;
+
+// Square meters in the units we negotiate territories in
+export const areaFigures = (sqMeters) => ({
+  sqMiles: sqMeters / SQ_METERS_PER_SQ_MILE,
+  acres: sqMeters / SQ_METERS_PER_ACRE,
+  km2: sqMeters / 1e6,
+});
+
+const formatNumber = (value, digits) => value.toLocaleString('en-US', { maximumFractionDigits: digits });
+
+export const formatSquareMiles = (sqMeters) => {
+  const { sqMiles } = areaFigures(sqMeters);
+  return `${formatNumber(sqMiles, sqMiles < 10 ? 2 : 1)} sq mi`;
+};
+
+// "2.31 sq mi (1,478 acres, 5.98 km²)"
+export const formatArea = (sqMeters) => {
+  const { acres, km2 } = areaFigures(sqMeters);
+  return `${formatSquareMiles(sqMeters)} (${formatNumber(acres, acres < 10 ? 1 : 0)} acres, ${formatNumber(km2, km2 < 10 ? 2 : 1)} km²)`;
+};
+
+// Area enclosed by a { lat, lng } ring on the sphere, in square meters. Uses
+// the same spherical approximation as common GIS tools, which is well within
+// a percent for territories a few hundred miles across.
+export const pathArea = (path) => {
+  if (path.length < 3) return 0;
+  const total = path.reduce((sum, point, i) => {
+    const next = path[(i + 1) % path.length];
+    return sum + toRadians(next.lng - point.lng)
+      * (2 + Math.sin(toRadians(point.lat)) + Math.sin(toRadians(next.lat)));
+  }, 0);
+  return Math.abs((total * EARTH_RADIUS_M * EARTH_RADIUS_M) / 2);
+};
+
+// Length of a closed ring's outline in meters
+export const pathPerimeter = (path) =>
+  path.reduce((sum, point, i) => sum + haversineDistance(point, path[(i + 1) % path.length]), 0);
+
+// Spherical cap and its edge for a circle of `radius` meters on the ground
+export const circleArea = (radius) =>
+  2 * Math.PI * EARTH_RADIUS_M * EARTH_RADIUS_M * (1 - Math.cos(radius / EARTH_RADIUS_M));
+
+export const circleCircumference = (radius) =>
+  2 * Math.PI * EARTH_RADIUS_M * Math.sin(radius / EARTH_RADIUS_M);
+
+// { south, west, north, east } box around a point, `radius` meters to each side
+export const boundsAround = (center, radius) => {
+  const latDelta = (radius / EARTH_RADIUS_M) * (180 / Math.PI);
+  const lngDelta = latDelta / Math.max(Math.cos(toRadians(center.lat)), 0.01);
+  return {
+    south: Math.max(center.lat - latDelta, -90),
+    west: Math.max(center.lng - lngDelta, -180),
+    north: Math.min(center.lat + latDelta, 90),
+    east: Math.min(center.lng + lngDelta, 180),
+  };
+};
+
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+// Point `distance` meters from `origin` along a great circle, heading
+// `bearing` degrees clockwise from north
+export const destinationPoint = (origin, bearing, distance) => {
+  const angular = distance / EARTH_RADIUS_M;
+  const heading = toRadians(bearing);
+  const lat1 = toRadians(origin.lat);
+  const lng1 = toRadians(origin.lng);
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular)
+    + Math.cos(lat1) * Math.sin(angular) * Math.cos(heading));
+  const lng2 = lng1 + Math.atan2(
+    Math.sin(heading) * Math.sin(angular) * Math.cos(lat1),
+    Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+  );
+  return { lat: toDegrees(lat2), lng: ((toDegrees(lng2) + 540) % 360) - 180 };
+};
+
+// Outline of a circle on the Earth's surface as `points` { lat, lng } points,
+// for formats that only know polygons
+export const circlePath = (center, radius, points = 64) =>
+  Array.from({ length: points }, (_, i) => destinationPoint(center, (i / points) * 360, radius));
+
+// Flat x/y in meters around `origin`, close enough for comparing nearby points
+const projectLocal = (point, origin) => ({
+  x: toRadians(point.lng - origin.lng) * EARTH_RADIUS_M * Math.cos(toRadians(origin.lat)),
+  y: toRadians(point.lat - origin.lat) * EARTH_RADIUS_M,
+});
+
+const unprojectLocal = ({ x, y }, origin) => ({
+  lat: origin.lat + toDegrees(y / EARTH_RADIUS_M),
+  lng: origin.lng + toDegrees(x / (EARTH_RADIUS_M * Math.max(Math.cos(toRadians(origin.lat)), 0.01))),
+});
+
+// `path` turned `degrees` clockwise around `center`, in meters like scalePath
+export const rotatePath = (path, center, degrees) => {
+  const angle = toRadians(degrees);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return path.map((point) => {
+    const { x, y } = projectLocal(point, center);
+    return unprojectLocal({ x: x * cos + y * sin, y: y * cos - x * sin }, center);
+  });
+};
+
+// `path` grown or shrunk by `factor` around `center`, measured in meters so
+// the shape keeps its proportions on the ground at any latitude
+export const scalePath = (path, center, factor) => path.map((point) => {
+  const { x, y } = projectLocal(point, center);
+  return unprojectLocal({ x: x * factor, y: y * factor }, center);
+});
+
+const segmentDistance = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+// Douglas-Peucker: indexes of the points to keep so no dropped point is
+// more than `tolerance` meters from the simplified line
+const douglasPeucker = (points, tolerance) => {
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let farthest = -1;
+    let farthestDistance = tolerance;
+    for (let i = start + 1; i < end; i += 1) {
+      const distance = segmentDistance(points[i], points[start], points[end]);
+      if (distance > farthestDistance) {
+        farthest = i;
+        farthestDistance = distance;
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = 1;
+      stack.push([start, farthest], [farthest, end]);
+    }
+  }
+  return keep;
+};
+
+// `path` with at most `maxPoints` points, dropping the ones that change its
+// outline least. Paths already under the limit are returned as-is.
+export const simplifyPath = (path, maxPoints) => {
+  if (path.length <= maxPoints) return path;
+
+  const points = path.map(point => projectLocal(point, path[0]));
+  let tolerance = 1;
+  let keep = douglasPeucker(points, tolerance);
+  while (keep.reduce((count, kept) => count + kept, 0) > maxPoints) {
+    tolerance *= 2;
+    keep = douglasPeucker(points, tolerance);
+  }
+  return path.filter((_, index) => keep[index]);
+};
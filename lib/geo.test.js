@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import {
+  haversineDistance,
+  destinationPoint,
+  circlePath,
+  rotatePath,
+  scalePath,
+  pathArea,
+  circleArea,
+  boundsAround,
+  formatMiles,
+  formatSquareMiles,
+  formatArea,
+  METERS_PER_MILE,
+} from '@/lib/geo';
+
+const INDY = { lat: 39.7684, lng: -86.1581 };
+const CHICAGO = { lat: 41.8781, lng: -87.6298 };
+
+describe('haversineDistance', () => {
+  it('measures great-circle distances', () => {
+    expect(haversineDistance(INDY, CHICAGO) / 1000).toBeCloseTo(265.3, 0);
+    expect(haversineDistance(INDY, INDY)).toBe(0);
+  });
+});
+
+describe('destinationPoint', () => {
+  it('lands the given distance away on the given heading', () => {
+    const east = destinationPoint(INDY, 90, 5000);
+    expect(haversineDistance(INDY, east)).toBeCloseTo(5000, 3);
+    expect(east.lng).toBeGreaterThan(INDY.lng);
+    expect(destinationPoint({ lat: 0, lng: 179.99 }, 90, 5000).lng).toBeLessThan(-179);
+  });
+});
+
+describe('circlePath', () => {
+  it('keeps every point at the radius, even far north', () => {
+    const north = { lat: 64.8, lng: -147.7 };
+    const path = circlePath(north, 2000, 32);
+    expect(path).toHaveLength(32);
+    path.forEach(point => expect(haversineDistance(north, point)).toBeCloseTo(2000, 3));
+  });
+});
+
+describe('rotatePath and scalePath', () => {
+  it('keep shapes in proportion on the ground', () => {
+    const path = [destinationPoint(INDY, 0, 1000), destinationPoint(INDY, 90, 1000)];
+
+    const doubled = scalePath(path, INDY, 2);
+    doubled.forEach(point => expect(haversineDistance(INDY, point)).toBeCloseTo(2000, -1));
+
+    const [turned] = rotatePath(path, INDY, 90);
+    expect(haversineDistance(turned, path[1])).toBeLessThan(5);
+  });
+});
+
+describe('areas', () => {
+  it('measures a polygon close to its circle', () => {
+    const path = circlePath(INDY, 1609.344, 256);
+    expect(pathArea(path) / circleArea(1609.344)).toBeCloseTo(1, 3);
+    expect(pathArea(path.slice(0, 2))).toBe(0);
+  });
+
+  it('formats miles, square miles, acres and km²', () => {
+    expect(formatMiles(METERS_PER_MILE * 2.25)).toBe('2.3 mi');
+    expect(formatMiles(METERS_PER_MILE * 12.4)).toBe('12 mi');
+    expect(formatSquareMiles(METERS_PER_MILE ** 2)).toBe('1 sq mi');
+    expect(formatArea(METERS_PER_MILE ** 2)).toBe('1 sq mi (640 acres, 2.59 km²)');
+  });
+});
+
+describe('boundsAround', () => {
+  it('boxes a point and clamps at the poles', () => {
+    const bounds = boundsAround(INDY, 1000);
+    expect(haversineDistance(INDY, { lat: bounds.north, lng: INDY.lng })).toBeCloseTo(1000, 3);
+    expect(bounds.west).toBeLessThan(INDY.lng);
+    expect(boundsAround({ lat: 89.99, lng: 0 }, 5000).north).toBe(90);
+  });
+});
@@ -0,0 +1,139 @@
+import { GeocodingError } from '@/lib/geocodingErrors';
+import { normalizeAddress } from '@/lib/duplicates';
+import { haversineDistance } from '@/lib/geo';
+import MOCK_PLACES from '@/lib/geocodingFixtures.json';
+
+// Geocoding providers. Each has a `name`, the minimum gap between requests in
+// `interval` ms, and `geocode(address, { countries, bounds })` /
+// `reverse(lat, lng)` that resolve to candidates [{ lat, lng, address }], best
+// first. `countries` (ISO codes) limits results and `bounds` ({ south, west,
+// north, east }) prefers results inside it. An empty list means no match;
+// quota, network and configuration problems throw a GeocodingError.
+
+// fetch() that reports connection problems as network errors
+const fetchJson = async (url, options) => {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (err) {
+    throw new GeocodingError('network', { cause: err });
+  }
+  if (response.status === 429) {
+    throw new GeocodingError('quota');
+  }
+  if (!response.ok) {
+    throw new GeocodingError('unknown', { message: `Geocoding request failed (${response.status}).` });
+  }
+  return response.json();
+};
+
+const GOOGLE_URL = 'https://maps.googleapis.com/maps/api/geocode/json';
+
+const googleRequest = async (params) => {
+  const apiKey = process.env.NEXT_PUBLIC_GOOGLE_MAPS_API_KEY;
+  if (!apiKey) {
+    throw new GeocodingError('config', { message: 'Google Maps API key not configured' });
+  }
+
+  const data = await fetchJson(`${GOOGLE_URL}?${new URLSearchParams({ ...params, key: apiKey })}`);
+  switch (data.status) {
+    case 'OK':
+      return data.results;
+    case 'ZERO_RESULTS':
+      return [];
+    case 'OVER_QUERY_LIMIT':
+    case 'OVER_DAILY_LIMIT':
+      throw new GeocodingError('quota');
+    default:
+      throw new GeocodingError('unknown', { message: data.error_message || `Geocoding failed (${data.status}).` });
+  }
+};
+
+const googlePlace = (result) => ({
+  lat: result.geometry.location.lat,
+  lng: result.geometry.location.lng,
+  address: result.formatted_address,
+});
+
+const googleCountry = (result) =>
+  result.address_components?.find(component => component.types.includes('country'))?.short_name.toLowerCase();
+
+export const googleGeocoder = {
+  name: 'google',
+  interval: 200,
+  geocode: async (address, { countries = [], bounds = null } = {}) => {
+    const params = { address };
+    // The components filter takes a single country; several are filtered here
+    if (countries.length === 1) params.components = `country:${countries[0]}`;
+    if (bounds) params.bounds = `${bounds.south},${bounds.west}|${bounds.north},${bounds.east}`;
+    const results = await googleRequest(params);
+    return results
+      .filter(result => countries.length < 2 || countries.includes(googleCountry(result)))
+      .map(googlePlace);
+  },
+  reverse: async (lat, lng) => (await googleRequest({ latlng: `${lat},${lng}` })).map(googlePlace),
+};
+
+// Nominatim (OpenStreetMap) or any server with the same API. The public
+// server allows one request per second.
+const NOMINATIM_URL = process.env.NEXT_PUBLIC_NOMINATIM_URL || 'https://nominatim.openstreetmap.org';
+
+const nominatimPlace = (place) => ({
+  lat: parseFloat(place.lat),
+  lng: parseFloat(place.lon),
+  address: place.display_name,
+});
+
+export const nominatimGeocoder = {
+  name: 'nominatim',
+  interval: 1000,
+  geocode: async (address, { countries = [], bounds = null } = {}) => {
+    const query = new URLSearchParams({ q: address, format: 'jsonv2', limit: '5' });
+    if (countries.length > 0) query.set('countrycodes', countries.join(','));
+    if (bounds) query.set('viewbox', [bounds.west, bounds.north, bounds.east, bounds.south].join(','));
+    const places = await fetchJson(`${NOMINATIM_URL}/search?${query}`);
+    return places.map(nominatimPlace);
+  },
+  reverse: async (lat, lng) => {
+    const query = new URLSearchParams({ lat: String(lat), lon: String(lng), format: 'jsonv2' });
+    const place = await fetchJson(`${NOMINATIM_URL}/reverse?${query}`);
+    return place.error ? [] : [nominatimPlace(place)];
+  },
+};
+
+// Offline provider for development and tests, answering from
+// lib/geocodingFixtures.json. An address matches every fixture in the allowed
+// countries whose address contains all of its words, so "Main St" is
+// ambiguous. Queries starting with "!quota" or "!network" fail with that error.
+const MOCK_REVERSE_RADIUS_M = 1000;
+
+const mockPlace = ({ lat, lng, address }) => ({ lat, lng, address });
+
+export const mockGeocoder = {
+  name: 'mock',
+  interval: 0,
+  geocode: async (address, { countries = [] } = {}) => {
+    const failure = address.trim().match(/^!(quota|network)\b/);
+    if (failure) {
+      throw new GeocodingError(failure[1]);
+    }
+    const words = normalizeAddress(address).split(' ').filter(Boolean);
+    if (words.length === 0) return [];
+    return MOCK_PLACES.filter((place) => {
+      if (countries.length > 0 && !countries.includes(place.country)) return false;
+      const placeWords = normalizeAddress(place.address).split(' ');
+      return words.every(word => placeWords.includes(word));
+    }).map(mockPlace);
+  },
+  reverse: async (lat, lng) => MOCK_PLACES
+    .map(place => ({ place, distance: haversineDistance({ lat, lng }, place) }))
+    .filter(({ distance }) => distance <= MOCK_REVERSE_RADIUS_M)
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ place }) => mockPlace(place)),
+};
+
+export const GEOCODERS = {
+  google: googleGeocoder,
+  nominatim: nominatimGeocoder,
+  mock: mockGeocoder,
+};
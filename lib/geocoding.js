@@ -0,0 +1,144 @@
+import { GEOCODERS } from '@/lib/geocoders';
+import { GeocodingError } from '@/lib/geocodingErrors';
+import { DUPLICATE_DISTANCE_M, normalizeAddress } from '@/lib/duplicates';
+import { haversineDistance } from '@/lib/geo';
+import { geocodingOptions } from '@/lib/region';
+
+// Address lookups shared by the dashboard, pin moves and imports. The
+// provider comes from NEXT_PUBLIC_GEOCODER ('google', 'nominatim' or 'mock');
+// results are cached in memory and localStorage, and requests are spaced out
+// to the provider's rate limit. Forward lookups follow the workspace's region
+// settings (lib/region) when given one.
+
+export { GeocodingError };
+
+const geocoder = GEOCODERS[process.env.NEXT_PUBLIC_GEOCODER] || GEOCODERS.google;
+
+const CACHE_KEY = `geocodeCache:v1:${geocoder.name}`;
+const CACHE_LIMIT = 1000;
+
+// Writes are batched for bulk imports
+const CACHE_WRITE_DELAY = 1000;
+
+// Read from localStorage once per session; lookups then hit memory
+let memoryCache = null;
+const readCache = () => {
+  if (memoryCache) return memoryCache;
+  if (typeof window === 'undefined') return {};
+  try {
+    memoryCache = JSON.parse(window.localStorage.getItem(CACHE_KEY) || '{}');
+  } catch {
+    memoryCache = {};
+  }
+  return memoryCache;
+};
+
+let writeTimer = null;
+let flushOnPageHide = false;
+const writeCache = () => {
+  clearTimeout(writeTimer);
+  writeTimer = null;
+  try {
+    window.localStorage.setItem(CACHE_KEY, JSON.stringify(memoryCache));
+  } catch (err) {
+    console.error('Error saving geocoding cache:', err);
+  }
+};
+
+// Pending entries are written out if the page goes away before the timer fires
+const scheduleCacheWrite = () => {
+  if (writeTimer) return;
+  if (!flushOnPageHide) {
+    window.addEventListener('pagehide', () => writeTimer && writeCache());
+    flushOnPageHide = true;
+  }
+  writeTimer = setTimeout(writeCache, CACHE_WRITE_DELAY);
+};
+
+const cacheGet = (key) => {
+  const entry = readCache()[key];
+  return entry ? { lat: entry.lat, lng: entry.lng, address: entry.address } : null;
+};
+
+// Keep the most recently stored entries once the cache is full
+const cacheSet = (key, { lat, lng, address }) => {
+  if (typeof window === 'undefined') return;
+  const cache = readCache();
+  cache[key] = { lat, lng, address, storedAt: Date.now() };
+  const keys = Object.keys(cache);
+  if (keys.length > CACHE_LIMIT) {
+    keys
+      .sort((a, b) => cache[a].storedAt - cache[b].storedAt)
+      .slice(0, keys.length - CACHE_LIMIT)
+      .forEach((oldKey) => delete cache[oldKey]);
+  }
+  scheduleCacheWrite();
+};
+
+// The same address can resolve differently under other region settings
+const forwardKey = (address, region) => {
+  const scope = region
+    ? [region.countries.join(','), region.bias && [region.bias.lat, region.bias.lng, region.bias.radius].join(',')]
+      .filter(Boolean).join(';')
+    : '';
+  return `address:${scope ? `${scope}:` : ''}${normalizeAddress(address)}`;
+};
+const reverseKey = (lat, lng) => `point:${lat.toFixed(5)},${lng.toFixed(5)}`;
+
+// Requests from every caller share one queue so bulk imports and the address
+// box together stay under the provider's rate limit
+let nextRequestAt = 0;
+const throttled = async (request) => {
+  const now = Date.now();
+  const startAt = Math.max(now, nextRequestAt);
+  nextRequestAt = startAt + geocoder.interval;
+  if (startAt > now) {
+    await new Promise(resolve => setTimeout(resolve, startAt - now));
+  }
+  return request();
+};
+
+// Candidates within a few meters of an earlier one are the same place
+// (providers often return a building and its address point separately)
+const distinctCandidates = (candidates) => candidates.filter((candidate, index) =>
+  candidates.slice(0, index).every(earlier =>
+    earlier.address !== candidate.address && haversineDistance(earlier, candidate) > DUPLICATE_DISTANCE_M));
+
+// { lat, lng, address } for an address. Throws a GeocodingError: 'ambiguous'
+// (with candidates) when several different places match.
+export const geocodeAddress = async (address, region = null) => {
+  const key = forwardKey(address, region);
+  const cached = cacheGet(key);
+  if (cached) return cached;
+
+  const options = region ? geocodingOptions(region) : {};
+  const candidates = distinctCandidates(await throttled(() => geocoder.geocode(address, options)));
+  if (candidates.length === 0) {
+    throw new GeocodingError('zero_results');
+  }
+  if (candidates.length > 1) {
+    throw new GeocodingError('ambiguous', { candidates });
+  }
+  cacheSet(key, candidates[0]);
+  return candidates[0];
+};
+
+// Remember which candidate the user picked for an ambiguous address
+export const rememberGeocode = (address, location, region = null) => {
+  cacheSet(forwardKey(address, region), location);
+};
+
+// Address for a point. The returned lat/lng are the matched address's, so
+// callers that want to keep an exact position should only take `address`.
+export const reverseGeocode = async (lat, lng) => {
+  const key = reverseKey(lat, lng);
+  const cached = cacheGet(key);
+  if (cached) return cached;
+
+  const [best] = await throttled(() => geocoder.reverse(lat, lng));
+  if (!best) {
+    throw new GeocodingError('zero_results', { message: 'No address found for this location.' });
+  }
+  cacheSet(key, best);
+  return best;
+};
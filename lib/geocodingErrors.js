@@ -0,0 +1,19 @@
+// Why a geocoding lookup failed. `code` is one of the keys below; ambiguous
+// lookups also carry the `candidates` [{ lat, lng, address }] to choose from.
+const MESSAGES = {
+  zero_results: 'Address not found. Please try a different address.',
+  ambiguous: 'Several places match this address.',
+  quota: 'Too many address lookups right now. Please wait a minute and try again.',
+  network: 'Could not reach the geocoding service. Check your connection and try again.',
+  config: 'Geocoding is not configured.',
+  unknown: 'Address lookup failed. Please try again.',
+};
+
+export class GeocodingError extends Error {
+  constructor(code, { message, candidates = [], cause } = {}) {
+    super(message || MESSAGES[code] || MESSAGES.unknown, { cause });
+    this.name = 'GeocodingError';
+    this.code = code;
+    this.candidates = candidates;
+  }
+}
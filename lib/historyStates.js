@@ -0,0 +1,52 @@
+import { deleteField } from 'firebase/firestore';
+
+// Undo/redo for documents that teammates may be editing at the same time.
+// History entries hold whole-document states; stepping back writes only the
+// fields the entry itself changed, so later edits to other fields survive.
+
+// JSON with sorted keys, so documents read back from Firestore compare equal
+// to the objects we wrote even if the field order differs
+export const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+export const sameValue = (a, b) => stableStringify(a) === stableStringify(b);
+
+// How to take one document from `from` to `to` (either may be null for "doesn't
+// exist"): { type: 'set', data } to bring it back whole, { type: 'remove' },
+// or { type: 'update', changed, removed } with just the fields that differ.
+// Null when there's nothing to write.
+export const stateChange = (from, to) => {
+  if (!to) return from ? { type: 'remove' } : null;
+  if (!from) return { type: 'set', data: to };
+
+  const changed = {};
+  Object.keys(to).forEach((key) => {
+    if (!sameValue(from[key], to[key])) changed[key] = to[key];
+  });
+  const removed = Object.keys(from).filter(key => !(key in to));
+  if (Object.keys(changed).length === 0 && removed.length === 0) return null;
+  return { type: 'update', changed, removed };
+};
+
+// [{ id, change }] for stepping a history entry's documents from the `from`
+// states to the `to` states. Updates and removals of documents that no longer
+// exist (`existingIds`) are left out, since they would fail the whole batch.
+export const stateChanges = (fromStates, toStates, existingIds) => {
+  const fromById = new Map(fromStates.map(({ id, data }) => [id, data]));
+  return toStates
+    .map(({ id, data }) => ({ id, change: stateChange(fromById.get(id) ?? null, data) }))
+    .filter(({ id, change }) => change && (change.type === 'set' || existingIds.has(id)));
+};
+
+// Firestore update for an 'update' change - fields it removed are deleted
+export const fieldUpdates = ({ changed, removed }) => ({
+  ...changed,
+  ...Object.fromEntries(removed.map(key => [key, deleteField()])),
+});
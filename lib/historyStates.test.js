@@ -0,0 +1,75 @@
+import { deleteField } from 'firebase/firestore';
+import { describe, expect, it } from 'vitest';
+import { sameValue, stateChange, stateChanges, fieldUpdates } from '@/lib/historyStates';
+
+describe('sameValue', () => {
+  it('ignores key order', () => {
+    expect(sameValue({ a: 1, b: { c: 2, d: 3 } }, { b: { d: 3, c: 2 }, a: 1 })).toBe(true);
+    expect(sameValue([{ lat: 1, lng: 2 }], [{ lng: 2, lat: 1 }])).toBe(true);
+  });
+
+  it('tells different values apart', () => {
+    expect(sameValue({ a: 1 }, { a: 2 })).toBe(false);
+    expect(sameValue([1, 2], [2, 1])).toBe(false);
+    expect(sameValue(undefined, null)).toBe(false);
+  });
+});
+
+describe('stateChange', () => {
+  it('is null when nothing changed', () => {
+    expect(stateChange(null, null)).toBeNull();
+    expect(stateChange({ a: 1, b: 2 }, { b: 2, a: 1 })).toBeNull();
+  });
+
+  it('brings back a missing document whole', () => {
+    expect(stateChange(null, { a: 1 })).toEqual({ type: 'set', data: { a: 1 } });
+  });
+
+  it('removes a document that should not exist', () => {
+    expect(stateChange({ a: 1 }, null)).toEqual({ type: 'remove' });
+  });
+
+  it('lists only the fields that differ', () => {
+    expect(stateChange(
+      { address: 'A', notes: 'old', pinType: 'site', deletedAt: 5 },
+      { address: 'A', notes: 'new', pinType: 'site' }
+    )).toEqual({ type: 'update', changed: { notes: 'new' }, removed: ['deletedAt'] });
+  });
+});
+
+describe('stateChanges', () => {
+  const from = [
+    { id: 'edited', data: { notes: 'before' } },
+    { id: 'purged', data: { notes: 'before' } },
+    { id: 'same', data: { notes: 'same' } },
+  ];
+  const to = [
+    { id: 'edited', data: { notes: 'after' } },
+    { id: 'purged', data: { notes: 'after' } },
+    { id: 'same', data: { notes: 'same' } },
+    { id: 'restored', data: { notes: 'back' } },
+  ];
+
+  it('skips unchanged documents and updates to ones that no longer exist', () => {
+    expect(stateChanges(from, to, new Set(['edited', 'same']))).toEqual([
+      { id: 'edited', change: { type: 'update', changed: { notes: 'after' }, removed: [] } },
+      { id: 'restored', change: { type: 'set', data: { notes: 'back' } } },
+    ]);
+  });
+
+  it('skips removing documents that are already gone', () => {
+    const removal = [{ id: 'edited', data: null }, { id: 'purged', data: null }];
+    expect(stateChanges(from, removal, new Set(['edited']))).toEqual([
+      { id: 'edited', change: { type: 'remove' } },
+    ]);
+  });
+});
+
+describe('fieldUpdates', () => {
+  it('deletes removed fields', () => {
+    expect(fieldUpdates({ changed: { notes: 'new' }, removed: ['deletedAt'] })).toEqual({
+      notes: 'new',
+      deletedAt: deleteField(),
+    });
+  });
+});
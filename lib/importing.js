@@ -0,0 +1,196 @@
+import { doc } from 'firebase/firestore';
+import { commitInChunks } from '@/lib/workspaces';
+import { parseCoordinateValues, formatCoordinates } from '@/lib/coordinates';
+
+// Spreadsheet import: read a CSV/XLSX file, map its columns to pin fields,
+// geocode the rows that need it and write the pins in batches. Competitor
+// lists go through the same steps with a brand in place of the pin type.
+
+// Columns a spreadsheet can be mapped to. `match` guesses the column from its
+// header; `type` holds a pin type (or, for competitors, a brand).
+export const IMPORT_FIELDS = [
+  { key: 'address', label: 'Address', match: /^(street|address|addr|street address|address 1|location)$/i },
+  { key: 'city', label: 'City', match: /^(city|town|municipality)$/i },
+  { key: 'state', label: 'State', match: /^(state|st|province|region)$/i },
+  { key: 'zip', label: 'ZIP', match: /^(zip|zip code|zipcode|postal|postal code|postcode)$/i },
+  { key: 'type', label: 'Pin type', match: /^(pin type|type|status|stage)$/i },
+  { key: 'siteName', label: 'Name', match: /^(name|site|site name|store|store name)$/i },
+  { key: 'notes', label: 'Notes', match: /^(notes?|comments?|description)$/i },
+  { key: 'lat', label: 'Latitude', match: /^(lat|latitude|y)$/i },
+  { key: 'lng', label: 'Longitude', match: /^(lng|lon|long|longitude|x)$/i },
+];
+
+// Quota errors are retried after a pause this many times before the row fails
+const QUOTA_RETRIES = 2;
+const QUOTA_RETRY_DELAY_MS = 5000;
+
+// Rows as arrays of strings. Handles quoted fields, doubled quotes, embedded
+// newlines and a leading byte order mark.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const cellText = (value) => {
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value).trim();
+};
+
+// Every row of the first sheet of a .csv or .xlsx file as arrays of strings,
+// without blank rows
+export const readSpreadsheet = async (file) => {
+  let rows;
+  if (/\.xlsx$/i.test(file.name)) {
+    const { readSheet } = await import('read-excel-file/browser');
+    rows = await readSheet(file);
+  } else if (/\.(csv|txt)$/i.test(file.name)) {
+    rows = parseCsv(await file.text());
+  } else {
+    throw new Error('Choose a .csv or .xlsx file.');
+  }
+
+  const result = rows
+    .map(row => row.map(cellText))
+    .filter(row => row.some(Boolean));
+  if (result.length === 0) {
+    throw new Error('That file has no rows.');
+  }
+  return result;
+};
+
+// { fieldKey: columnIndex | null } guessed from the header row
+export const guessMapping = (headers, fields = IMPORT_FIELDS) =>
+  Object.fromEntries(fields.map(({ key, match }) => {
+    const index = headers.findIndex(header => match.test(header.trim()));
+    return [key, index === -1 ? null : index];
+  }));
+
+// Pins need somewhere to go: an address column or both coordinate columns
+export const isMappingComplete = (mapping) =>
+  mapping.address != null || (mapping.lat != null && mapping.lng != null);
+
+// Type id for a cell, matched against a registry (pin types or brands) by id or label
+const resolveType = (value, types) => {
+  const text = value.trim().toLowerCase();
+  if (!text) return null;
+  return types.find(type => type.id === text || type.label.toLowerCase() === text)?.id || null;
+};
+
+// One import row per spreadsheet row:
+// { rowNumber, query, coordinates, typeId, unknownType, siteName, notes }.
+// `rowNumber` is the 1-based line in the file, so failures can be found there.
+export const buildImportRows = (rows, mapping, { hasHeader, types, defaultType }) => {
+  const cell = (row, key) => (mapping[key] != null ? row[mapping[key]] || '' : '');
+  const firstRow = hasHeader ? 1 : 0;
+
+  return rows.slice(firstRow).map((row, index) => {
+    const stateZip = [cell(row, 'state'), cell(row, 'zip')].filter(Boolean).join(' ');
+    const query = [cell(row, 'address'), cell(row, 'city'), stateZip].filter(Boolean).join(', ');
+    const lat = cell(row, 'lat');
+    const lng = cell(row, 'lng');
+    const typeText = cell(row, 'type');
+    const typeId = resolveType(typeText, types);
+
+    return {
+      rowNumber: firstRow + index + 1,
+      query,
+      coordinates: lat && lng ? parseCoordinateValues(lat, lng) : null,
+      typeId: typeId || defaultType,
+      unknownType: typeText && !typeId ? typeText : null,
+      siteName: cell(row, 'siteName'),
+      notes: cell(row, 'notes'),
+    };
+  });
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Geocode `rows` one at a time; the geocoder itself keeps requests under the
+// provider's rate limit. `onResult(row, { location } | { error, candidates })`
+// is called as each row finishes, with candidates for ambiguous addresses.
+// Rows with coordinates resolve straight away without a request.
+export const runGeocodeQueue = async (rows, { geocode, onResult, signal }) => {
+  for (const row of rows) {
+    if (signal?.aborted) return;
+
+    if (row.coordinates) {
+      onResult(row, { location: { ...row.coordinates, address: row.query || formatCoordinates(row.coordinates) } });
+      continue;
+    }
+    if (!row.query) {
+      onResult(row, { error: 'No address or coordinates' });
+      continue;
+    }
+
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        onResult(row, { location: await geocode(row.query) });
+        break;
+      } catch (err) {
+        if (err.code === 'quota' && attempt < QUOTA_RETRIES && !signal?.aborted) {
+          await wait(QUOTA_RETRY_DELAY_MS * (attempt + 1));
+          continue;
+        }
+        onResult(row, { error: err.message, candidates: err.candidates || [] });
+        break;
+      }
+    }
+  }
+};
+
+// Marker document for a geocoded row. Blank name/notes are left off.
+export const importedMarker = (row, location, createdAt) => {
+  const marker = {
+    lat: location.lat,
+    lng: location.lng,
+    address: location.address,
+    pinType: row.typeId,
+    createdAt,
+  };
+  if (row.siteName) marker.siteName = row.siteName;
+  if (row.notes) marker.notes = row.notes;
+  return marker;
+};
+
+// Write new pin (or competitor) documents in batches. Returns them with their new ids.
+export const saveImportedDocuments = async (collectionRef, documents) => {
+  const saved = documents.map(data => ({ id: doc(collectionRef).id, data }));
+  await commitInChunks(saved.map(({ id, data }) => (batch) => batch.set(doc(collectionRef, id), data)));
+  return saved;
+};
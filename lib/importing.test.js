@@ -0,0 +1,128 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  parseCsv,
+  guessMapping,
+  isMappingComplete,
+  buildImportRows,
+  runGeocodeQueue,
+  importedMarker,
+} from '@/lib/importing';
+
+const TYPES = [
+  { id: 'prospect', label: 'Prospect' },
+  { id: 'open', label: 'Open Site' },
+];
+
+describe('parseCsv', () => {
+  it('splits rows and fields', () => {
+    expect(parseCsv('a,b\r\nc,d\n')).toEqual([['a', 'b'], ['c', 'd']]);
+  });
+
+  it('handles quotes, doubled quotes, embedded newlines and a byte order mark', () => {
+    expect(parseCsv('\uFEFFname,notes\n"Shine, Inc","Said ""hi""\nthen left"')).toEqual([
+      ['name', 'notes'],
+      ['Shine, Inc', 'Said "hi"\nthen left'],
+    ]);
+  });
+
+  it('keeps empty trailing fields', () => {
+    expect(parseCsv('a,,\n')).toEqual([['a', '', '']]);
+  });
+});
+
+describe('guessMapping', () => {
+  it('matches common header names', () => {
+    const mapping = guessMapping(['Street Address', 'City', 'ST', 'Postal Code', 'Status', 'Latitude', 'Long']);
+    expect(mapping).toMatchObject({ address: 0, city: 1, state: 2, zip: 3, type: 4, lat: 5, lng: 6, notes: null });
+  });
+});
+
+describe('isMappingComplete', () => {
+  it('needs an address or both coordinates', () => {
+    expect(isMappingComplete({ address: 0 })).toBe(true);
+    expect(isMappingComplete({ address: null, lat: 1, lng: 2 })).toBe(true);
+    expect(isMappingComplete({ address: null, lat: 1, lng: null })).toBe(false);
+  });
+});
+
+describe('buildImportRows', () => {
+  const mapping = { address: 0, city: 1, state: 2, zip: 3, type: 4, siteName: null, notes: null, lat: 5, lng: 6 };
+  const options = { hasHeader: true, types: TYPES, defaultType: 'prospect' };
+
+  it('joins address parts into a geocoding query', () => {
+    const [row] = buildImportRows([
+      ['address', 'city', 'state', 'zip', 'type', 'lat', 'lng'],
+      ['1 Main St', 'Carmel', 'IN', '46032', 'open site', '', ''],
+    ], mapping, options);
+    expect(row).toMatchObject({ rowNumber: 2, query: '1 Main St, Carmel, IN 46032', coordinates: null, typeId: 'open' });
+  });
+
+  it('reads coordinate columns, whole degrees included', () => {
+    const [decimal, whole] = buildImportRows([
+      ['', '', '', '', '', '39.77', '-86.16'],
+      ['', '', '', '', '', '40', '-86'],
+    ], mapping, { ...options, hasHeader: false });
+    expect(decimal.coordinates).toEqual({ lat: 39.77, lng: -86.16 });
+    expect(whole.coordinates).toEqual({ lat: 40, lng: -86 });
+  });
+
+  it('falls back to the default type and reports unknown ones', () => {
+    const [row] = buildImportRows([['1 Main St', '', '', '', 'Closed', '', '']], mapping, { ...options, hasHeader: false });
+    expect(row).toMatchObject({ typeId: 'prospect', unknownType: 'Closed' });
+  });
+});
+
+describe('runGeocodeQueue', () => {
+  it('geocodes addresses and passes coordinates and blank rows straight through', async () => {
+    const geocode = vi.fn(async query => ({ lat: 1, lng: 2, address: query }));
+    const onResult = vi.fn();
+    const rows = [
+      { rowNumber: 1, query: '1 Main St', coordinates: null },
+      { rowNumber: 2, query: '', coordinates: { lat: 3, lng: 4 } },
+      { rowNumber: 3, query: '', coordinates: null },
+    ];
+
+    await runGeocodeQueue(rows, { geocode, onResult });
+
+    expect(geocode).toHaveBeenCalledTimes(1);
+    expect(onResult.mock.calls).toEqual([
+      [rows[0], { location: { lat: 1, lng: 2, address: '1 Main St' } }],
+      [rows[1], { location: { lat: 3, lng: 4, address: '3.000000, 4.000000' } }],
+      [rows[2], { error: 'No address or coordinates' }],
+    ]);
+  });
+
+  it('reports failures with any candidates', async () => {
+    const candidates = [{ lat: 1, lng: 2, address: 'Springfield, IL' }];
+    const geocode = async () => {
+      throw Object.assign(new Error('Several places match'), { code: 'ambiguous', candidates });
+    };
+    const onResult = vi.fn();
+    const row = { rowNumber: 1, query: 'Springfield', coordinates: null };
+
+    await runGeocodeQueue([row], { geocode, onResult });
+
+    expect(onResult).toHaveBeenCalledWith(row, { error: 'Several places match', candidates });
+  });
+
+  it('stops once aborted', async () => {
+    const controller = new AbortController();
+    const onResult = vi.fn(() => controller.abort());
+    const rows = [{ query: 'a' }, { query: 'b' }];
+
+    await runGeocodeQueue(rows, { geocode: async () => ({ lat: 0, lng: 0 }), onResult, signal: controller.signal });
+
+    expect(onResult).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('importedMarker', () => {
+  it('leaves blank name and notes off', () => {
+    const location = { lat: 1, lng: 2, address: '1 Main St' };
+    expect(importedMarker({ typeId: 'open', siteName: '', notes: '' }, location, 10)).toEqual({
+      lat: 1, lng: 2, address: '1 Main St', pinType: 'open', createdAt: 10,
+    });
+    expect(importedMarker({ typeId: 'open', siteName: 'North', notes: 'Busy' }, location, 10))
+      .toMatchObject({ siteName: 'North', notes: 'Busy' });
+  });
+});
@@ -0,0 +1,32 @@
+import { DEFAULT_TRADE_AREA_MILES } from '@/lib/tradeAreas';
+
+// Per-map layer visibility, saved on the map document as `layers`. Layers are
+// stored as what's hidden so new pin types, colors and brands show up by
+// default. `competitorsHidden` turns the whole competitor layer off.
+// `tradeAreaPinTypes` are the pin types drawn with trade-area rings, at
+// `tradeAreaMiles`.
+export const DEFAULT_LAYERS = {
+  hiddenPinTypes: [],
+  hiddenShapeColors: [],
+  hiddenBrands: [],
+  competitorsHidden: false,
+  tradeAreaPinTypes: [],
+  tradeAreaMiles: DEFAULT_TRADE_AREA_MILES,
+};
+
+export const withDefaultLayers = (layers) => ({ ...DEFAULT_LAYERS, ...layers });
+
+export const isPinTypeVisible = (layers, typeId) => !layers.hiddenPinTypes.includes(typeId);
+
+export const isShapeColorVisible = (layers, color) => !layers.hiddenShapeColors.includes(color);
+
+export const isBrandVisible = (layers, brandId) =>
+  !layers.competitorsHidden && !layers.hiddenBrands.includes(brandId);
+
+// Flip one entry in a layer list, e.g. toggleLayer(layers, 'hiddenPinTypes', 'closed')
+export const toggleLayer = (layers, listName, value) => ({
+  ...layers,
+  [listName]: layers[listName].includes(value)
+    ? layers[listName].filter(item => item !== value)
+    : [...layers[listName], value],
+});
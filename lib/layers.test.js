@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_LAYERS,
+  withDefaultLayers,
+  isPinTypeVisible,
+  isShapeColorVisible,
+  isBrandVisible,
+  toggleLayer,
+} from '@/lib/layers';
+
+describe('layers', () => {
+  it('fills in settings saved before a layer existed', () => {
+    expect(withDefaultLayers({ hiddenPinTypes: ['closed'] })).toEqual({ ...DEFAULT_LAYERS, hiddenPinTypes: ['closed'] });
+    expect(withDefaultLayers(undefined)).toEqual(DEFAULT_LAYERS);
+  });
+
+  it('toggles entries in a hidden list', () => {
+    const hidden = toggleLayer(DEFAULT_LAYERS, 'hiddenShapeColors', 'red');
+    expect(isShapeColorVisible(hidden, 'red')).toBe(false);
+    expect(isShapeColorVisible(hidden, 'blue')).toBe(true);
+    expect(toggleLayer(hidden, 'hiddenShapeColors', 'red').hiddenShapeColors).toEqual([]);
+    expect(isPinTypeVisible(toggleLayer(DEFAULT_LAYERS, 'hiddenPinTypes', 'open'), 'open')).toBe(false);
+  });
+
+  it('hides every brand with the competitor layer', () => {
+    expect(isBrandVisible(DEFAULT_LAYERS, 'acme')).toBe(true);
+    expect(isBrandVisible({ ...DEFAULT_LAYERS, hiddenBrands: ['acme'] }, 'acme')).toBe(false);
+    expect(isBrandVisible({ ...DEFAULT_LAYERS, competitorsHidden: true }, 'other')).toBe(false);
+  });
+});
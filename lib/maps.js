@@ -0,0 +1,152 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  onSnapshot,
+  runTransaction,
+  setDoc,
+  updateDoc,
+} from 'firebase/firestore';
+import { db } from '@/lib/firebase';
+import { workspaceCollection, commitInChunks } from '@/lib/workspaces';
+
+// Collections owned by a map - duplicated and moved together
+const MAP_DATA_COLLECTIONS = ['markers', 'shapes', 'competitors'];
+
+// Path helpers - map data lives under workspaces/{workspaceId}/maps/{mapId}
+export const mapDoc = (workspaceId, mapId) => doc(db, 'workspaces', workspaceId, 'maps', mapId);
+
+export const mapCollection = (workspaceId, mapId, name) =>
+  collection(db, 'workspaces', workspaceId, 'maps', mapId, name);
+
+// Real-time listener for every map in a workspace, archived ones included
+export const subscribeToMaps = (workspaceId, onChange, onError) => {
+  return onSnapshot(workspaceCollection(workspaceId, 'maps'), (snapshot) => {
+    const loaded = [];
+    snapshot.forEach((docSnapshot) => {
+      loaded.push({ id: docSnapshot.id, ...docSnapshot.data() });
+    });
+    loaded.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+    onChange(loaded);
+  }, onError);
+};
+
+export const createMap = async (workspaceId, user, name, extra = {}) => {
+  const mapRef = doc(workspaceCollection(workspaceId, 'maps'));
+  await setDoc(mapRef, {
+    name: name.trim(),
+    colorLabels: {},
+    archived: false,
+    createdBy: user.uid,
+    createdAt: Date.now(),
+    ...extra,
+  });
+  return mapRef.id;
+};
+
+export const renameMap = async (workspaceId, mapId, name) => {
+  await updateDoc(mapDoc(workspaceId, mapId), { name: name.trim() });
+};
+
+export const setMapArchived = async (workspaceId, mapId, archived) => {
+  await updateDoc(mapDoc(workspaceId, mapId), {
+    archived,
+    archivedAt: archived ? Date.now() : null,
+  });
+};
+
+export const updateMapSettings = async (workspaceId, mapId, settings) => {
+  await updateDoc(mapDoc(workspaceId, mapId), settings);
+};
+
+// Copy every document in a collection into another, keeping document IDs
+const copyCollection = async (fromRef, toRef) => {
+  const snapshot = await getDocs(fromRef);
+  const copies = [];
+  snapshot.forEach((docSnapshot) => {
+    copies.push((batch) => batch.set(doc(toRef, docSnapshot.id), docSnapshot.data()));
+  });
+  await commitInChunks(copies);
+  return snapshot;
+};
+
+export const duplicateMap = async (workspaceId, map, user, name) => {
+  const newMapId = await createMap(workspaceId, user, name, {
+    colorLabels: map.colorLabels || {},
+    duplicatedFrom: map.id,
+  });
+
+  for (const collectionName of MAP_DATA_COLLECTIONS) {
+    await copyCollection(
+      mapCollection(workspaceId, map.id, collectionName),
+      mapCollection(workspaceId, newMapId, collectionName)
+    );
+  }
+
+  return newMapId;
+};
+
+// Every workspace starts with this map. A fixed ID keeps setup idempotent when
+// several tabs (or the first-run setup and the maps listener) race to create it.
+export const DEFAULT_MAP_ID = 'main';
+
+// Created in a transaction, and only if missing, so a racing tab can't
+// overwrite a default map that has already been renamed or relabelled
+export const ensureDefaultMap = async (workspaceId, user) => {
+  const mapRef = mapDoc(workspaceId, DEFAULT_MAP_ID);
+  await runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(mapRef);
+    if (snapshot.exists()) return;
+    transaction.set(mapRef, {
+      name: 'Main Map',
+      colorLabels: {},
+      archived: false,
+      createdBy: user.uid,
+      createdAt: Date.now(),
+    });
+  });
+  return DEFAULT_MAP_ID;
+};
+
+// Legacy per-user data (users/{uid}/markers, shapes, settings/colorLabels)
+export const hasPersonalData = async (uid) => {
+  const [markersSnapshot, shapesSnapshot] = await Promise.all([
+    getDocs(collection(db, 'users', uid, 'markers')),
+    getDocs(collection(db, 'users', uid, 'shapes')),
+  ]);
+  return !markersSnapshot.empty || !shapesSnapshot.empty;
+};
+
+// Move the user's personal map into a workspace map, keeping document IDs so
+// re-running after a partial failure doesn't create duplicates
+export const movePersonalDataToMap = async (uid, workspaceId, mapId) => {
+  const colorLabelsSnapshot = await getDoc(doc(db, 'users', uid, 'settings', 'colorLabels'));
+
+  const counts = {};
+  const deletes = [];
+  for (const name of MAP_DATA_COLLECTIONS) {
+    const snapshot = await copyCollection(
+      collection(db, 'users', uid, name),
+      mapCollection(workspaceId, mapId, name)
+    );
+    counts[name] = snapshot.size;
+    snapshot.forEach((docSnapshot) => {
+      deletes.push((batch) => batch.delete(docSnapshot.ref));
+    });
+  }
+
+  if (colorLabelsSnapshot.exists()) {
+    // Only fill in labels the map hasn't set yet
+    const mapSnapshot = await getDoc(mapDoc(workspaceId, mapId));
+    const merged = { ...colorLabelsSnapshot.data() };
+    Object.entries(mapSnapshot.data()?.colorLabels || {}).forEach(([key, value]) => {
+      if (value) merged[key] = value;
+    });
+    await updateDoc(mapDoc(workspaceId, mapId), { colorLabels: merged });
+    deletes.push((batch) => batch.delete(colorLabelsSnapshot.ref));
+  }
+
+  await commitInChunks(deletes);
+  return counts;
+};
@@ -0,0 +1,123 @@
+import { SITE_FIELDS } from '@/lib/sites';
+import { DEFAULT_PIN_TYPE_ID } from '@/lib/pinTypes';
+import { haversineDistance } from '@/lib/geo';
+
+// Search, filter, sort and grouping for the pin list. The same filter also
+// decides which pins are dimmed or hidden on the map.
+
+export const DEFAULT_PIN_FILTER = {
+  query: '',
+  // Pin type ids to show; empty means every type
+  types: [],
+  sort: 'created',
+  groupBy: 'none',
+  // What the map does with pins that don't match: 'dim' or 'hide'
+  mapMode: 'dim',
+};
+
+export const SORT_OPTIONS = [
+  { value: 'created', label: 'Oldest first' },
+  { value: 'newest', label: 'Newest first' },
+  { value: 'name', label: 'Name' },
+  { value: 'type', label: 'Type' },
+  { value: 'distance', label: 'Distance from map center' },
+];
+
+export const GROUP_OPTIONS = [
+  { value: 'none', label: 'No grouping' },
+  { value: 'city', label: 'City' },
+  { value: 'state', label: 'State' },
+];
+
+export const isFilterActive = (filter) => Boolean(filter.query.trim()) || filter.types.length > 0;
+
+const searchableText = (marker) =>
+  [marker.address, ...SITE_FIELDS.map(({ key }) => marker[key])]
+    .filter(value => value != null && value !== '')
+    .join(' ')
+    .toLowerCase();
+
+export const matchesPinFilter = (marker, filter) => {
+  if (filter.types.length > 0 && !filter.types.includes(marker.pinType || DEFAULT_PIN_TYPE_ID)) {
+    return false;
+  }
+  const terms = filter.query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return true;
+  const text = searchableText(marker);
+  return terms.every(term => text.includes(term));
+};
+
+const sortName = (marker) => (marker.siteName || marker.address || '').toLowerCase();
+
+// Sorted copy of `markers`. `center` is only needed for distance sorting.
+export const sortPins = (markers, sort, { pinTypes = [], center = null } = {}) => {
+  const sorted = [...markers];
+  switch (sort) {
+    case 'newest':
+      return sorted.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    case 'name':
+      return sorted.sort((a, b) => sortName(a).localeCompare(sortName(b)));
+    case 'type': {
+      const order = new Map(pinTypes.map((type, index) => [type.id, index]));
+      const rank = (marker) => order.get(marker.pinType || DEFAULT_PIN_TYPE_ID) ?? pinTypes.length;
+      return sorted.sort((a, b) => rank(a) - rank(b) || sortName(a).localeCompare(sortName(b)));
+    }
+    case 'distance':
+      if (!center) return sorted;
+      return sorted.sort((a, b) => haversineDistance(center, a) - haversineDistance(center, b));
+    default:
+      return sorted.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  }
+};
+
+// State or province, optionally followed by a US ZIP or Canadian postal code
+const STATE_PATTERN = /^[A-Z]{2}(\s+(\d{5}(-\d{4})?|[A-Z]\d[A-Z]\s?\d[A-Z]\d))?$/;
+
+// City and state (or province) from a geocoded US or Canadian address, e.g.
+// "123 Main St, Carmel, IN 46032, USA" -> { city: 'Carmel', state: 'IN' }
+// "1 King St W, Toronto, ON M5V 2T6, Canada" -> { city: 'Toronto', state: 'ON' }
+export const parseCityState = (address) => {
+  const parts = (address || '').split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length > 0 && /^(USA|United States|Canada)$/i.test(parts[parts.length - 1])) {
+    parts.pop();
+  }
+
+  const stateIndex = parts.findLastIndex(part => STATE_PATTERN.test(part));
+  if (stateIndex === -1) return { city: null, state: null };
+
+  return {
+    city: stateIndex > 0 ? parts[stateIndex - 1] : null,
+    state: parts[stateIndex].slice(0, 2),
+  };
+};
+
+const UNKNOWN_GROUP = 'Other';
+
+// [{ key, label, markers }] in the order groups first appear in `markers`,
+// with pins that have no recognisable city/state last
+export const groupPins = (markers, groupBy) => {
+  if (groupBy === 'none') {
+    return [{ key: 'all', label: null, markers }];
+  }
+
+  const groups = new Map();
+  markers.forEach((marker) => {
+    const { city, state } = parseCityState(marker.address);
+    let label = UNKNOWN_GROUP;
+    if (groupBy === 'state' && state) {
+      label = state;
+    } else if (groupBy === 'city' && city) {
+      label = state ? `${city}, ${state}` : city;
+    }
+    if (!groups.has(label)) {
+      groups.set(label, { key: label, label, markers: [] });
+    }
+    groups.get(label).markers.push(marker);
+  });
+
+  const result = [...groups.values()];
+  return [
+    ...result.filter(group => group.key !== UNKNOWN_GROUP),
+    ...result.filter(group => group.key === UNKNOWN_GROUP),
+  ];
+};
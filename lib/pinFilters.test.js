@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_PIN_FILTER, isFilterActive, matchesPinFilter, sortPins, parseCityState, groupPins } from '@/lib/pinFilters';
+
+const markers = [
+  { id: 'a', address: '1 Main St, Carmel, IN 46032, USA', pinType: 'prospect', createdAt: 2 },
+  { id: 'b', address: '1 King St W, Toronto, ON M5V 2T6, Canada', siteName: 'Bay Wash', createdAt: 1 },
+  { id: 'c', address: 'Somewhere', pinType: 'prospect', createdAt: 3 },
+];
+
+describe('matchesPinFilter', () => {
+  it('matches every search term against the address and site fields', () => {
+    const filter = { ...DEFAULT_PIN_FILTER, query: 'bay toronto' };
+    expect(isFilterActive(filter)).toBe(true);
+    expect(markers.filter(marker => matchesPinFilter(marker, filter)).map(m => m.id)).toEqual(['b']);
+  });
+
+  it('filters by type, treating untyped pins as the default type', () => {
+    const filter = { ...DEFAULT_PIN_FILTER, types: ['open'] };
+    expect(markers.filter(marker => matchesPinFilter(marker, filter)).map(m => m.id)).toEqual(['b']);
+    expect(isFilterActive(DEFAULT_PIN_FILTER)).toBe(false);
+  });
+});
+
+describe('sortPins', () => {
+  const pinTypes = [{ id: 'open' }, { id: 'prospect' }];
+
+  it('sorts by creation, name and type without changing the input', () => {
+    expect(sortPins(markers, 'created').map(m => m.id)).toEqual(['b', 'a', 'c']);
+    expect(sortPins(markers, 'newest').map(m => m.id)).toEqual(['c', 'a', 'b']);
+    expect(sortPins(markers, 'name').map(m => m.id)).toEqual(['a', 'b', 'c']);
+    expect(sortPins(markers, 'type', { pinTypes }).map(m => m.id)).toEqual(['b', 'a', 'c']);
+    expect(markers.map(m => m.id)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('sorts by distance from a center', () => {
+    const placed = [{ id: 'far', lat: 41, lng: -86 }, { id: 'near', lat: 40, lng: -86 }];
+    expect(sortPins(placed, 'distance', { center: { lat: 39.9, lng: -86 } }).map(m => m.id)).toEqual(['near', 'far']);
+  });
+});
+
+describe('parseCityState', () => {
+  it('reads US and Canadian addresses', () => {
+    expect(parseCityState('123 Main St, Carmel, IN 46032, USA')).toEqual({ city: 'Carmel', state: 'IN' });
+    expect(parseCityState('1 King St W, Toronto, ON M5V 2T6, Canada')).toEqual({ city: 'Toronto', state: 'ON' });
+    expect(parseCityState('Springfield, IL')).toEqual({ city: 'Springfield', state: 'IL' });
+  });
+
+  it('returns nulls when there is no state', () => {
+    expect(parseCityState('Somewhere')).toEqual({ city: null, state: null });
+    expect(parseCityState(null)).toEqual({ city: null, state: null });
+  });
+});
+
+describe('groupPins', () => {
+  it('groups by city or state with unknown places last', () => {
+    expect(groupPins(markers, 'city').map(group => [group.label, group.markers.map(m => m.id)])).toEqual([
+      ['Carmel, IN', ['a']],
+      ['Toronto, ON', ['b']],
+      ['Other', ['c']],
+    ]);
+    expect(groupPins(markers, 'state').map(group => group.label)).toEqual(['IN', 'ON', 'Other']);
+    expect(groupPins(markers, 'none')).toEqual([{ key: 'all', label: null, markers }]);
+  });
+});
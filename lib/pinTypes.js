@@ -0,0 +1,69 @@
+import { onSnapshot, setDoc } from 'firebase/firestore';
+import { workspaceSettingsDoc } from '@/lib/workspaces';
+
+// Pin types live in workspaces/{workspaceId}/settings/pinTypes as an ordered
+// list, so every map in a workspace shares the same statuses and legend.
+// Markers store the type's id in `pinType`.
+export const DEFAULT_PIN_TYPES = [
+  { id: 'open', label: 'Open', bodyColor: '#d32f2f', innerColor: '#1a1a6e', icon: '✓', order: 0 },
+  { id: 'coming_soon', label: 'Coming Soon', bodyColor: '#3B82F6', innerColor: '#1a1a6e', icon: '◷', order: 1 },
+  { id: 'under_contract', label: 'Under Contract', bodyColor: '#16A34A', innerColor: '#14532D', icon: '✎', order: 2 },
+  { id: 'permitting', label: 'Permitting', bodyColor: '#9333EA', innerColor: '#3B0764', icon: '§', order: 3 },
+  { id: 'prospect', label: 'Prospect', bodyColor: '#F59E0B', innerColor: '#1a1a6e', icon: '?', order: 4 },
+  { id: 'competitor', label: 'Competitor', bodyColor: '#111827', innerColor: '#DC2626', icon: '!', order: 5 },
+  { id: 'closed', label: 'Closed', bodyColor: '#6B7280', innerColor: '#374151', icon: '✕', order: 6 },
+  { id: 'rejected', label: 'Rejected', bodyColor: '#9F1239', innerColor: '#4C0519', icon: '⊘', order: 7 },
+];
+
+// Pins that never had a type were created as "open"
+export const DEFAULT_PIN_TYPE_ID = 'open';
+
+// Shown for pins whose type has been deleted from the registry
+const MISSING_TYPE_STYLE = { bodyColor: '#9CA3AF', innerColor: '#4B5563', icon: '' };
+
+export const sortPinTypes = (types) =>
+  [...types].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+
+// Registry entry for a marker's pinType. Unknown ids keep their id so the pin
+// can be re-typed, and render in neutral gray instead of borrowing another type's look.
+export const getPinType = (pinTypes, id) => {
+  const typeId = id || DEFAULT_PIN_TYPE_ID;
+  const found = pinTypes.find(t => t.id === typeId);
+  if (found) return found;
+  if (!id && pinTypes.length > 0) return pinTypes[0];
+
+  const label = typeId.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+  return { id: typeId, label: `${label} (removed)`, ...MISSING_TYPE_STYLE, missing: true };
+};
+
+// Stable id for a new type, e.g. "Under Contract" -> "under_contract"
+export const makePinTypeId = (label, existing) => {
+  const base = label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'type';
+  const taken = new Set(existing.map(t => t.id));
+  let id = base;
+  for (let n = 2; taken.has(id); n += 1) {
+    id = `${base}_${n}`;
+  }
+  return id;
+};
+
+// Real-time listener for a workspace's pin types; workspaces that never
+// customised them get the defaults
+export const subscribeToPinTypes = (workspaceId, onChange, onError) =>
+  onSnapshot(workspaceSettingsDoc(workspaceId, 'pinTypes'), (snapshot) => {
+    const types = snapshot.exists() ? snapshot.data().types : null;
+    onChange(sortPinTypes(types?.length ? types : DEFAULT_PIN_TYPES));
+  }, onError);
+
+export const savePinTypes = async (workspaceId, types) => {
+  await setDoc(workspaceSettingsDoc(workspaceId, 'pinTypes'), {
+    types: types.map((type, index) => ({
+      id: type.id,
+      label: type.label.trim(),
+      bodyColor: type.bodyColor,
+      innerColor: type.innerColor,
+      icon: type.icon || '',
+      order: index,
+    })),
+  });
+};
@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_PIN_TYPES, getPinType, makePinTypeId, sortPinTypes } from '@/lib/pinTypes';
+
+describe('getPinType', () => {
+  it('finds types by id and treats untyped pins as open', () => {
+    expect(getPinType(DEFAULT_PIN_TYPES, 'prospect').label).toBe('Prospect');
+    expect(getPinType(DEFAULT_PIN_TYPES, undefined).id).toBe('open');
+  });
+
+  it('keeps the id of a removed type and draws it in gray', () => {
+    expect(getPinType(DEFAULT_PIN_TYPES, 'land_lease')).toMatchObject({
+      id: 'land_lease',
+      label: 'Land Lease (removed)',
+      bodyColor: '#9CA3AF',
+      missing: true,
+    });
+  });
+});
+
+describe('makePinTypeId', () => {
+  it('slugs the label and avoids ids already taken', () => {
+    expect(makePinTypeId('Land Lease!', DEFAULT_PIN_TYPES)).toBe('land_lease');
+    expect(makePinTypeId('Under Contract', DEFAULT_PIN_TYPES)).toBe('under_contract_2');
+    expect(makePinTypeId('???', [])).toBe('type');
+  });
+});
+
+describe('sortPinTypes', () => {
+  it('orders by `order` without changing the input', () => {
+    const types = [{ id: 'b', order: 1 }, { id: 'a', order: 0 }];
+    expect(sortPinTypes(types).map(type => type.id)).toEqual(['a', 'b']);
+    expect(types[0].id).toBe('b');
+  });
+});
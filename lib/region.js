@@ -0,0 +1,69 @@
+import { onSnapshot, setDoc } from 'firebase/firestore';
+import { workspaceSettingsDoc } from '@/lib/workspaces';
+import { boundsAround } from '@/lib/geo';
+
+// Where a workspace searches for places, kept in
+// workspaces/{workspaceId}/settings/region:
+//   countries   ISO 3166-1 alpha-2 codes results are limited to (none = anywhere)
+//   placeTypes  which kind of places the address box suggests (PLACE_TYPE_OPTIONS)
+//   bias        { lat, lng, radius } area whose results are preferred, or null
+//   center      where the map opens when it has no pins yet
+// Autocomplete and geocoding both follow these settings.
+
+// Google Autocomplete allows at most five countries
+export const MAX_COUNTRIES = 5;
+
+export const PLACE_TYPE_OPTIONS = [
+  { id: 'address', label: 'Street addresses', types: ['address'] },
+  { id: 'geocode', label: 'Addresses and intersections', types: ['geocode'] },
+  { id: 'establishment', label: 'Businesses and landmarks', types: ['establishment'] },
+  { id: 'all', label: 'Anything', types: [] },
+];
+
+export const DEFAULT_REGION = {
+  countries: ['us'],
+  placeTypes: 'address',
+  bias: null,
+  center: { lat: 39.7684, lng: -86.1581 }, // Indianapolis, IN - Drive & Shine territory
+};
+
+// "us, CA; mx" -> ['us', 'ca', 'mx'], or null if any code isn't two letters
+export const parseCountryCodes = (text) => {
+  const codes = text.split(/[\s,;]+/).filter(Boolean).map(code => code.toLowerCase());
+  if (codes.some(code => !/^[a-z]{2}$/.test(code))) return null;
+  return [...new Set(codes)];
+};
+
+// Options for a google.maps.places.Autocomplete
+export const autocompleteOptions = (region) => {
+  const placeTypes = PLACE_TYPE_OPTIONS.find(option => option.id === region.placeTypes) || PLACE_TYPE_OPTIONS[0];
+  return {
+    types: placeTypes.types,
+    componentRestrictions: region.countries.length > 0 ? { country: region.countries } : null,
+    // null rather than left out, so clearing a setting clears it on a live Autocomplete
+    bounds: region.bias ? boundsAround(region.bias, region.bias.radius) : null,
+    strictBounds: false,
+  };
+};
+
+// What geocoding providers need: { countries, bounds }
+export const geocodingOptions = (region) => ({
+  countries: region.countries,
+  bounds: region.bias ? boundsAround(region.bias, region.bias.radius) : null,
+});
+
+// Real-time listener for a workspace's region; workspaces that never set one
+// get the defaults
+export const subscribeToRegion = (workspaceId, onChange, onError) =>
+  onSnapshot(workspaceSettingsDoc(workspaceId, 'region'), (snapshot) => {
+    onChange({ ...DEFAULT_REGION, ...(snapshot.exists() ? snapshot.data() : {}) });
+  }, onError);
+
+export const saveRegion = async (workspaceId, { countries, placeTypes, bias, center }) => {
+  await setDoc(workspaceSettingsDoc(workspaceId, 'region'), {
+    countries,
+    placeTypes,
+    bias: bias ? { lat: bias.lat, lng: bias.lng, radius: bias.radius } : null,
+    center: { lat: center.lat, lng: center.lng },
+  });
+};
@@ -0,0 +1,121 @@
+import { doc } from 'firebase/firestore';
+import { commitInChunks } from '@/lib/workspaces';
+import { trashFields } from '@/lib/trash';
+import { sameValue } from '@/lib/historyStates';
+import { circlePath, haversineDistance, pathArea, pathPerimeter, circleArea, circleCircumference } from '@/lib/geo';
+
+// Shape colors
+export const SHAPE_COLORS = {
+  red: '#DC2626',       // Bright red
+  blue: '#2563EB',      // True blue
+  green: '#16A34A',     // Forest green
+  purple: '#9333EA',    // Violet purple
+  orange: '#EA580C',    // Deep orange
+  yellow: '#FACC15',    // Golden yellow
+  pink: '#DB2777',      // Hot pink
+  cyan: '#06B6D4',      // Cyan/Turquoise
+  brown: '#92400E',     // Brown
+  black: '#1F2937',     // Dark gray/black
+};
+
+// Shapes are { type: 'polygon', path } or { type: 'circle', center, radius }
+// with the radius in meters, plus shapeType, color, name and createdAt.
+
+// Outline of any shape as { lat, lng } points - circles are traced geodesically
+export const shapePath = (shape) =>
+  (shape.type === 'circle' ? circlePath(shape.center, shape.radius) : shape.path);
+
+// { area, perimeter } in square meters and meters, measured on the ground
+export const measureShape = (shape) => (shape.type === 'circle'
+  ? { area: circleArea(shape.radius), perimeter: circleCircumference(shape.radius) }
+  : { area: pathArea(shape.path), perimeter: pathPerimeter(shape.path) });
+
+// Circles used to be saved as a 32-point polygon measured in raw degrees,
+// which stretched them north-south. Read those back as a center and the
+// average distance to their outline.
+const isLegacyCircle = (shape) => shape.shapeType === 'circle' && shape.type !== 'circle' && shape.path?.length > 2;
+
+export const migrateShape = (shape) => {
+  if (!isLegacyCircle(shape)) return shape;
+
+  const { path, ...rest } = shape;
+  const center = {
+    lat: path.reduce((sum, p) => sum + p.lat, 0) / path.length,
+    lng: path.reduce((sum, p) => sum + p.lng, 0) / path.length,
+  };
+  const radius = path.reduce((sum, p) => sum + haversineDistance(center, p), 0) / path.length;
+  return { ...rest, type: 'circle', center, radius: Math.round(radius) };
+};
+
+export const hasLegacyShapes = (shapes) => shapes.some(isLegacyCircle);
+
+// One-time rewrite of old-style circles, trashed ones included, in the new form
+export const migrateLegacyShapes = async (shapesRef, shapes) => {
+  await commitInChunks(shapes
+    .filter(isLegacyCircle)
+    .map(shape => (batch) => batch.set(doc(shapesRef, shape.id), migrateShape(shape))));
+};
+
+// Shape list helpers shared by the dashboard's persistence and history code
+
+const sameShape = sameValue;
+
+// Work out which shapes were added, changed or removed between two lists
+export const diffShapes = (before, after) => {
+  const beforeById = new Map(before.map(s => [s.id, s]));
+  const afterIds = new Set(after.map(s => s.id));
+
+  const added = [];
+  const changed = [];
+  after.forEach((shape) => {
+    const previous = beforeById.get(shape.id);
+    if (!previous) {
+      added.push(shape);
+    } else if (!sameShape(previous, shape)) {
+      changed.push(shape);
+    }
+  });
+  const removed = before.filter(s => !afterIds.has(s.id));
+
+  return { added, changed, removed };
+};
+
+export const hasShapeChanges = ({ added, changed, removed }) =>
+  added.length > 0 || changed.length > 0 || removed.length > 0;
+
+// Write only the shapes in a diff, in atomic batches. Removed shapes go to
+// the trash rather than being deleted.
+export const commitShapeChanges = async (shapesRef, { added, changed, removed }) => {
+  const operations = [
+    ...[...added, ...changed].map(shape => (batch) => batch.set(doc(shapesRef, shape.id), shape)),
+    ...removed.map(shape => (batch) => batch.set(doc(shapesRef, shape.id), { ...shape, ...trashFields() })),
+  ];
+  await commitInChunks(operations);
+};
+
+// Bring the shapes touched between `from` and `to` to their `to` version,
+// leaving every other shape in `current` alone. Used by undo/redo so stepping
+// back one edit doesn't clobber changes teammates made to other shapes.
+export const restoreShapes = (current, from, to) => {
+  const fromById = new Map(from.map(s => [s.id, s]));
+  const toById = new Map(to.map(s => [s.id, s]));
+
+  const touched = new Set();
+  [...fromById.keys(), ...toById.keys()].forEach((id) => {
+    if (!sameShape(fromById.get(id), toById.get(id))) {
+      touched.add(id);
+    }
+  });
+
+  const result = current
+    .filter(s => !touched.has(s.id) || toById.has(s.id))
+    .map(s => (touched.has(s.id) ? toById.get(s.id) : s));
+
+  touched.forEach((id) => {
+    if (toById.has(id) && !result.some(s => s.id === id)) {
+      result.push(toById.get(id));
+    }
+  });
+
+  return result.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+};
@@ -0,0 +1,97 @@
+import { describe, expect, it } from 'vitest';
+import { diffShapes, hasShapeChanges, restoreShapes, migrateShape, hasLegacyShapes, measureShape } from '@/lib/shapes';
+import { circlePath, haversineDistance } from '@/lib/geo';
+
+const square = (id, createdAt, color = 'red') => ({
+  id,
+  type: 'polygon',
+  shapeType: 'polygon',
+  color,
+  createdAt,
+  path: [
+    { lat: 0, lng: 0 },
+    { lat: 0, lng: 0.01 },
+    { lat: 0.01, lng: 0.01 },
+    { lat: 0.01, lng: 0 },
+  ],
+});
+
+describe('diffShapes', () => {
+  it('splits shapes into added, changed and removed', () => {
+    const a = square('a', 1);
+    const b = square('b', 2);
+    const c = square('c', 3);
+    const recolored = { ...b, color: 'blue' };
+
+    const diff = diffShapes([a, b, c], [a, recolored, square('d', 4)]);
+    expect(diff.added.map(s => s.id)).toEqual(['d']);
+    expect(diff.changed).toEqual([recolored]);
+    expect(diff.removed).toEqual([c]);
+    expect(hasShapeChanges(diff)).toBe(true);
+  });
+
+  it('treats shapes read back with reordered keys as unchanged', () => {
+    const a = square('a', 1);
+    const readBack = Object.fromEntries(Object.entries(a).reverse());
+    expect(hasShapeChanges(diffShapes([a], [readBack]))).toBe(false);
+  });
+});
+
+describe('restoreShapes', () => {
+  it('undoes only the shapes an entry touched', () => {
+    const a = square('a', 1);
+    const b = square('b', 2);
+    const before = [a, b];
+    const after = [a, { ...b, color: 'blue' }];
+    // A teammate recolored `a` and added `c` after our edit
+    const current = [{ ...a, color: 'green' }, after[1], square('c', 3)];
+
+    expect(restoreShapes(current, after, before)).toEqual([{ ...a, color: 'green' }, b, square('c', 3)]);
+  });
+
+  it('brings back removed shapes in creation order and removes added ones', () => {
+    const a = square('a', 1);
+    const b = square('b', 2);
+    const c = square('c', 3);
+
+    expect(restoreShapes([a, c], [a, c], [a, b, c]).map(s => s.id)).toEqual(['a', 'b', 'c']);
+    expect(restoreShapes([a, b, c], [a, c], [a, b])).toEqual([a, b]);
+  });
+});
+
+describe('migrateShape', () => {
+  it('reads an old polygon circle back as a center and radius', () => {
+    const center = { lat: 39.77, lng: -86.16 };
+    const legacy = { id: 'a', shapeType: 'circle', color: 'red', path: circlePath(center, 1000, 32) };
+
+    const migrated = migrateShape(legacy);
+    expect(migrated.type).toBe('circle');
+    expect(migrated.path).toBeUndefined();
+    expect(migrated.radius).toBe(1000);
+    expect(haversineDistance(migrated.center, center)).toBeLessThan(1);
+    expect(hasLegacyShapes([legacy])).toBe(true);
+    expect(hasLegacyShapes([migrated])).toBe(false);
+  });
+
+  it('leaves polygons and new circles alone', () => {
+    const polygon = square('a', 1);
+    const circle = { id: 'b', type: 'circle', shapeType: 'circle', center: { lat: 0, lng: 0 }, radius: 50 };
+    expect(migrateShape(polygon)).toBe(polygon);
+    expect(migrateShape(circle)).toBe(circle);
+  });
+});
+
+describe('measureShape', () => {
+  it('measures circles from their radius', () => {
+    const { area, perimeter } = measureShape({ type: 'circle', center: { lat: 0, lng: 0 }, radius: 100 });
+    expect(area).toBeCloseTo(Math.PI * 100 * 100, -1);
+    expect(perimeter).toBeCloseTo(2 * Math.PI * 100, 0);
+  });
+
+  it('measures polygons on the ground', () => {
+    // About 1.11 km on each side at the equator
+    const { area, perimeter } = measureShape(square('a', 1));
+    expect(area / 1e6).toBeCloseTo(1.236, 2);
+    expect(perimeter / 1000).toBeCloseTo(4.448, 2);
+  });
+});
@@ -0,0 +1,58 @@
+// Site details stored on each marker document alongside lat/lng/address/pinType
+
+export const SITE_FIELDS = [
+  { key: 'siteName', label: 'Site name', type: 'text', placeholder: 'e.g. Carmel North' },
+  { key: 'storeNumber', label: 'Store #', type: 'text', placeholder: 'e.g. 1042' },
+  { key: 'lotSize', label: 'Lot size (acres)', type: 'number', placeholder: 'e.g. 1.25' },
+  { key: 'openDate', label: 'Open date', type: 'date' },
+  { key: 'contactName', label: 'Contact', type: 'text', placeholder: 'Name' },
+  { key: 'contactPhone', label: 'Contact phone', type: 'tel', placeholder: '(555) 555-5555' },
+  { key: 'notes', label: 'Notes', type: 'textarea', placeholder: 'Zoning, traffic counts, next steps...' },
+];
+
+const SITE_FIELD_KEYS = SITE_FIELDS.map(field => field.key);
+
+// Form values for a marker - inputs want strings, not undefined
+export const siteFormValues = (marker) =>
+  Object.fromEntries(SITE_FIELD_KEYS.map(key => [key, marker[key] != null ? String(marker[key]) : '']));
+
+// Marker with the site fields replaced by `values`. Blank fields are left off
+// the document rather than stored as empty strings.
+export const applySiteFields = (marker, values) => {
+  const result = { ...marker };
+  SITE_FIELDS.forEach(({ key, type }) => {
+    const value = (values[key] || '').trim();
+    delete result[key];
+    if (!value) return;
+    if (type === 'number') {
+      const number = parseFloat(value);
+      if (!Number.isNaN(number)) result[key] = number;
+    } else {
+      result[key] = value;
+    }
+  });
+  return result;
+};
+
+// Stored as YYYY-MM-DD; shown in the user's locale without timezone shifts
+export const formatOpenDate = (openDate) => {
+  if (!openDate) return '';
+  const [year, month, day] = openDate.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+// "Opens Mar 3, 2027" for planned sites, "Opened ..." once the date has passed
+export const openDateLabel = (openDate) => {
+  if (!openDate) return '';
+  const now = new Date();
+  const today = [now.getFullYear(), now.getMonth() + 1, now.getDate()]
+    .map(part => String(part).padStart(2, '0'))
+    .join('-');
+  return `${openDate <= today ? 'Opened' : 'Opens'} ${formatOpenDate(openDate)}`;
+};
+
+export const siteTitle = (marker) => marker.siteName || marker.address;
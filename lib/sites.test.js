@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+import { siteFormValues, applySiteFields, siteTitle } from '@/lib/sites';
+
+describe('site fields', () => {
+  it('gives the form strings for every field', () => {
+    const values = siteFormValues({ siteName: 'North', lotSize: 1.5 });
+    expect(values).toMatchObject({ siteName: 'North', lotSize: '1.5', notes: '' });
+  });
+
+  it('stores trimmed values and numbers, leaving blank fields off', () => {
+    const marker = { id: 'a', address: '1 Main St', notes: 'old', storeNumber: '7' };
+    expect(applySiteFields(marker, { siteName: ' North ', lotSize: '1.25', notes: '', storeNumber: 'x' })).toEqual({
+      id: 'a',
+      address: '1 Main St',
+      siteName: 'North',
+      lotSize: 1.25,
+      storeNumber: 'x',
+    });
+    expect(applySiteFields(marker, { lotSize: 'big' })).not.toHaveProperty('lotSize');
+  });
+
+  it('titles a site by name, then address', () => {
+    expect(siteTitle({ siteName: 'North', address: '1 Main St' })).toBe('North');
+    expect(siteTitle({ address: '1 Main St' })).toBe('1 Main St');
+  });
+});
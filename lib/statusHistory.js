@@ -0,0 +1,66 @@
+import { DEFAULT_PIN_TYPE_ID } from '@/lib/pinTypes';
+
+// Every change of a pin's type is kept on the marker as `statusHistory`:
+// [{ id, from, to, at, by, byEmail, note }], where `from` is null for the
+// type a pin was created with and `at` is when the change happened (which
+// can be backdated). Keeping it on the marker document means undoing a type
+// change also undoes its history entry.
+
+export const statusEntry = ({ from, to, at = Date.now(), user, note }) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  from: from || null,
+  to,
+  at,
+  ...(user?.uid ? { by: user.uid, byEmail: user.email || null } : {}),
+  ...(note?.trim() ? { note: note.trim() } : {}),
+});
+
+// `updatedMarker` with a history entry added if its type differs from `marker`'s
+export const withStatusChange = (marker, updatedMarker, user, { at, note } = {}) => {
+  const from = marker.pinType || DEFAULT_PIN_TYPE_ID;
+  const to = updatedMarker.pinType || DEFAULT_PIN_TYPE_ID;
+  if (from === to) return updatedMarker;
+  return {
+    ...updatedMarker,
+    statusHistory: [...(marker.statusHistory || []), statusEntry({ from, to, at, user, note })],
+  };
+};
+
+// Entries oldest first. Pins added before history was kept get an implied
+// first entry from their creation date and earliest known type.
+export const statusTimeline = (marker) => {
+  const entries = [...(marker.statusHistory || [])].sort((a, b) => a.at - b.at);
+  if (entries.length > 0 && entries[0].from === null) return entries;
+
+  const initialType = entries[0]?.from || marker.pinType || DEFAULT_PIN_TYPE_ID;
+  return [
+    { id: 'created', from: null, to: initialType, at: marker.createdAt || null, implied: true },
+    ...entries,
+  ];
+};
+
+// Marker with one history entry's date and/or note changed
+export const editStatusEntry = (marker, entryId, { at, note }) => ({
+  ...marker,
+  statusHistory: (marker.statusHistory || []).map((entry) => {
+    if (entry.id !== entryId) return entry;
+    const edited = { ...entry, at };
+    delete edited.note;
+    if (note?.trim()) edited.note = note.trim();
+    return edited;
+  }),
+});
+
+// Local date as YYYY-MM-DD for date inputs, and back to a timestamp at noon
+// so the day doesn't shift between timezones
+export const toDateInputValue = (timestamp) => {
+  const date = new Date(timestamp);
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map(part => String(part).padStart(2, '0'))
+    .join('-');
+};
+
+export const fromDateInputValue = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day, 12).getTime();
+};
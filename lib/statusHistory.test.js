@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import {
+  statusEntry,
+  withStatusChange,
+  statusTimeline,
+  editStatusEntry,
+  toDateInputValue,
+  fromDateInputValue,
+} from '@/lib/statusHistory';
+
+const user = { uid: 'u1', email: 'sam@example.com' };
+
+describe('statusEntry', () => {
+  it('records who made the change and a trimmed note', () => {
+    expect(statusEntry({ from: 'prospect', to: 'open', at: 5, user, note: '  Signed  ' })).toMatchObject({
+      from: 'prospect', to: 'open', at: 5, by: 'u1', byEmail: 'sam@example.com', note: 'Signed',
+    });
+    const bare = statusEntry({ to: 'open', at: 5, note: ' ' });
+    expect(bare.from).toBeNull();
+    expect(bare).not.toHaveProperty('by');
+    expect(bare).not.toHaveProperty('note');
+  });
+});
+
+describe('withStatusChange', () => {
+  it('adds an entry only when the type changes', () => {
+    const marker = { pinType: 'prospect', statusHistory: [] };
+    expect(withStatusChange(marker, { ...marker, notes: 'x' }, user)).toEqual({ ...marker, notes: 'x' });
+
+    const changed = withStatusChange(marker, { ...marker, pinType: 'open' }, user, { at: 7 });
+    expect(changed.statusHistory).toHaveLength(1);
+    expect(changed.statusHistory[0]).toMatchObject({ from: 'prospect', to: 'open', at: 7 });
+  });
+});
+
+describe('statusTimeline', () => {
+  it('implies a first entry for pins created before history was kept', () => {
+    const marker = {
+      pinType: 'open',
+      createdAt: 1,
+      statusHistory: [{ id: 'x', from: 'prospect', to: 'open', at: 9 }],
+    };
+    expect(statusTimeline(marker)).toEqual([
+      { id: 'created', from: null, to: 'prospect', at: 1, implied: true },
+      { id: 'x', from: 'prospect', to: 'open', at: 9 },
+    ]);
+  });
+
+  it('sorts recorded entries oldest first', () => {
+    const marker = {
+      statusHistory: [
+        { id: 'b', from: 'prospect', to: 'open', at: 9 },
+        { id: 'a', from: null, to: 'prospect', at: 1 },
+      ],
+    };
+    expect(statusTimeline(marker).map(entry => entry.id)).toEqual(['a', 'b']);
+  });
+});
+
+describe('editStatusEntry', () => {
+  it('changes one entry and drops a cleared note', () => {
+    const marker = {
+      statusHistory: [
+        { id: 'a', to: 'prospect', at: 1, note: 'old' },
+        { id: 'b', to: 'open', at: 2 },
+      ],
+    };
+    expect(editStatusEntry(marker, 'a', { at: 3, note: '' }).statusHistory).toEqual([
+      { id: 'a', to: 'prospect', at: 3 },
+      { id: 'b', to: 'open', at: 2 },
+    ]);
+  });
+});
+
+describe('date inputs', () => {
+  it('round-trips a local date at noon', () => {
+    const timestamp = fromDateInputValue('2024-03-09');
+    expect(new Date(timestamp).getHours()).toBe(12);
+    expect(toDateInputValue(timestamp)).toBe('2024-03-09');
+  });
+});
@@ -0,0 +1,20 @@
+// Trade areas are concentric rings around a pin, drawn at the map's ring
+// distances. A pin gets them either on its own (`tradeArea: true` on the
+// marker) or because its pin type is switched on in the legend.
+
+export const DEFAULT_TRADE_AREA_MILES = [1, 3, 5];
+
+// More rings than this turn into a blur around the pin
+export const MAX_TRADE_AREA_RINGS = 5;
+
+// "5, 1, 3 mi" -> [1, 3, 5], or null if anything isn't a positive number
+export const parseRingMiles = (text) => {
+  const values = text.replace(/mi(les?)?/gi, '').split(/[\s,;]+/).filter(Boolean).map(Number);
+  if (values.length === 0 || values.some(value => !(value > 0))) return null;
+  return [...new Set(values)].sort((a, b) => a - b);
+};
+
+export const formatRingMiles = (miles) => miles.join(', ');
+
+export const hasTradeArea = (layers, marker, pinTypeId) =>
+  Boolean(marker.tradeArea) || layers.tradeAreaPinTypes.includes(pinTypeId);
@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { parseRingMiles, formatRingMiles, hasTradeArea } from '@/lib/tradeAreas';
+import { DEFAULT_LAYERS } from '@/lib/layers';
+
+describe('parseRingMiles', () => {
+  it('reads sorted, distinct distances', () => {
+    expect(parseRingMiles('5, 1, 3 mi')).toEqual([1, 3, 5]);
+    expect(parseRingMiles('0.5 miles; 2 2')).toEqual([0.5, 2]);
+    expect(formatRingMiles([1, 3, 5])).toBe('1, 3, 5');
+  });
+
+  it('rejects anything that is not a positive number', () => {
+    expect(parseRingMiles('')).toBeNull();
+    expect(parseRingMiles('1, 0')).toBeNull();
+    expect(parseRingMiles('1, two')).toBeNull();
+  });
+});
+
+describe('hasTradeArea', () => {
+  it('draws rings for a pin or for its whole type', () => {
+    expect(hasTradeArea(DEFAULT_LAYERS, { tradeArea: true }, 'open')).toBe(true);
+    expect(hasTradeArea({ ...DEFAULT_LAYERS, tradeAreaPinTypes: ['open'] }, {}, 'open')).toBe(true);
+    expect(hasTradeArea(DEFAULT_LAYERS, {}, 'open')).toBe(false);
+  });
+});
@@ -0,0 +1,39 @@
+import { doc, deleteField } from 'firebase/firestore';
+import { commitInChunks } from '@/lib/workspaces';
+
+// Deleted pins and shapes stay in the trash this long before being purged
+export const TRASH_RETENTION_DAYS = 30;
+const RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+export const isTrashed = (item) => Boolean(item.deletedAt);
+
+export const isExpired = (item, now = Date.now()) =>
+  isTrashed(item) && now - item.deletedAt > RETENTION_MS;
+
+// Fields written when something is moved to the trash
+export const trashFields = (uid) => ({
+  deletedAt: Date.now(),
+  ...(uid ? { deletedBy: uid } : {}),
+});
+
+// Split a snapshot's documents into live and trashed lists
+export const splitTrashed = (items) => {
+  const live = [];
+  const trashed = [];
+  items.forEach((item) => {
+    (isTrashed(item) ? trashed : live).push(item);
+  });
+  trashed.sort((a, b) => b.deletedAt - a.deletedAt);
+  return { live, trashed };
+};
+
+export const restoreFromTrash = async (collectionRef, ids) => {
+  await commitInChunks(ids.map(id => (batch) => batch.update(doc(collectionRef, id), {
+    deletedAt: deleteField(),
+    deletedBy: deleteField(),
+  })));
+};
+
+export const purgeFromTrash = async (collectionRef, ids) => {
+  await commitInChunks(ids.map(id => (batch) => batch.delete(doc(collectionRef, id))));
+};
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { TRASH_RETENTION_DAYS, isTrashed, isExpired, trashFields, splitTrashed } from '@/lib/trash';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('trash', () => {
+  it('marks items with who deleted them', () => {
+    const fields = trashFields('u1');
+    expect(fields.deletedBy).toBe('u1');
+    expect(isTrashed(fields)).toBe(true);
+    expect(trashFields()).not.toHaveProperty('deletedBy');
+  });
+
+  it('expires items after the retention period', () => {
+    const now = 100 * DAY_MS;
+    expect(isExpired({ deletedAt: now - (TRASH_RETENTION_DAYS + 1) * DAY_MS }, now)).toBe(true);
+    expect(isExpired({ deletedAt: now - DAY_MS }, now)).toBe(false);
+    expect(isExpired({}, now)).toBe(false);
+  });
+
+  it('splits live items from trashed ones, most recently deleted first', () => {
+    const { live, trashed } = splitTrashed([
+      { id: 'a' },
+      { id: 'b', deletedAt: 1 },
+      { id: 'c', deletedAt: 2 },
+    ]);
+    expect(live.map(item => item.id)).toEqual(['a']);
+    expect(trashed.map(item => item.id)).toEqual(['c', 'b']);
+  });
+});
@@ -0,0 +1,141 @@
+'use client';
+
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { onSnapshot } from 'firebase/firestore';
+import { mapCollection } from '@/lib/maps';
+import { diffShapes, hasShapeChanges, commitShapeChanges, migrateShape, hasLegacyShapes, migrateLegacyShapes } from '@/lib/shapes';
+import { splitTrashed } from '@/lib/trash';
+
+// Rapid edits (repeated +/- resizes, drags, undo steps) collapse into one commit
+const SAVE_DELAY = 400;
+
+// Live shapes for a map with optimistic, debounced, diff-based saving.
+// saveShapes() updates the UI immediately and resolves once the batched
+// commit lands; if it fails the optimistic state is rolled back. For editors
+// (`canMigrate`) old-style circles on the map are rewritten once on load.
+export default function useShapeSync(workspaceId, mapId, canMigrate = false) {
+  const [shapes, setShapes] = useState([]);
+  const [trashedShapes, setTrashedShapes] = useState([]);
+  const [shapesLoading, setShapesLoading] = useState(true);
+
+  // What Firestore has (or will have once in-flight commits land)
+  const committedRef = useRef([]);
+  // Latest unsaved shape list: { shapes, key, waiters }
+  const pendingRef = useRef(null);
+  const timerRef = useRef(null);
+  const inFlightRef = useRef(0);
+  // Which map the listener currently shows, so late commits don't touch another map's state
+  const activeKeyRef = useRef(null);
+
+  const flush = useCallback(async () => {
+    clearTimeout(timerRef.current);
+    timerRef.current = null;
+
+    const pending = pendingRef.current;
+    if (!pending) return;
+    pendingRef.current = null;
+
+    const isActive = () => activeKeyRef.current?.join('/') === pending.key.join('/');
+    const base = committedRef.current;
+    const changes = diffShapes(base, pending.shapes);
+    committedRef.current = pending.shapes;
+    inFlightRef.current += 1;
+
+    try {
+      if (hasShapeChanges(changes)) {
+        await commitShapeChanges(mapCollection(...pending.key), changes);
+      }
+      pending.waiters.forEach(({ resolve }) => resolve());
+    } catch (err) {
+      if (isActive()) {
+        committedRef.current = base;
+      }
+      pending.waiters.forEach(({ reject }) => reject(err));
+    } finally {
+      inFlightRef.current -= 1;
+      // Settle on Firestore's view once nothing else is queued - this also
+      // rolls back the optimistic state when the commit failed
+      if (isActive() && !pendingRef.current && inFlightRef.current === 0) {
+        setShapes(committedRef.current.map(migrateShape));
+      }
+    }
+  }, []);
+
+  // Real-time listener for shapes
+  useEffect(() => {
+    if (!workspaceId || !mapId) return;
+
+    activeKeyRef.current = [workspaceId, mapId];
+    let migrationStarted = false;
+    const unsubscribe = onSnapshot(mapCollection(workspaceId, mapId, 'shapes'), (snapshot) => {
+      const loadedShapes = [];
+      snapshot.forEach((doc) => {
+        loadedShapes.push({ id: doc.id, ...doc.data() });
+      });
+      // Sort by createdAt timestamp
+      loadedShapes.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+      if (canMigrate && !migrationStarted && hasLegacyShapes(loadedShapes)) {
+        migrationStarted = true;
+        migrateLegacyShapes(mapCollection(workspaceId, mapId, 'shapes'), loadedShapes).catch((error) => {
+          console.error('Error migrating circles:', error);
+        });
+      }
+      const { live, trashed } = splitTrashed(loadedShapes);
+      // Until the migration lands, old-style circles are shown converted but
+      // committed as stored, so a save in the meantime also writes them back
+      committedRef.current = live;
+      setTrashedShapes(trashed.map(migrateShape));
+      // Don't stomp on edits that haven't been written yet
+      if (!pendingRef.current && inFlightRef.current === 0) {
+        setShapes(live.map(migrateShape));
+      }
+      setShapesLoading(false);
+    }, (error) => {
+      console.error('Error loading shapes:', error);
+      setShapesLoading(false);
+    });
+
+    return () => {
+      unsubscribe();
+      activeKeyRef.current = null;
+    };
+  }, [workspaceId, mapId, canMigrate]);
+
+  // Save anything still queued when leaving the page
+  useEffect(() => {
+    const handlePageHide = () => {
+      flush();
+    };
+
+    window.addEventListener('pagehide', handlePageHide);
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide);
+      flush();
+    };
+  }, [flush]);
+
+  const saveShapes = useCallback((newShapes, { immediate = false } = {}) => {
+    // Optimistic update - update UI immediately
+    setShapes(newShapes);
+
+    return new Promise((resolve, reject) => {
+      const waiters = pendingRef.current?.waiters || [];
+      waiters.push({ resolve, reject });
+      pendingRef.current = { shapes: newShapes, key: [workspaceId, mapId], waiters };
+
+      clearTimeout(timerRef.current);
+      timerRef.current = setTimeout(flush, immediate ? 0 : SAVE_DELAY);
+    });
+  }, [workspaceId, mapId, flush]);
+
+  // Switching maps: save what's queued for the old map, then start empty
+  const resetShapes = useCallback(() => {
+    flush();
+    committedRef.current = [];
+    setShapes([]);
+    setTrashedShapes([]);
+    setShapesLoading(true);
+  }, [flush]);
+
+  return { shapes, trashedShapes, shapesLoading, saveShapes, resetShapes };
+}
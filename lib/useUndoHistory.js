@@ -0,0 +1,61 @@
+'use client';
+
+import { useState, useRef, useCallback } from 'react';
+
+// Undo/redo stacks of plain history entries. The caller records an entry after
+// each change and supplies an `apply(entry, direction)` function that writes the
+// 'undo' or 'redo' side; an entry only moves between stacks once apply succeeds.
+export default function useUndoHistory(limit = 100) {
+  const [past, setPast] = useState([]);
+  const [future, setFuture] = useState([]);
+  // Prevents overlapping undo/redo while a write is still in flight
+  const busyRef = useRef(false);
+
+  const record = useCallback((entry) => {
+    setPast(prev => [...prev, entry].slice(-limit));
+    setFuture([]);
+  }, [limit]);
+
+  // Drop an entry whose change never landed (e.g. a save that was rolled back)
+  const discard = useCallback((entry) => {
+    setPast(prev => prev.filter(e => e !== entry));
+    setFuture(prev => prev.filter(e => e !== entry));
+  }, []);
+
+  const clear = useCallback(() => {
+    setPast([]);
+    setFuture([]);
+  }, []);
+
+  const step = async (direction, apply) => {
+    const source = direction === 'undo' ? past : future;
+    if (busyRef.current || source.length === 0) return;
+
+    const entry = source[source.length - 1];
+    busyRef.current = true;
+    try {
+      await apply(entry, direction);
+      if (direction === 'undo') {
+        setPast(prev => prev.slice(0, -1));
+        setFuture(prev => [...prev, entry]);
+      } else {
+        setFuture(prev => prev.slice(0, -1));
+        setPast(prev => [...prev, entry]);
+      }
+    } finally {
+      busyRef.current = false;
+    }
+  };
+
+  return {
+    record,
+    discard,
+    clear,
+    undo: (apply) => step('undo', apply),
+    redo: (apply) => step('redo', apply),
+    canUndo: past.length > 0,
+    canRedo: future.length > 0,
+    undoLabel: past[past.length - 1]?.label || null,
+    redoLabel: future[future.length - 1]?.label || null,
+  };
+}
@@ -0,0 +1,179 @@
+import {
+  collection,
+  doc,
+  onSnapshot,
+  query,
+  setDoc,
+  updateDoc,
+  where,
+  writeBatch,
+  arrayUnion,
+  arrayRemove,
+  deleteField,
+} from 'firebase/firestore';
+import { db } from '@/lib/firebase';
+
+// Member roles - owners manage members, editors change map data, viewers only look
+export const ROLES = {
+  owner: { label: 'Owner', canEdit: true, canManage: true },
+  editor: { label: 'Editor', canEdit: true, canManage: false },
+  viewer: { label: 'Viewer', canEdit: false, canManage: false },
+};
+
+export const canEditRole = (role) => Boolean(ROLES[role]?.canEdit);
+export const canManageRole = (role) => Boolean(ROLES[role]?.canManage);
+
+// Firestore writes are limited to 500 operations per batch
+const BATCH_LIMIT = 500;
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+// Path helpers - everything map related lives under workspaces/{workspaceId}
+export const workspaceDoc = (workspaceId) => doc(db, 'workspaces', workspaceId);
+
+export const workspaceCollection = (workspaceId, name) =>
+  collection(db, 'workspaces', workspaceId, name);
+
+export const workspaceSettingsDoc = (workspaceId, name) =>
+  doc(db, 'workspaces', workspaceId, 'settings', name);
+
+export const getMemberRole = (workspace, uid) => workspace?.members?.[uid]?.role || null;
+
+// Real-time listener for every workspace the user belongs to
+export const subscribeToWorkspaces = (uid, onChange, onError) => {
+  const workspacesQuery = query(
+    collection(db, 'workspaces'),
+    where('memberIds', 'array-contains', uid)
+  );
+
+  return onSnapshot(workspacesQuery, (snapshot) => {
+    const loaded = [];
+    snapshot.forEach((docSnapshot) => {
+      loaded.push({ id: docSnapshot.id, ...docSnapshot.data() });
+    });
+    loaded.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+    onChange(loaded);
+  }, onError);
+};
+
+// Real-time listener for workspaces that have a pending invite for this email
+export const subscribeToInvites = (email, onChange, onError) => {
+  const invitesQuery = query(
+    collection(db, 'workspaces'),
+    where('invitedEmails', 'array-contains', normalizeEmail(email))
+  );
+
+  return onSnapshot(invitesQuery, (snapshot) => {
+    const loaded = [];
+    snapshot.forEach((docSnapshot) => {
+      loaded.push({ id: docSnapshot.id, ...docSnapshot.data() });
+    });
+    onChange(loaded);
+  }, onError);
+};
+
+export const createWorkspace = async (user, name) => {
+  const workspaceRef = doc(collection(db, 'workspaces'));
+  await setDoc(workspaceRef, {
+    name: name.trim(),
+    ownerId: user.uid,
+    members: {
+      [user.uid]: { role: 'owner', email: normalizeEmail(user.email) },
+    },
+    memberIds: [user.uid],
+    invites: {},
+    invitedEmails: [],
+    createdAt: Date.now(),
+  });
+  return workspaceRef.id;
+};
+
+// Pending invites as [{ email, role, invitedAt }]. They are stored as a map
+// keyed by email so security rules can check an invitee joins with the role
+// they were given; workspaces from before that keep a list until the owner
+// next changes an invite.
+export const workspaceInvites = (workspace) => {
+  const invites = workspace.invites || {};
+  if (Array.isArray(invites)) return invites;
+  return Object.entries(invites).map(([email, invite]) => ({ email, ...invite }));
+};
+
+const invitesUpdate = (invites) => ({
+  invites: Object.fromEntries(invites.map(({ email, role, invitedAt }) => [email, { role, invitedAt }])),
+  invitedEmails: invites.map((invite) => invite.email),
+});
+
+export const renameWorkspace = async (workspaceId, name) => {
+  await updateDoc(workspaceDoc(workspaceId), { name: name.trim() });
+};
+
+export const inviteMember = async (workspace, email, role) => {
+  const normalized = normalizeEmail(email);
+  if (!normalized) {
+    throw new Error('Please enter an email address.');
+  }
+  if (!ROLES[role] || role === 'owner') {
+    throw new Error('Invites can only be for editors or viewers.');
+  }
+  const alreadyMember = Object.values(workspace.members || {}).some(
+    (member) => member.email === normalized
+  );
+  if (alreadyMember) {
+    throw new Error('That person is already a member of this workspace.');
+  }
+
+  const invites = workspaceInvites(workspace).filter((invite) => invite.email !== normalized);
+  invites.push({ email: normalized, role, invitedAt: Date.now() });
+
+  await updateDoc(workspaceDoc(workspace.id), invitesUpdate(invites));
+};
+
+export const cancelInvite = async (workspace, email) => {
+  const invites = workspaceInvites(workspace).filter((invite) => invite.email !== email);
+  await updateDoc(workspaceDoc(workspace.id), invitesUpdate(invites));
+};
+
+export const acceptInvite = async (user, workspace) => {
+  const email = normalizeEmail(user.email);
+  const invite = workspaceInvites(workspace).find((i) => i.email === email);
+  if (!invite) {
+    throw new Error('This invite is no longer available.');
+  }
+
+  // Security rules only let an invitee add themselves and drop their own invite
+  const invites = workspaceInvites(workspace).filter((i) => i.email !== email);
+  await updateDoc(workspaceDoc(workspace.id), {
+    [`members.${user.uid}`]: { role: invite.role, email },
+    memberIds: arrayUnion(user.uid),
+    ...invitesUpdate(invites),
+  });
+};
+
+export const updateMemberRole = async (workspace, uid, role) => {
+  if (!ROLES[role]) {
+    throw new Error('Unknown role.');
+  }
+  if (uid === workspace.ownerId && role !== 'owner') {
+    throw new Error('The workspace creator must remain an owner.');
+  }
+  await updateDoc(workspaceDoc(workspace.id), { [`members.${uid}.role`]: role });
+};
+
+export const removeMember = async (workspace, uid) => {
+  if (uid === workspace.ownerId) {
+    throw new Error('The workspace creator cannot be removed.');
+  }
+  await updateDoc(workspaceDoc(workspace.id), {
+    [`members.${uid}`]: deleteField(),
+    memberIds: arrayRemove(uid),
+  });
+};
+
+// Apply a list of (batch) => void operations in chunks that fit a write batch
+export const commitInChunks = async (operations) => {
+  for (let i = 0; i < operations.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    operations.slice(i, i + BATCH_LIMIT).forEach((operation) => operation(batch));
+    await batch.commit();
+  }
+};
@@ -0,0 +1,19 @@
+import { fileURLToPath } from "node:url";
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  resolve: {
+    alias: {
+      "@": fileURLToPath(new URL(".", import.meta.url)),
+    },
+  },
+  test: {
+    include: ["lib/**/*.test.js"],
+    // Modules that write to Firestore initialize the Firebase app on import;
+    // a demo project lets them load without real credentials
+    env: {
+      NEXT_PUBLIC_FIREBASE_API_KEY: "test-api-key",
+      NEXT_PUBLIC_FIREBASE_PROJECT_ID: "demo-car-wash-map",
+    },
+  },
+});